@@ -0,0 +1,292 @@
+// Anchor Text Audit for Screaming Frog SEO Spider
+// Checks the anchor text of a page's contextual links: generic anchors, empty and
+// image-only anchors without alt text, exact-match anchors, and, across the crawl,
+// anchors used for several targets and targets reached through many anchors.
+// Inlined into linkgap.js by bundle.js.
+// @requires common.js
+
+const AnchorHelpers = typeof JsonStore !== 'undefined'
+    ? { JsonStore, normalizeUrl, hashText }
+    : require('./common.js');
+
+// Anchors that say nothing about their target (compared after normalizeAnchor())
+const GENERIC_ANCHORS = [
+    'click here', 'click', 'here', 'click this link', 'this link', 'link', 'this',
+    'read more', 'read', 'more', 'learn more', 'find out more', 'see more', 'view more',
+    'more info', 'more information', 'details', 'view details', 'continue', 'continue reading',
+    'this page', 'this article', 'this post', 'full article', 'read full article', 'read article',
+    'website', 'this website', 'visit', 'visit site', 'see here', 'check it out', 'go', 'source'
+];
+
+// Own entry of a store map; anchors are page text, and "constructor" must not find Object's
+function storeEntry(map, key) {
+    return Object.prototype.hasOwnProperty.call(map, key) ? map[key] : undefined;
+}
+
+// ================================
+// ANCHOR AUDIT
+// ================================
+
+/**
+ * Audits a page's contextual links and keeps, per anchor and per target, what the
+ * crawl's other pages use, so each page is compared with the rest of the site.
+ * Counts persist in a JSON file in Node, or in localStorage in the browser, for the
+ * latest maxPages pages, so the store (rewritten after every page) stays bounded.
+ */
+class AnchorAudit {
+    constructor(options = {}) {
+        this.storePath = options.storePath || null;
+        this.exactMatchShare = options.exactMatchShare || 0.3;
+        this.maxVariants = options.maxVariants || 3;
+        this.maxPages = options.maxPages || 1000;
+        this.dropped = 0;
+        this.genericAnchors = new Set((options.genericAnchors || GENERIC_ANCHORS).map(AnchorAudit.normalizeAnchor));
+        this.store = new AnchorHelpers.JsonStore({
+            key: 'sf-linkgap:anchors',
+            filePath: this.storePath,
+            label: 'anchor',
+            empty: () => ({ version: 1, pages: {}, order: [], anchors: {}, targets: {} })
+        });
+    }
+    
+    /**
+     * Audit links ({ href, anchor: { text, image } }, as analyzeLinksAdvanced() collects them)
+     * against the other pages seen so far, then record this page's anchors. Returns
+     * { links, generic, empty, exactMatch, exactShare, overOptimised, ambiguous, variants, diversity, pagesSeen, store }.
+     */
+    audit(url, links) {
+        const entries = links.map(link => {
+            const anchor = AnchorAudit.normalizeAnchor(link.anchor ? link.anchor.text : link.text);
+            const target = AnchorAudit.targetKey(link.href, url);
+            return {
+                anchor: anchor,
+                target: target,
+                image: Boolean(link.anchor && link.anchor.image),
+                generic: this.genericAnchors.has(anchor),
+                exactMatch: AnchorAudit.isExactMatch(anchor, target)
+            };
+        }).filter(entry => entry.target !== null);
+        
+        // Statistics from the other pages only, so re-running a page doesn't count it twice
+        this.unlearn(url);
+        const data = this._load();
+        
+        const descriptive = entries.filter(entry => entry.anchor && !entry.generic);
+        const pagePairs = new Map();
+        descriptive.forEach(entry => {
+            if (!pagePairs.has(entry.anchor)) pagePairs.set(entry.anchor, new Set());
+            pagePairs.get(entry.anchor).add(entry.target);
+        });
+        
+        const ambiguous = Array.from(pagePairs, ([anchor, targets]) => {
+            const allTargets = new Set([...targets, ...Object.keys(storeEntry(data.anchors, anchor) || {})]);
+            return { anchor, targets: Array.from(allTargets) };
+        }).filter(item => item.targets.length > 1);
+        
+        const variants = Array.from(new Set(descriptive.map(entry => entry.target)), target => {
+            const anchors = new Set([
+                ...descriptive.filter(entry => entry.target === target).map(entry => entry.anchor),
+                ...Object.keys(storeEntry(data.targets, target) || {})
+            ]);
+            return { target, anchors: Array.from(anchors) };
+        }).filter(item => item.anchors.length > this.maxVariants);
+        
+        const exactMatch = entries.filter(entry => entry.exactMatch);
+        const exactShare = entries.length > 0 ? exactMatch.length / entries.length : 0;
+        
+        const result = {
+            links: entries.length,
+            generic: entries.filter(entry => entry.anchor && entry.generic),
+            empty: entries.filter(entry => !entry.anchor),
+            exactMatch: exactMatch,
+            exactShare: exactShare,
+            overOptimised: exactMatch.length >= 2 && exactShare > this.exactMatchShare,
+            ambiguous: ambiguous,
+            variants: variants,
+            diversity: AnchorAudit.diversity(entries),
+            pagesSeen: Object.keys(data.pages).length
+        };
+        
+        this.learn(url, descriptive.map(entry => [entry.anchor, entry.target]));
+        this.save();
+        result.store = this.status();
+        
+        return result;
+    }
+    
+    /**
+     * 0-100: distinct anchors per contextual link. Generic and empty anchors earn nothing,
+     * exact-match anchors half, so a page repeating one anchor or leaning on keyword
+     * anchors scores low. null without contextual links.
+     */
+    static diversity(entries) {
+        if (entries.length === 0) return null;
+        
+        const credit = new Map();
+        entries.forEach(entry => {
+            if (!entry.anchor || entry.generic) return;
+            credit.set(entry.anchor, Math.max(credit.get(entry.anchor) || 0, entry.exactMatch ? 0.5 : 1));
+        });
+        
+        const total = Array.from(credit.values()).reduce((sum, value) => sum + value, 0);
+        return Math.round(100 * Math.min(1, total / entries.length));
+    }
+    
+    /**
+     * Add a page's [anchor, target] pairs, once per page (call save() afterwards).
+     * Past maxPages, the pages learned first are forgotten.
+     */
+    learn(url, pairs) {
+        const data = this._load();
+        const pageId = AnchorHelpers.hashText(AnchorHelpers.normalizeUrl(url));
+        if (data.pages[pageId]) this._forget(pageId);
+        
+        const unique = Array.from(new Map(pairs.map(pair => [pair.join('\t'), pair])).values());
+        data.pages[pageId] = unique;
+        this._order().push(pageId);
+        unique.forEach(([anchor, target]) => {
+            const byAnchor = storeEntry(data.anchors, anchor) || (data.anchors[anchor] = {});
+            byAnchor[target] = (storeEntry(byAnchor, target) || 0) + 1;
+            const byTarget = storeEntry(data.targets, target) || (data.targets[target] = {});
+            byTarget[anchor] = (storeEntry(byTarget, anchor) || 0) + 1;
+        });
+        
+        this._dropOldest(this._order().length - this.maxPages);
+    }
+    
+    /**
+     * Remove a page's pairs, e.g. before it is audited again
+     */
+    unlearn(url) {
+        this._forget(AnchorHelpers.hashText(AnchorHelpers.normalizeUrl(url)));
+    }
+    
+    /**
+     * { pages, bytes, saved, error, dropped } for the report: the store's size after the
+     * last save, whether that save worked, and how many old pages were forgotten to fit
+     */
+    status() {
+        return {
+            pages: this._order().length,
+            bytes: this.store.bytes,
+            saved: this.store.error === null,
+            error: this.store.error,
+            dropped: this.dropped
+        };
+    }
+    
+    _forget(pageId) {
+        const data = this._load();
+        const pairs = data.pages[pageId];
+        if (!pairs) return;
+        
+        const decrement = (map, outer, inner) => {
+            if (!storeEntry(map, outer) || !storeEntry(map[outer], inner)) return;
+            if (--map[outer][inner] === 0) delete map[outer][inner];
+            if (Object.keys(map[outer]).length === 0) delete map[outer];
+        };
+        pairs.forEach(([anchor, target]) => {
+            decrement(data.anchors, anchor, target);
+            decrement(data.targets, target, anchor);
+        });
+        delete data.pages[pageId];
+        
+        const order = this._order();
+        const position = order.indexOf(pageId);
+        if (position !== -1) order.splice(position, 1);
+    }
+    
+    _dropOldest(count) {
+        const oldest = this._order().slice(0, Math.max(0, count));
+        oldest.forEach(pageId => this._forget(pageId));
+        this.dropped += oldest.length;
+    }
+    
+    // Page ids, oldest first (stores written before the cap have none: key order stands in)
+    _order() {
+        const data = this._load();
+        if (!Array.isArray(data.order)) data.order = Object.keys(data.pages);
+        return data.order;
+    }
+    
+    reset() {
+        this.store.reset();
+    }
+    
+    /**
+     * { text, image } for a link: its text, else the alt text of its images, else its
+     * aria-label or title. image is true when the link holds an image.
+     */
+    static anchorText(link) {
+        const images = Array.from(link.querySelectorAll('img'));
+        const text = (link.textContent || '').replace(/\s+/g, ' ').trim() ||
+            images.map(image => (image.getAttribute('alt') || '').trim()).filter(Boolean).join(' ') ||
+            (link.getAttribute('aria-label') || link.getAttribute('title') || '').trim();
+        
+        return { text: text, image: images.length > 0 };
+    }
+    
+    /**
+     * Lower case, single spaces, no punctuation or arrows at either end ("Read more »" -> "read more")
+     */
+    static normalizeAnchor(text) {
+        return String(text || '').toLowerCase().replace(/\s+/g, ' ')
+            .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '').slice(0, 100);
+    }
+    
+    /**
+     * Path and query of the link target, as the audit compares targets; null when it can't be resolved
+     */
+    static targetKey(href, pageUrl) {
+        try {
+            const target = new URL(href, pageUrl);
+            return AnchorHelpers.normalizeUrl(target.pathname + target.search);
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Anchor of two or more words that repeats the target's slug word for word
+     * ("buy bitcoin" -> /buy-bitcoin), the keyword-stuffed pattern
+     */
+    static isExactMatch(anchor, target) {
+        const anchorWords = anchor.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+        if (anchorWords.length < 2 || !target) return false;
+        
+        let slug = target.replace(/[?#].*$/, '').split('/').filter(Boolean).pop() || '';
+        try {
+            slug = decodeURIComponent(slug);
+        } catch (error) {
+            // Keep the encoded slug
+        }
+        const slugWords = slug.toLowerCase().replace(/\.[a-z0-9]+$/, '').split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+        
+        return slugWords.join(' ') === anchorWords.join(' ');
+    }
+    
+    _load() {
+        return this.store.load();
+    }
+    
+    /**
+     * Write the store; when it doesn't fit (localStorage holds about 5 MB), forget the
+     * older half of the pages and try once more. false if it still couldn't be written.
+     */
+    save() {
+        if (this.store.save()) return true;
+        
+        // A file that can't be written won't take a smaller store either
+        const pages = this._order().length;
+        if (this.storePath || pages < 2) return false;
+        this._dropOldest(Math.floor(pages / 2));
+        return this.store.save();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GENERIC_ANCHORS,
+        AnchorAudit
+    };
+}
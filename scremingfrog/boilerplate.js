@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+// Template Link Learner
+// Learns a site's repeated link blocks (menus, footers, sidebars, calls to action)
+// from saved pages, so linkgap.js tells template links from contextual ones from
+// the first page instead of after TEMPLATE_MIN_PAGES. Requires jsdom (npm install jsdom).
+//
+// Usage:
+//   node boilerplate.js <html-directory | crawl.warc | crawl.warc.gz> [options]
+//
+// Options:
+//   --out <file>           Link block store for LINK_BLOCK_STORE_PATH (default: link-blocks.json)
+//   --base-url <url>       Base URL for saved files that carry no canonical/original URL
+//   --share <n>            Share of a section's pages a template block is on (default: 0.5)
+//   --append               Add to an existing store instead of starting over
+
+const fs = require('fs');
+
+const { readHtmlDirectory, readWarc } = require('./runner.js');
+const { LinkBlockDetector } = require('./linkblocks.js');
+
+// ================================
+// ARGUMENTS
+// ================================
+function parseArgs(argv) {
+    const options = {
+        input: null,
+        out: 'link-blocks.json',
+        baseUrl: null,
+        share: 0.5,
+        append: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--out') options.out = argv[++i];
+        else if (arg === '--base-url') options.baseUrl = argv[++i];
+        else if (arg === '--share') options.share = parseFloat(argv[++i]);
+        else if (arg === '--append') options.append = true;
+        else if (!arg.startsWith('--') && !options.input) options.input = arg;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+
+    if (!options.input) {
+        throw new Error('Usage: node boilerplate.js <html-directory | crawl.warc[.gz]> [--out link-blocks.json] [--base-url https://example.com/]');
+    }
+
+    return options;
+}
+
+// ================================
+// LEARNING
+// ================================
+
+/**
+ * Count every page's link blocks into the store; returns per-section page and template block counts
+ */
+function learnLinkBlocks(pages, JSDOM, options) {
+    const detector = new LinkBlockDetector({ storePath: options.out, templateShare: options.share });
+    if (!options.append) detector.reset();
+
+    for (const page of pages) {
+        const { window } = new JSDOM(page.html, { url: page.url });
+        const keys = new Set(Array.from(LinkBlockDetector.linkBlocks(window.document, page.url).values()).map(block => block.key));
+        detector.learn(page.url, Array.from(keys));
+        window.close();
+    }
+
+    detector.save();
+
+    return Object.entries(detector.data.sections).map(([section, bucket]) => ({
+        section,
+        pages: bucket.pages.length,
+        templateBlocks: Object.values(bucket.blocks).filter(count => count / bucket.pages.length >= options.share).length
+    }));
+}
+
+// ================================
+// MAIN
+// ================================
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    let jsdom;
+    try {
+        jsdom = require('jsdom');
+    } catch (error) {
+        throw new Error('jsdom is required to learn link blocks: npm install jsdom');
+    }
+
+    const pages = fs.statSync(options.input).isDirectory()
+        ? readHtmlDirectory(options.input, options.baseUrl)
+        : readWarc(options.input);
+
+    const sections = learnLinkBlocks(pages, jsdom.JSDOM, options);
+    const site = sections.find(section => section.section === '*') || { pages: 0, templateBlocks: 0 };
+
+    console.error(`🧱 ${site.pages} pages, ${site.templateBlocks} site-wide template blocks`);
+    sections
+        .filter(section => section.section !== '*')
+        .sort((a, b) => b.pages - a.pages)
+        .forEach(section => console.error(`   ${section.section}: ${section.pages} pages, ${section.templateBlocks} template blocks`));
+    console.error(`✅ Written to ${options.out}`);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`💥 ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    learnLinkBlocks
+};
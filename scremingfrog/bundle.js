@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+// Snippet Bundler
+// Screaming Frog runs each custom JavaScript snippet on its own, so code shared
+// between scripts (pagetype.js, linkblocks.js, content.js, siteprofile.js, anchors.js,
+// common.js, providers.js) is inlined: every "// @requires <file>" line is replaced
+// by that file's source. Paste the bundled files into Screaming Frog.
+//
+// Usage:
+//   node bundle.js [script.js ...] [options]
+//
+// Options:
+//   --out-dir <dir>        Where bundled snippets are written (default: dist)
+//
+// With no scripts, every script in this folder that has a @requires line, and is
+// not itself required by another, is bundled.
+
+const fs = require('fs');
+const path = require('path');
+
+const REQUIRES_PATTERN = /^[ \t]*\/\/ @requires[ \t]+(\S+)[ \t]*$/gm;
+
+// ================================
+// ARGUMENTS
+// ================================
+function parseArgs(argv) {
+    const options = {
+        scripts: [],
+        outDir: 'dist'
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--out-dir') options.outDir = argv[++i];
+        else if (!arg.startsWith('--')) options.scripts.push(arg);
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+
+    return options;
+}
+
+// ================================
+// BUNDLING
+// ================================
+
+/**
+ * Source of a script with its @requires inlined, each required file once
+ */
+function bundleSource(file, included = new Set()) {
+    const source = fs.readFileSync(file, 'utf8');
+
+    return source.replace(REQUIRES_PATTERN, (line, required) => {
+        const requiredFile = path.resolve(path.dirname(file), required);
+        if (included.has(requiredFile)) return `// ${required} already included above`;
+        if (!fs.existsSync(requiredFile)) throw new Error(`${path.basename(file)} requires ${required}, which does not exist`);
+
+        included.add(requiredFile);
+        const inlined = bundleSource(requiredFile, included).replace(/\s+$/, '');
+        return `// ---- ${required} (inlined by bundle.js) ----\n${inlined}\n// ---- end of ${required} ----`;
+    });
+}
+
+function requiresOf(file) {
+    const source = fs.readFileSync(file, 'utf8');
+    return Array.from(source.matchAll(REQUIRES_PATTERN), match => path.resolve(path.dirname(file), match[1]));
+}
+
+// ================================
+// MAIN
+// ================================
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    let scripts = options.scripts;
+    if (scripts.length === 0) {
+        // Shared modules can require each other; only the scripts at the top are snippets
+        const files = fs.readdirSync(__dirname)
+            .filter(name => name.endsWith('.js') && name !== 'bundle.js')
+            .map(name => path.join(__dirname, name));
+        const required = new Set(files.flatMap(requiresOf));
+        scripts = files.filter(file => requiresOf(file).length > 0 && !required.has(file));
+    }
+
+    if (scripts.length === 0) {
+        throw new Error('No scripts with // @requires lines to bundle');
+    }
+
+    fs.mkdirSync(options.outDir, { recursive: true });
+
+    scripts.forEach(script => {
+        const out = path.join(options.outDir, path.basename(script));
+        fs.writeFileSync(out, bundleSource(path.resolve(script)));
+        console.error(`📦 ${path.basename(script)} → ${out}`);
+    });
+
+    console.error(`✅ Bundled ${scripts.length} script${scripts.length === 1 ? '' : 's'}`);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`💥 ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    bundleSource
+};
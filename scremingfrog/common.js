@@ -0,0 +1,106 @@
+// Shared Helpers for Screaming Frog SEO Spider
+// URL normalisation, FNV-1a hashing and the JSON store that keeps crawl-wide
+// counts between pages (link blocks, anchors, page templates, semantic.js's
+// stores). Inlined by bundle.js wherever a script says "// @requires common.js".
+
+/**
+ * URL without its fragment or trailing slash, the form every module compares pages in
+ */
+function normalizeUrl(url) {
+    return String(url || '').trim().replace(/#.*$/, '').replace(/(.)\/$/, '$1');
+}
+
+/**
+ * 32-bit FNV-1a of a string, unsigned; another seed gives an independent hash
+ */
+function fnv1a(text, seed = 0x811c9dc5) {
+    let hash = seed;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// FNV-1a, as 8 hex digits
+function hashText(text) {
+    return fnv1a(text).toString(16).padStart(8, '0');
+}
+
+// ================================
+// JSON STORE
+// ================================
+
+/**
+ * One JSON value kept in a file in Node (when a path is given) or under a
+ * localStorage key in the browser, memory otherwise. Reads once, writes the
+ * whole value on save(); size and the last write error are kept for reports.
+ */
+class JsonStore {
+    constructor(options = {}) {
+        this.key = options.key;
+        this.filePath = options.filePath || null;
+        this.label = options.label || options.key;
+        this.empty = options.empty || (() => ({}));
+        this.data = null;
+        this.bytes = 0;
+        this.error = null;
+    }
+    
+    load() {
+        if (this.data) return this.data;
+        this.data = this.empty();
+        
+        try {
+            let text = null;
+            if (this.filePath && typeof require === 'function') {
+                const fs = require('fs');
+                if (fs.existsSync(this.filePath)) text = fs.readFileSync(this.filePath, 'utf8');
+            } else if (typeof localStorage !== 'undefined') {
+                text = localStorage.getItem(this.key);
+            }
+            if (text) {
+                this.data = JSON.parse(text) || this.data;
+                this.bytes = text.length;
+            }
+        } catch (error) {
+            console.warn(`Could not read ${this.label} store, starting empty:`, error.message);
+        }
+        
+        return this.data;
+    }
+    
+    /**
+     * Write the value back; false (with error set) when it couldn't be written, e.g. a full localStorage
+     */
+    save() {
+        try {
+            const text = JSON.stringify(this.load());
+            if (this.filePath && typeof require === 'function') {
+                require('fs').writeFileSync(this.filePath, text);
+            } else if (typeof localStorage !== 'undefined') {
+                localStorage.setItem(this.key, text);
+            }
+            this.bytes = text.length;
+            this.error = null;
+            return true;
+        } catch (error) {
+            this.error = error.message;
+            console.warn(`Could not persist ${this.label} store:`, error.message);
+            return false;
+        }
+    }
+    
+    reset() {
+        this.data = this.empty();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        normalizeUrl,
+        fnv1a,
+        hashText,
+        JsonStore
+    };
+}
@@ -0,0 +1,243 @@
+// Main Content Extraction for Screaming Frog SEO Spider
+// One Readability-style extractor shared by linkgap.js, semantic.js and vector.js,
+// so every report counts the same words. Inlined by bundle.js wherever a script
+// says "// @requires content.js" (runner.js does the same).
+
+// Never content: removed before scoring. Not form: ASP.NET WebForms pages wrap the whole page in one
+const CONTENT_REMOVE_SELECTOR = [
+    'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'object', 'embed',
+    'nav', 'aside', 'button', 'select', 'input', 'textarea', 'dialog',
+    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+    '[role="dialog"]', '[aria-hidden="true"]', '[hidden]'
+].join(', ');
+
+// Page headers and footers are removed too, but an article's own <header><h1> and <footer> stay
+const PAGE_CHROME_SELECTOR = 'header, footer';
+const ARTICLE_SELECTOR = 'article, main, [role="main"]';
+
+// Class/id patterns, as in Mozilla's Readability
+const CONTENT_PATTERNS = {
+    unlikely: /-ad-|ad-break|agegate|banner|breadcrumb|combx|comment|community|cookie|cover-wrap|disqus|extra|gdpr|legends|menu|modal|newsletter|pager|pagination|popup|related|remark|replies|rss|share|shoutbox|sidebar|skip|skyscraper|social|sponsor|subscribe|supplemental|toolbar|widget/i,
+    maybe: /and|article|body|column|content|main|shadow/i,
+    positive: /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i,
+    negative: /hidden|banner|combx|comment|com-|contact|foot|footer|footnote|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i
+};
+
+// Elements whose text is scored and credited to their containers
+const SCORED_TAGS = ['P', 'PRE', 'TD', 'BLOCKQUOTE', 'LI', 'DD', 'H2', 'H3', 'H4'];
+
+// Block-level tags: text on either side is a separate word
+const BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BR', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE',
+    'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE',
+    'SECTION', 'TABLE', 'TBODY', 'TD', 'TH', 'THEAD', 'TR', 'UL'
+]);
+
+// ================================
+// CONTENT EXTRACTOR
+// ================================
+
+/**
+ * Finds the page's main content the way Readability does: paragraphs score
+ * their parent and grandparent by text length and commas, containers are
+ * weighted by tag and class, scores are discounted by link density, and the
+ * best container is kept with its sibling paragraphs. Pages where that finds
+ * too little fall back to the cleaned body.
+ */
+class ContentExtractor {
+    /**
+     * { cleanText, words, headings, paragraphs, lists, method } for a document. Options (from a
+     * site profile, see siteprofile.js): contentSelectors tried before scoring, removeSelectors
+     * stripped first, and minWords below which a region is not accepted (default 25).
+     */
+    static extract(doc, options = {}) {
+        const minWords = options.minWords || 25;
+        if (!doc || !doc.body) {
+            return { cleanText: '', words: 0, headings: 0, paragraphs: 0, lists: 0, method: 'none' };
+        }
+        
+        const body = doc.body.cloneNode(true);
+        [CONTENT_REMOVE_SELECTOR, ...(options.removeSelectors || [])].forEach(selector => {
+            body.querySelectorAll(selector).forEach(element => element.remove());
+        });
+        body.querySelectorAll(PAGE_CHROME_SELECTOR).forEach(element => {
+            if (!element.parentElement || !element.parentElement.closest(ARTICLE_SELECTOR)) element.remove();
+        });
+        
+        // Content roots named by a site profile, before any guessing
+        for (const selector of options.contentSelectors || []) {
+            const matches = Array.from(body.querySelectorAll(selector));
+            const roots = matches.filter(element => !matches.some(other => other !== element && other.contains(element)));
+            if (roots.length === 0) continue;
+            
+            const result = ContentExtractor._describe(roots, `selector: ${selector}`);
+            if (result.words >= minWords) return result;
+        }
+        
+        ContentExtractor._removeUnlikely(body);
+        
+        const candidate = ContentExtractor._bestCandidate(body);
+        if (candidate) {
+            const nodes = ContentExtractor._withSiblings(candidate.element, candidate.score);
+            const result = ContentExtractor._describe(nodes, `readability: ${ContentExtractor._label(candidate.element)}`);
+            if (result.words >= minWords) return result;
+        }
+        
+        return ContentExtractor._describe([body], 'body fallback');
+    }
+    
+    /**
+     * Whitespace-separated tokens with a letter or digit
+     */
+    static countWords(text) {
+        return String(text || '').split(/\s+/).filter(token => /[\p{L}\p{N}]/u.test(token)).length;
+    }
+    
+    /**
+     * Text with a space between block elements (textContent runs "Title" and "Intro" together)
+     */
+    static textOf(node) {
+        const parts = [];
+        const walk = current => {
+            if (current.nodeType === 3) {
+                parts.push(current.nodeValue);
+            } else if (current.nodeType === 1) {
+                const block = BLOCK_TAGS.has(current.tagName);
+                if (block) parts.push(' ');
+                current.childNodes.forEach(walk);
+                if (block) parts.push(' ');
+            }
+        };
+        walk(node);
+        return parts.join('').replace(/\s+/g, ' ').trim();
+    }
+    
+    static linkDensity(element) {
+        const length = ContentExtractor.textOf(element).length;
+        if (length === 0) return 0;
+        
+        const linkLength = Array.from(element.querySelectorAll('a'))
+            .reduce((sum, link) => sum + ContentExtractor.textOf(link).length, 0);
+        return linkLength / length;
+    }
+    
+    static _removeUnlikely(root) {
+        root.querySelectorAll('div, section, span, ul, ol, table, p').forEach(element => {
+            // A wrapper around the article is never clutter, whatever its class says
+            if (element.querySelector('article, main, [role="main"], h1')) return;
+            
+            const signature = `${typeof element.className === 'string' ? element.className : ''} ${element.id || ''}`;
+            if (CONTENT_PATTERNS.unlikely.test(signature) && !CONTENT_PATTERNS.maybe.test(signature)) {
+                element.remove();
+            }
+        });
+    }
+    
+    static _classWeight(element) {
+        let weight = 0;
+        [typeof element.className === 'string' ? element.className : '', element.id || ''].forEach(value => {
+            if (!value) return;
+            if (CONTENT_PATTERNS.negative.test(value)) weight -= 25;
+            if (CONTENT_PATTERNS.positive.test(value)) weight += 25;
+        });
+        return weight;
+    }
+    
+    static _tagWeight(element) {
+        switch (element.tagName) {
+            case 'DIV': case 'ARTICLE': case 'MAIN': case 'SECTION': return 5;
+            case 'PRE': case 'TD': case 'BLOCKQUOTE': return 3;
+            case 'ADDRESS': case 'OL': case 'UL': case 'DL': case 'DD': case 'DT': case 'LI': case 'FORM': return -3;
+            case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': case 'TH': return -5;
+            default: return 0;
+        }
+    }
+    
+    /**
+     * Highest-scoring container after link-density discounting, or null
+     */
+    static _bestCandidate(root) {
+        const scores = new Map();
+        const credit = (element, points) => {
+            if (!element) return;
+            if (!scores.has(element)) scores.set(element, ContentExtractor._tagWeight(element) + ContentExtractor._classWeight(element));
+            scores.set(element, scores.get(element) + points);
+        };
+        
+        root.querySelectorAll(SCORED_TAGS.join(', ')).forEach(element => {
+            const text = ContentExtractor.textOf(element);
+            if (text.length < 25) return;
+            
+            const points = 1 + (text.match(/[,،、，]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+            credit(element.parentElement, points);
+            if (element.parentElement) credit(element.parentElement.parentElement, points / 2);
+        });
+        
+        let best = null;
+        scores.forEach((score, element) => {
+            const finalScore = score * (1 - ContentExtractor.linkDensity(element));
+            if (!best || finalScore > best.score) best = { element, score: finalScore };
+        });
+        
+        return best && best.score > 0 ? best : null;
+    }
+    
+    /**
+     * The candidate plus siblings that look like part of the same content
+     */
+    static _withSiblings(element, score) {
+        const parent = element.parentElement;
+        if (!parent) return [element];
+        
+        const threshold = Math.max(10, score * 0.2);
+        const className = typeof element.className === 'string' ? element.className : '';
+        
+        return Array.from(parent.children).filter(sibling => {
+            if (sibling === element) return true;
+            
+            const bonus = className && sibling.className === className ? score * 0.2 : 0;
+            const siblingScore = ContentExtractor._quickScore(sibling) + bonus;
+            if (siblingScore >= threshold) return true;
+            
+            if (sibling.tagName !== 'P') return false;
+            const text = ContentExtractor.textOf(sibling);
+            const density = ContentExtractor.linkDensity(sibling);
+            return (text.length > 80 && density < 0.25) || (text.length > 0 && density === 0 && /\.( |$)/.test(text));
+        });
+    }
+    
+    static _quickScore(element) {
+        const text = ContentExtractor.textOf(element);
+        if (text.length < 25) return 0;
+        const points = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+        return (points + ContentExtractor._tagWeight(element) + ContentExtractor._classWeight(element)) * (1 - ContentExtractor.linkDensity(element));
+    }
+    
+    static _describe(nodes, method) {
+        const count = selector => nodes.reduce((sum, node) =>
+            sum + (node.matches && node.matches(selector) ? 1 : 0) + node.querySelectorAll(selector).length, 0);
+        const cleanText = nodes.map(node => ContentExtractor.textOf(node)).filter(Boolean).join(' ');
+        
+        return {
+            cleanText: cleanText,
+            words: ContentExtractor.countWords(cleanText),
+            headings: count('h1, h2, h3, h4, h5, h6'),
+            paragraphs: count('p'),
+            lists: count('ul, ol'),
+            method: method
+        };
+    }
+    
+    static _label(element) {
+        const tag = element.tagName.toLowerCase();
+        if (element.id) return `${tag}#${element.id}`;
+        const className = typeof element.className === 'string' ? element.className.trim().split(/\s+/)[0] : '';
+        return className ? `${tag}.${className}` : tag;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ContentExtractor
+    };
+}
@@ -0,0 +1,177 @@
+// Template Link Detection for Screaming Frog SEO Spider
+// Learns which link blocks belong to the page template (menus, footers, sidebars,
+// repeated calls to action) from how often they repeat across crawled pages,
+// instead of guessing from class names. Inlined into linkgap.js by bundle.js;
+// boilerplate.js learns the blocks from saved pages ahead of a run.
+// @requires common.js
+
+const LinkBlockHelpers = typeof JsonStore !== 'undefined'
+    ? { JsonStore, normalizeUrl, hashText }
+    : require('./common.js');
+
+// Elements that hold a block of links; a link belongs to the closest one
+const LINK_BLOCK_SELECTOR = 'ul, ol, dl, menu, nav, table, header, footer, aside, p, form';
+
+// ================================
+// LINK BLOCK DETECTOR
+// ================================
+
+/**
+ * Counts, per site section (first path folder) and site-wide, how many pages
+ * carry each link block. A block is identified by its tag, its link targets and
+ * its text, so the same menu on two pages has one key while two paragraphs
+ * linking to the same page do not. Blocks on at least templateShare of a
+ * section's pages are template. Counts persist in a JSON file in Node, or in
+ * localStorage in the browser.
+ */
+class LinkBlockDetector {
+    constructor(options = {}) {
+        this.storePath = options.storePath || null;
+        this.minPages = options.minPages || 5;
+        this.templateShare = options.templateShare || 0.5;
+        this.store = new LinkBlockHelpers.JsonStore({
+            key: 'sf-linkgap:link-blocks',
+            filePath: this.storePath,
+            label: 'link block',
+            empty: () => ({ version: 1, sections: {} })
+        });
+    }
+    
+    /**
+     * Learn this page's blocks and classify its links. Returns { learned, section, pages, links }
+     * where links maps each link element to { template, share }; links is null until the page's
+     * section (or the site) has minPages other pages.
+     */
+    classify(doc, url) {
+        const blocks = LinkBlockDetector.linkBlocks(doc, url);
+        const keys = Array.from(new Set(Array.from(blocks.values()).map(block => block.key)));
+        const buckets = [LinkBlockDetector.section(url), '*'];
+        const pageId = LinkBlockHelpers.hashText(LinkBlockHelpers.normalizeUrl(url));
+        const data = this._load();
+        
+        // Statistics from the other pages only, so re-running a page doesn't vote for itself
+        const usable = buckets.map(name => {
+            const bucket = data.sections[name] || { pages: [], blocks: {} };
+            const self = bucket.pages.includes(pageId);
+            return { name, bucket, self, pages: bucket.pages.length - (self ? 1 : 0) };
+        }).filter(stats => stats.pages >= this.minPages);
+        
+        const sectionStats = usable[0] || {
+            name: buckets[0],
+            pages: ((data.sections[buckets[0]] || { pages: [] }).pages.filter(id => id !== pageId)).length
+        };
+        
+        let links = null;
+        if (usable.length > 0) {
+            const shares = new Map(keys.map(key => [key, Math.max(...usable.map(stats => {
+                const count = (stats.bucket.blocks[key] || 0) - (stats.self && stats.bucket.blocks[key] ? 1 : 0);
+                return count / stats.pages;
+            }))]));
+            
+            links = new Map();
+            blocks.forEach((block, link) => {
+                const share = shares.get(block.key);
+                links.set(link, { template: share >= this.templateShare, share: share });
+            });
+        }
+        
+        this.learn(url, keys);
+        this.save();
+        
+        return {
+            learned: links !== null,
+            section: sectionStats.name,
+            pages: sectionStats.pages,
+            links: links
+        };
+    }
+    
+    /**
+     * Count a page's block keys, once per page (call save() afterwards)
+     */
+    learn(url, keys) {
+        const data = this._load();
+        const pageId = LinkBlockHelpers.hashText(LinkBlockHelpers.normalizeUrl(url));
+        
+        [LinkBlockDetector.section(url), '*'].forEach(name => {
+            const bucket = data.sections[name] || (data.sections[name] = { pages: [], blocks: {} });
+            if (bucket.pages.includes(pageId)) return;
+            
+            bucket.pages.push(pageId);
+            keys.forEach(key => {
+                bucket.blocks[key] = (bucket.blocks[key] || 0) + 1;
+            });
+            
+            // Blocks far below the template share after many pages will never reach it
+            if (bucket.pages.length >= 50 && bucket.pages.length % 50 === 0) {
+                Object.keys(bucket.blocks).forEach(key => {
+                    if (bucket.blocks[key] / bucket.pages.length < this.templateShare / 4) delete bucket.blocks[key];
+                });
+            }
+        });
+    }
+    
+    reset() {
+        this.store.reset();
+    }
+    
+    /**
+     * Link element -> { block, key } for every link on the page
+     */
+    static linkBlocks(doc, url) {
+        const blocks = new Map();
+        const keysByBlock = new Map();
+        
+        doc.querySelectorAll('a[href]').forEach(link => {
+            const block = (link.parentElement && link.parentElement.closest(LINK_BLOCK_SELECTOR)) || link.parentElement || link;
+            if (!keysByBlock.has(block)) keysByBlock.set(block, LinkBlockDetector.blockKey(block, url));
+            blocks.set(link, { block: block, key: keysByBlock.get(block) });
+        });
+        
+        return blocks;
+    }
+    
+    /**
+     * Tag, sorted link targets and text (lower case, digits removed) of a block, hashed
+     */
+    static blockKey(block, url) {
+        const targets = Array.from(new Set(Array.from(block.querySelectorAll('a[href]')).map(link => {
+            try {
+                return LinkBlockHelpers.normalizeUrl(new URL(link.getAttribute('href'), url).href);
+            } catch (error) {
+                return link.getAttribute('href');
+            }
+        }))).sort();
+        const text = (block.textContent || '').toLowerCase().replace(/\d+/g, '').replace(/\s+/g, ' ').trim().slice(0, 200);
+        
+        return LinkBlockHelpers.hashText(`${block.tagName.toLowerCase()}|${targets.join(' ')}|${text}`);
+    }
+    
+    /**
+     * First path folder of a URL ('/blog/'), or '/' for top-level pages
+     */
+    static section(url) {
+        const path = String(url || '').replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]+/i, '').replace(/[?#].*$/, '');
+        const match = path.match(/^\/([^/]+)\//);
+        return match ? `/${match[1]}/` : '/';
+    }
+    
+    get data() {
+        return this.store.load();
+    }
+    
+    _load() {
+        return this.store.load();
+    }
+    
+    save() {
+        return this.store.save();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LINK_BLOCK_SELECTOR,
+        LinkBlockDetector
+    };
+}
@@ -2,6 +2,13 @@
 // Focus: Find actual linking opportunities, ignore navigation noise
 // v2.0 - Enhanced scoring and quality classification
 
+// @requires pagetype.js
+// @requires linkblocks.js
+// @requires content.js
+// @requires siteprofile.js
+// @requires anchors.js
+// @requires common.js
+
 // Refined Configuration for Contextual Analysis
 const CONFIG = {
     CONTEXTUAL_LINK_TARGET: 100, // 1 contextual link per 100 words
@@ -14,18 +21,74 @@ const CONFIG = {
     HIGH_CONTENT_THRESHOLD: 800,    // >800 = HIGH
     
     MIN_WORDS_FOR_LINKS: 50, // Don't expect links in very short content
-    EXTERNAL_WARNING_RATIO: 2.0 // Warn if external > contextual * ratio
+    EXTERNAL_WARNING_RATIO: 2.0, // Warn if external > contextual * ratio
+    
+    // Site-wide link graph written by linkgraph.js (URL or, in runner.js, a file path)
+    LINK_GRAPH_SOURCE: null, // null = depth is guessed from the URL, no orphan/PageRank checks
+    
+    // Vertical pack from packs/ (URL or, in runner.js, a file path): page types, link minimums and suggestions
+    VERTICAL_PACK_SOURCE: null, // null = the built-in crypto exchange pack in pagetype.js
+    
+    // Page types seen per page template (file in runner.js; localStorage in Screaming Frog)
+    PAGE_TEMPLATE_STORE_PATH: null, // same value as in semantic.js, so both report the same type
+    
+    // Template links learned from link blocks repeated across the crawl (linkblocks.js)
+    TEMPLATE_BLOCK_SHARE: 0.5,   // Blocks on this share of a section's pages are template
+    TEMPLATE_MIN_PAGES: 5,       // Pages seen in the section (or site) before repetition is trusted
+    LINK_BLOCK_STORE_PATH: null, // File in runner.js (boilerplate.js writes one); localStorage in Screaming Frog
+    
+    // Per-domain/URL-pattern selector profiles (URL or, in runner.js, a file path): content roots,
+    // selectors to strip, template link zones, link context overrides, minimum content length
+    SITE_PROFILES_SOURCE: null,  // null = heuristics only
+    
+    // Anchor text audit of contextual links (anchors.js)
+    ANCHOR_STORE_PATH: null,       // Anchors seen across the crawl: file in runner.js; localStorage in Screaming Frog
+    ANCHOR_EXACT_MATCH_SHARE: 0.3, // Over-optimised above this share of exact-match anchors
+    ANCHOR_MAX_VARIANTS: 3,        // Flag targets linked with more distinct anchors across the site
+    ANCHOR_STORE_MAX_PAGES: 1000,  // Pages kept in the anchor store; the oldest are forgotten past this
+    GENERIC_ANCHORS: null          // Anchors like "click here"; null = the built-in English list
 };
 
+// Shared modules: inlined by bundle.js/runner.js, loaded with require() elsewhere
+const PageTypes = typeof PageTypeClassifier !== 'undefined'
+    ? { VerticalPack, PageTypeClassifier }
+    : (typeof require === 'function' ? require('./pagetype.js') : null);
+const LinkBlocks = typeof LinkBlockDetector !== 'undefined'
+    ? { LinkBlockDetector }
+    : (typeof require === 'function' ? require('./linkblocks.js') : null);
+const Content = typeof ContentExtractor !== 'undefined'
+    ? { ContentExtractor }
+    : (typeof require === 'function' ? require('./content.js') : null);
+const Profiles = typeof SiteProfiles !== 'undefined'
+    ? { SiteProfiles }
+    : (typeof require === 'function' ? require('./siteprofile.js') : null);
+const Anchors = typeof AnchorAudit !== 'undefined'
+    ? { AnchorAudit }
+    : (typeof require === 'function' ? require('./anchors.js') : null);
+const LinkGapHelpers = typeof normalizeUrl !== 'undefined'
+    ? { normalizeUrl }
+    : (typeof require === 'function' ? require('./common.js') : null);
+if (!PageTypes || !LinkBlocks || !Content || !Profiles || !Anchors || !LinkGapHelpers) {
+    return seoSpider.error('pagetype.js, linkblocks.js, content.js, siteprofile.js, anchors.js or common.js is missing: paste the bundled dist/linkgap.js (node bundle.js)');
+}
+
 // Get current page data
 const currentUrl = window.location.href;
-const currentTitle = document.title || 'No Title';
 const domain = window.location.hostname;
 
 // Enhanced link analysis - separate contextual from template links
-function analyzeLinksAdvanced() {
+function analyzeLinksAdvanced(profile = null) {
     const allLinks = document.querySelectorAll('a[href]');
+    const detector = new LinkBlocks.LinkBlockDetector({
+        storePath: CONFIG.LINK_BLOCK_STORE_PATH,
+        minPages: CONFIG.TEMPLATE_MIN_PAGES,
+        templateShare: CONFIG.TEMPLATE_BLOCK_SHARE
+    });
+    const templateBlocks = detector.classify(document, currentUrl);
     const linkAnalysis = {
+        detection: templateBlocks.learned
+            ? `LEARNED (${templateBlocks.pages} pages in ${templateBlocks.section === '*' ? 'site' : templateBlocks.section})`
+            : `HEURISTIC (${templateBlocks.pages}/${CONFIG.TEMPLATE_MIN_PAGES} pages seen)`,
         contextual: 0,
         template: 0, // Nav + footer combined
         navigation: 0,
@@ -35,7 +98,8 @@ function analyzeLinksAdvanced() {
         contextualLinks: [], // Store actual contextual links for analysis
         templateLinks: [], // Store template links separately
         uniqueContextual: new Set(),
-        uniqueTemplate: new Set()
+        uniqueTemplate: new Set(),
+        profileOverrides: new Map() // Site profile selector -> links it classified
     };
     
     allLinks.forEach(link => {
@@ -51,14 +115,22 @@ function analyzeLinksAdvanced() {
                           (href.startsWith('http') && href.includes(domain));
         
         if (isInternal) {
-            const linkContext = getLinkContext(link);
+            const override = Profiles.SiteProfiles.linkOverride(profile, link);
+            if (override) {
+                linkAnalysis.profileOverrides.set(override.selector, (linkAnalysis.profileOverrides.get(override.selector) || 0) + 1);
+            }
+            const linkContext = override
+                ? override.context
+                : (getLearnedLinkContext(link, templateBlocks.links) || getLinkContext(link));
             
             if (linkContext === 'contextual') {
                 linkAnalysis.contextual++;
                 linkAnalysis.uniqueContextual.add(href);
                 linkAnalysis.contextualLinks.push({
                     text: anchorText,
+                    anchor: Anchors.AnchorAudit.anchorText(link), // Falls back to image alt text
                     href: href,
+                    url: link.href, // Absolute, for the link graph
                     element: link.tagName,
                     parent: link.parentElement ? link.parentElement.tagName : 'unknown'
                 });
@@ -85,7 +157,21 @@ function analyzeLinksAdvanced() {
     return linkAnalysis;
 }
 
-// Enhanced context detection - better at identifying data/interface links
+// Context from link blocks learned across the crawl; null = not learned yet, use getLinkContext()
+function getLearnedLinkContext(link, learnedLinks) {
+    const block = learnedLinks ? learnedLinks.get(link) : null;
+    if (!block) return null;
+    
+    if (block.template) {
+        return link.closest('footer, [role="contentinfo"]') ? 'footer' : 'navigation';
+    }
+    
+    // Only unique links in the body are contextual; breadcrumbs and related-post widgets change
+    // from page to page too, so links in navigation landmarks keep the class-name heuristics
+    return link.closest('nav, header, footer, aside, [role="navigation"]') ? null : 'contextual';
+}
+
+// Per-page fallback: context from class names and patterns (data/interface links, nav, footer)
 function getLinkContext(link) {
     let element = link;
     const href = link.getAttribute('href') || '';
@@ -183,136 +269,216 @@ function getLinkContext(link) {
     return 'navigation';
 }
 
-// Enhanced content analysis with improved quality classification
-function analyzeContentAdvanced() {
-    // Try to find main content area first
-    const contentSelectors = [
-        'main', '[role="main"]', 'article', '.content',
-        '.post-content', '.page-content', '.entry-content',
-        '.main-content', '.article-content', '.post-body',
-        '.description', '.summary'
-    ];
-    
-    let bestContent = null;
-    let bestWordCount = 0;
-    
-    // Find the content area with most words
-    contentSelectors.forEach(selector => {
-        const elements = document.querySelectorAll(selector);
-        elements.forEach(element => {
-            const analysis = analyzeContentElement(element);
-            if (analysis.words > bestWordCount) {
-                bestWordCount = analysis.words;
-                bestContent = analysis;
-            }
-        });
-    });
-    
-    // Fallback: analyze body but with heavy filtering
-    if (!bestContent || bestWordCount < 50) {
-        bestContent = analyzeContentElement(document.body, true);
-    }
-    
-    return bestContent || { words: 0, headings: 0, paragraphs: 0, quality: 'none' };
-}
-
-function analyzeContentElement(element, isBodyFallback = false) {
-    const clone = element.cloneNode(true);
-    
-    // Remove template elements more aggressively
-    const removeSelectors = [
-        'script', 'style', 'nav', 'header', 'footer',
-        '.nav', '.menu', '.navigation', '.sidebar',
-        '.widget', '.ads', '.social', '.breadcrumb',
-        'button', '.button', '.btn', '.toolbar',
-        '.meta', '.tags', '.share', '.related-posts'
-    ];
-    
-    // For body fallback, remove even more template elements
-    if (isBodyFallback) {
-        removeSelectors.push(
-            '.header', '.footer', '.sidebar', '.aside',
-            '[role="navigation"]', '[role="banner"]', 
-            '[role="contentinfo"]', '.skip-link'
-        );
-    }
-    
-    removeSelectors.forEach(selector => {
-        const elements = clone.querySelectorAll(selector);
-        elements.forEach(el => el.remove());
-    });
-    
-    // Count structural elements
-    const headings = clone.querySelectorAll('h1, h2, h3, h4, h5, h6').length;
-    const paragraphs = clone.querySelectorAll('p').length;
-    const lists = clone.querySelectorAll('ul, ol').length;
-    
-    // Get clean text and count meaningful words
-    const text = clone.textContent || clone.innerText || '';
-    const words = text.trim()
-        .split(/\s+/)
-        .filter(word => 
-            word.length > 2 && 
-            !/^\d+$/.test(word) && 
-            !/^[^\w\s]+$/.test(word) // Remove pure punctuation
-        )
-        .length;
+// Main content (content.js, with the site profile's selectors) with quality classification
+function analyzeContentAdvanced(profile = null) {
+    const content = Content.ContentExtractor.extract(document, Profiles.SiteProfiles.extractOptions(profile));
     
     // Improved content quality classification
     let quality = 'thin';
-    if (words < CONFIG.THIN_CONTENT_THRESHOLD) {
+    if (content.words < CONFIG.THIN_CONTENT_THRESHOLD) {
         quality = 'thin';
-    } else if (words < CONFIG.MEDIUM_CONTENT_THRESHOLD) {
+    } else if (content.words < CONFIG.MEDIUM_CONTENT_THRESHOLD) {
         quality = 'medium';
     } else {
         quality = 'high';
     }
     
     // Adjust quality based on structure
-    if (quality === 'medium' && headings >= 3 && paragraphs >= 4) {
+    if (quality === 'medium' && content.headings >= 3 && content.paragraphs >= 4) {
         quality = 'high';
     }
-    if (quality === 'high' && headings < 2) {
+    if (quality === 'high' && content.headings < 2) {
         quality = 'medium'; // Demote if no structure
     }
     
-    return { words, headings, paragraphs, lists, quality };
+    return {
+        words: content.words,
+        headings: content.headings,
+        paragraphs: content.paragraphs,
+        lists: content.lists,
+        method: content.method,
+        text: content.cleanText,
+        quality: quality
+    };
 }
 
-// Enhanced page categorization for crypto/fintech
-function categorizePageType(url, title = '') {
-    const urlLower = url.toLowerCase();
-    const titleLower = title.toLowerCase();
-    
-    // More specific crypto/fintech patterns
-    const patterns = {
-        'homepage': /^https?:\/\/[^\/]+\/?(\?.*)?$/,
-        'trading-pair': /\/(trade|trading)\/[A-Z]+-[A-Z]+/i,
-        'trading-general': /\/(trade|trading|exchange|buy|sell)\//i,
-        'crypto-specific': /\/(crypto|coin|bitcoin|ethereum|btc|eth|ada|sol)\//i,
-        'market-data': /\/(market|price|chart|rates|ticker)\//i,
-        'portfolio': /\/(portfolio|wallet|balance|holdings)\//i,
-        'learn-hub': /\/(learn|education|academy|guide|tutorial|how-to)\//i,
-        'blog-article': /\/(blog|news|article|post|insights)\//i,
-        'security-page': /\/(security|safety|2fa|kyc|verification)\//i,
-        'fees-pricing': /\/(fees|pricing|charges|cost|commission)\//i,
-        'api-developer': /\/(api|developer|docs|documentation)\//i,
-        'support-help': /\/(support|help|faq|contact|tickets)\//i,
-        'legal-compliance': /\/(legal|terms|privacy|policy|compliance)\//i,
-        'about-company': /\/(about|company|team|careers)\//i
-    };
+// Vertical pack from CONFIG.VERTICAL_PACK_SOURCE; the built-in pack when unset or unreadable
+function loadVerticalPack() {
+    return PageTypes.VerticalPack.load(CONFIG.VERTICAL_PACK_SOURCE)
+        .catch(error => {
+            const pack = new PageTypes.VerticalPack();
+            console.warn(`Vertical pack unavailable, using the built-in ${pack.name} pack: ${error.message}`);
+            return pack;
+        });
+}
+
+// Site profile for this page from CONFIG.SITE_PROFILES_SOURCE; null when none matches or none are set
+function loadSiteProfile() {
+    return Profiles.SiteProfiles.load(CONFIG.SITE_PROFILES_SOURCE)
+        .then(profiles => profiles.match(currentUrl))
+        .catch(error => {
+            console.warn(`Site profiles unavailable, using the heuristics: ${error.message}`);
+            return null;
+        });
+}
+
+// Page type from the shared classifier (URL, title, schema.org, template, main content): { type, confidence, signals }
+function classifyPageType(pack, contentData) {
+    const classifier = new PageTypes.PageTypeClassifier(pack, { templateStorePath: CONFIG.PAGE_TEMPLATE_STORE_PATH });
+    return classifier.classify({ url: currentUrl, title: document.title || '', text: contentData.text, document: document });
+}
+
+// common.js's normalisation, as semantic.js's CrawlDataProvider uses, so URLs match the graph's keys
+function normalizeGraphUrl(url) {
+    return LinkGapHelpers.normalizeUrl(url);
+}
+
+// linkgraph.js output; null when there is no graph
+function loadLinkGraph() {
+    if (!CONFIG.LINK_GRAPH_SOURCE || typeof fetch !== 'function') {
+        return Promise.resolve(null);
+    }
     
-    for (const [category, pattern] of Object.entries(patterns)) {
-        if (pattern.test(urlLower) || pattern.test(titleLower)) {
-            return category;
+    return fetch(CONFIG.LINK_GRAPH_SOURCE)
+        .then(response => {
+            if (!response.ok) throw new Error(`Link graph request failed: ${response.status}`);
+            return response.json();
+        })
+        .catch(error => {
+            console.warn(`Link graph unavailable: ${error.message}`);
+            return null;
+        });
+}
+
+// Site-wide metrics for this page from the link graph; null when there is no graph
+function linkGraphMetrics(graph, url) {
+    if (!graph) return null;
+    
+    const metrics = (graph.pages || {})[normalizeGraphUrl(url)];
+    if (metrics) return metrics;
+    
+    // Every linked page is in the graph, so a crawled page missing from it has no inlinks
+    return {
+        linkScore: null,
+        contextualLinkScore: null,
+        uniqueInlinks: 0,
+        contextualInlinks: 0,
+        templateInlinks: 0,
+        depth: null,
+        orphan: normalizeGraphUrl(url) !== graph.homepage,
+        deadEnd: false
+    };
+}
+
+// Where a URL ends up after redirects and canonicals in the graph; null for loops and for
+// destinations that are errors or noindex themselves
+function finalDestination(url, pages) {
+    const seen = new Set();
+    let current = url;
+    
+    while (!seen.has(current)) {
+        seen.add(current);
+        const page = pages[current];
+        if (!page) return current;
+        
+        const redirect = page.statusCode >= 300 && page.statusCode < 400;
+        const next = redirect ? page.redirectUrl : (page.canonical && page.canonical !== current ? page.canonical : null);
+        if (!next) {
+            return redirect || page.statusCode >= 400 || isNoindex(page) ? null : current;
         }
+        current = next;
+    }
+    
+    return null;
+}
+
+function isNoindex(page) {
+    return /noindex/i.test(`${page.indexabilityStatus || ''} ${page.robots || ''}`);
+}
+
+// Status of a link target from the graph's crawl data: { issue, label, finalUrl }, issue null for
+// an indexable 200 page; 'unverified' when the graph doesn't have the target or its status code
+function checkLinkDestination(url, graph) {
+    const pages = graph.pages || {};
+    const target = normalizeGraphUrl(url);
+    const page = pages[target];
+    if (!page) return { issue: 'unverified', label: 'not in link graph', finalUrl: null };
+    
+    const status = page.statusCode;
+    if (status >= 300 && status < 400) {
+        const finalUrl = finalDestination(target, pages);
+        return { issue: 'redirect', label: finalUrl ? String(status) : `${status}, no indexable destination`, finalUrl: finalUrl };
+    }
+    if (status >= 400) {
+        return { issue: status >= 500 ? 'server error' : 'client error', label: String(status), finalUrl: null };
+    }
+    if (isNoindex(page)) {
+        return { issue: 'noindex', label: 'noindex', finalUrl: null };
+    }
+    if (page.canonical && page.canonical !== target) {
+        return { issue: 'canonicalised', label: 'canonicalised', finalUrl: finalDestination(page.canonical, pages) };
     }
     
-    return 'other';
+    // ?sort=, ?utm_source= and the like, when the URL without parameters is a page of its own
+    const base = normalizeGraphUrl(target.replace(/\?.*$/, ''));
+    if (base !== target && pages[base]) {
+        return { issue: 'parameter variant', label: 'parameter variant', finalUrl: finalDestination(base, pages) };
+    }
+    if (/^non-indexable/i.test(page.indexability || '')) {
+        return { issue: 'non-indexable', label: page.indexabilityStatus || 'non-indexable', finalUrl: null };
+    }
+    if (status === null || status === undefined) {
+        return { issue: 'unverified', label: 'no status code', finalUrl: null };
+    }
+    if (status !== 200) {
+        return { issue: 'not 200', label: String(status), finalUrl: null };
+    }
+    
+    return { issue: null, label: 'OK', finalUrl: null };
+}
+
+// Contextual links checked against the link graph. Only links to indexable 200 pages are valid;
+// flagged ones come with the URL to link to instead. Links to URLs the graph doesn't know, or
+// has no status code for, are neither: they are listed as unverified and not counted.
+function validateLinkDestinations(linkData, graph) {
+    const result = {
+        checked: graph !== null,
+        valid: 0,
+        uniqueValid: new Set(),
+        unverified: [],
+        redirects: [],
+        errors: [],
+        nonIndexable: [],
+        updates: []
+    };
+    
+    linkData.contextualLinks.forEach(link => {
+        const check = graph ? checkLinkDestination(link.url, graph) : null;
+        if (!check || !check.issue) {
+            result.valid++;
+            result.uniqueValid.add(link.href);
+            return;
+        }
+        if (check.issue === 'unverified') {
+            result.unverified.push({ href: link.href, label: check.label });
+            return;
+        }
+        
+        const finding = { href: link.href, label: check.label, finalUrl: check.finalUrl };
+        if (check.issue === 'redirect') result.redirects.push(finding);
+        else if (check.issue === 'client error' || check.issue === 'server error') result.errors.push(finding);
+        else result.nonIndexable.push(finding);
+        
+        if (check.finalUrl && !result.updates.some(update => update.href === link.href)) {
+            result.updates.push(finding);
+        }
+    });
+    
+    return result;
 }
 
 // Enhanced opportunity score calculation with transparent formula
-function calculateContextualOpportunity(linkData, contentData, pageType, urlDepth) {
+function calculateContextualOpportunity(linkData, contentData, pageType, urlDepth, graphMetrics = null, pack = new PageTypes.VerticalPack()) {
     let opportunityScore = 0;
     let scoreBreakdown = [];
     let opportunities = [];
@@ -390,18 +556,9 @@ function calculateContextualOpportunity(linkData, contentData, pageType, urlDept
         opportunities.push(`OVER-LINKED: ${contextualDensity.toFixed(1)}% density exceeds ${CONFIG.MAX_CONTEXTUAL_DENSITY}% maximum`);
     }
     
-    // 3. Page Type Weighting (0-25 points)
-    const pageTypeWeights = {
-        'homepage': { minLinks: 4, weight: 20, message: 'Homepage needs strong internal linking foundation' },
-        'trading-pair': { minLinks: 3, weight: 15, message: 'Trading pairs should link to: guides, security, related pairs' },
-        'crypto-specific': { minLinks: 4, weight: 15, message: 'Crypto pages should link to: trading, market data, guides, news' },
-        'learn-hub': { minLinks: 5, weight: 18, message: 'Educational content needs cross-links to related lessons' },
-        'blog-article': { minLinks: 3, weight: 12, message: 'Articles should reference related posts and crypto pages' },
-        'market-data': { minLinks: 2, weight: 10, message: 'Market pages should link to trading and crypto info' }
-    };
-    
-    const pageWeight = pageTypeWeights[pageType];
-    if (pageWeight && linkData.contextual < pageWeight.minLinks) {
+    // 3. Page Type Weighting (0-25 points) - minimums and weights from the vertical pack
+    const pageWeight = pack.byType.get(pageType);
+    if (pageWeight && pageWeight.weight && linkData.contextual < pageWeight.minLinks) {
         opportunityScore += pageWeight.weight;
         scoreBreakdown.push(`Page type priority: ${pageType} (+${pageWeight.weight})`);
         opportunities.push(`PAGE TYPE: ${pageWeight.message}`);
@@ -419,12 +576,43 @@ function calculateContextualOpportunity(linkData, contentData, pageType, urlDept
         opportunities.push(`DUPLICATE LINKS: ${duplicates} redundant links to same ${linkData.uniqueContextual.size} targets`);
     }
     
-    // 5. URL Depth Factor (0-10 points)
-    if (urlDepth > 3) {
-        const depthPoints = Math.min(10, (urlDepth - 3) * 3);
+    // 5. Depth Factor (0-10 points) - click depth from the link graph, else URL depth
+    const clickDepth = graphMetrics ? graphMetrics.depth : null;
+    const depth = clickDepth !== null ? clickDepth : urlDepth;
+    const depthLabel = clickDepth !== null ? `${clickDepth} clicks from homepage` : `Level ${urlDepth}`;
+    
+    if (graphMetrics && clickDepth === null && !graphMetrics.orphan) {
+        opportunityScore += 10;
+        scoreBreakdown.push('Unreachable from homepage (+10)');
+        opportunities.push('UNREACHABLE: Only linked from pages the homepage never reaches');
+    } else if (depth > 3) {
+        const depthPoints = Math.min(10, (depth - 3) * 3);
         opportunityScore += depthPoints;
-        scoreBreakdown.push(`Deep page: Level ${urlDepth} (+${depthPoints})`);
-        opportunities.push(`DEEP PAGE: Level ${urlDepth} needs links from higher-level pages`);
+        scoreBreakdown.push(`Deep page: ${depthLabel} (+${depthPoints})`);
+        opportunities.push(`DEEP PAGE: ${depthLabel} needs links from higher-level pages`);
+    }
+    
+    // 6. Link Graph Position (0-35 points)
+    if (graphMetrics) {
+        if (graphMetrics.orphan) {
+            opportunityScore += 25;
+            scoreBreakdown.push('Orphan page (+25)');
+            opportunities.unshift('ORPHAN PAGE: No internal links point to this page');
+        } else if (graphMetrics.contextualInlinks === 0) {
+            opportunityScore += 12;
+            scoreBreakdown.push('Template-only inlinks (+12)');
+            opportunities.push(`NO CONTEXTUAL INLINKS: Only linked from navigation/footer on ${graphMetrics.templateInlinks} pages`);
+        } else if (graphMetrics.contextualLinkScore !== null && graphMetrics.contextualLinkScore < 20) {
+            opportunityScore += 6;
+            scoreBreakdown.push(`Weak contextual PageRank: ${graphMetrics.contextualLinkScore}/100 (+6)`);
+            opportunities.push(`WEAK CONTEXTUAL LINKS: ${graphMetrics.contextualInlinks} contextual inlinks from low-value pages`);
+        }
+        
+        if (graphMetrics.deadEnd) {
+            opportunityScore += 10;
+            scoreBreakdown.push('Dead end (+10)');
+            opportunities.push('DEAD END: No followed internal links out of this page');
+        }
     }
     
     return { 
@@ -455,8 +643,34 @@ function checkExternalLinkBalance(linkData) {
     return 'BALANCED';
 }
 
+// Anchor text audit of the contextual links against the anchors seen on the crawl's other pages
+function auditAnchors(linkData) {
+    const audit = new Anchors.AnchorAudit({
+        storePath: CONFIG.ANCHOR_STORE_PATH,
+        exactMatchShare: CONFIG.ANCHOR_EXACT_MATCH_SHARE,
+        maxVariants: CONFIG.ANCHOR_MAX_VARIANTS,
+        maxPages: CONFIG.ANCHOR_STORE_MAX_PAGES,
+        genericAnchors: CONFIG.GENERIC_ANCHORS
+    });
+    return audit.audit(currentUrl, linkData.contextualLinks);
+}
+
+// Size of the anchor store, or why it wasn't saved (the next pages are then compared with less)
+function formatAnchorStore(store) {
+    const size = `${store.pages} pages, ${Math.round(store.bytes / 1024)} KB`;
+    const dropped = store.dropped > 0 ? ` (${store.dropped} oldest dropped)` : '';
+    return store.saved ? `${size}${dropped}` : `NOT SAVED: ${store.error}${dropped}`;
+}
+
+// "count: first few" for an anchor audit or link destination column, 'None' when empty
+function formatFindings(items, describe, limit = 3) {
+    if (items.length === 0) return 'None';
+    const shown = items.slice(0, limit).map(describe).join('; ');
+    return `${items.length}: ${shown}${items.length > limit ? '; ...' : ''}`;
+}
+
 // Generate actionable recommendations focused on contextual links
-function generateContextualRecommendations(linkData, contentData, pageType, gapAnalysis, externalBalance) {
+function generateContextualRecommendations(linkData, contentData, pageType, gapAnalysis, externalBalance, graphMetrics = null, pack = new PageTypes.VerticalPack(), destinations = null) {
     const recommendations = [];
     const uniqueRatio = linkData.uniqueContextual.size / Math.max(linkData.contextual, 1);
     const contextualDensity = (linkData.contextual / contentData.words) * 100;
@@ -472,6 +686,23 @@ function generateContextualRecommendations(linkData, contentData, pageType, gapA
         return recommendations;
     }
     
+    // Pages nothing links to can't rank from internal links at all
+    if (graphMetrics && graphMetrics.orphan) {
+        recommendations.push(`LINK TO THIS PAGE: Orphan - add contextual links from related pages`);
+    } else if (graphMetrics && graphMetrics.contextualInlinks === 0) {
+        recommendations.push(`ADD CONTEXTUAL INLINKS: Only reached through navigation/footer links`);
+    }
+    
+    // Links that lose their value before reaching an indexable page
+    if (destinations && destinations.checked) {
+        const broken = destinations.redirects.length + destinations.errors.length + destinations.nonIndexable.length;
+        if (destinations.errors.length > 0) {
+            recommendations.push(`FIX ${destinations.errors.length} BROKEN LINKS: ${destinations.errors.slice(0, 2).map(item => `${item.href} (${item.label})`).join(', ')}`);
+        } else if (broken > 0) {
+            recommendations.push(`UPDATE ${broken} LINKS: Point them at the final URL instead of redirects or non-indexable pages`);
+        }
+    }
+    
     // External link imbalance warning
     if (externalBalance.includes('HIGH EXTERNAL RATIO') || externalBalance.includes('EXTERNAL ONLY')) {
         recommendations.push(`⚖️ LINK BALANCE: ${externalBalance.replace('HIGH EXTERNAL RATIO: ', '').replace('EXTERNAL ONLY: ', '')}`);
@@ -514,40 +745,8 @@ function generateContextualRecommendations(linkData, contentData, pageType, gapA
     
     // Page-specific contextual recommendations (only if not over-linked)
     if (contextualDensity <= 3.0 && uniqueRatio >= 0.7) {
-        const contextualSuggestions = {
-            'trading-pair': [
-                'Link to security/safety guides',
-                'Reference related trading pairs',
-                'Connect to educational content about this crypto'
-            ],
-            'crypto-specific': [
-                'Link to current market data/charts',
-                'Reference trading pages for this crypto',
-                'Connect to news/updates about this coin'
-            ],
-            'learn-hub': [
-                'Cross-reference prerequisite lessons',
-                'Link to practical examples/trading pages',
-                'Reference related educational content'
-            ],
-            'blog-article': [
-                'Link to mentioned cryptocurrencies',
-                'Reference related news articles',
-                'Connect to relevant guides/tutorials'
-            ],
-            'market-data': [
-                'Link to trading pages for displayed pairs',
-                'Reference analysis/news for featured cryptos'
-            ],
-            'homepage': [
-                'Feature key trading pairs',
-                'Link to educational content for beginners',
-                'Highlight security/trust signals'
-            ]
-        };
-        
-        const suggestions = contextualSuggestions[pageType];
-        if (suggestions && gapAnalysis.hasGap) {
+        const suggestions = (pack.byType.get(pageType) || {}).suggestions;
+        if (suggestions && suggestions.length > 0 && gapAnalysis.hasGap) {
             recommendations.push(`📍 SPECIFIC IDEAS: ${suggestions.slice(0, 2).join(' | ')}`);
         }
     }
@@ -555,51 +754,96 @@ function generateContextualRecommendations(linkData, contentData, pageType, gapA
     return recommendations.slice(0, 3);
 }
 
-// Main analysis execution
-const linkData = analyzeLinksAdvanced();
-const contentData = analyzeContentAdvanced();
-const pageType = categorizePageType(currentUrl, currentTitle);
-const urlDepth = (currentUrl.match(/\//g) || []).length - 2; // More accurate depth
-
-const contextualDensity = contentData.words > 0 ? (linkData.contextual / contentData.words) * 100 : 0;
-const opportunityAnalysis = calculateContextualOpportunity(linkData, contentData, pageType, urlDepth);
-const linkDiversity = calculateLinkDiversity(linkData);
-const externalBalance = checkExternalLinkBalance(linkData);
-const recommendations = generateContextualRecommendations(linkData, contentData, pageType, opportunityAnalysis.gapAnalysis, externalBalance);
-
 // Create focused output for contextual link analysis
-const contextualLinkData = {
-    'URL': currentUrl,
-    'Page Type': pageType,
-    'Content Words': contentData.words,
-    'Content Quality': contentData.quality.toUpperCase(),
-    'Contextual Links': linkData.contextual,
-    'Unique Contextual': linkData.uniqueContextual.size,
-    'Link Diversity': linkDiversity,
-    'Template Links': linkData.template,
-    'Contextual Density': contextualDensity.toFixed(1) + '%',
-    'Ideal Contextual Links': opportunityAnalysis.gapAnalysis.recommendedLinks,
-    'Link Gap': opportunityAnalysis.gapAnalysis.hasGap ? 
-        `${opportunityAnalysis.gapAnalysis.recommendedLinks - linkData.contextual} MISSING` : 'NONE',
-    'Gap Severity': opportunityAnalysis.gapAnalysis.severity.toUpperCase(),
-    'External Link Balance': externalBalance,
-    'Opportunity Score': opportunityAnalysis.score + '/100',
-    'Score Breakdown': opportunityAnalysis.scoreBreakdown.join(' | '),
-    'URL Depth': urlDepth,
-    'External Links': linkData.external,
-    'Primary Issue': opportunityAnalysis.opportunities[0] || 'No significant issues',
-    'Action 1': recommendations[0] || 'Monitor current approach',
-    'Action 2': recommendations[1] || 'No additional actions needed',
-    'Action 3': recommendations[2] || 'Consider content expansion',
-    'Link Priority': opportunityAnalysis.score >= 50 ? 'HIGH' : 
-                    (opportunityAnalysis.score >= 25 ? 'MEDIUM' : 'LOW'),
-    'Quick Fix': contentData.words < 10 ? 'URGENT: Fix broken/empty page content' :
-                (contentData.words < 50 && pageType.includes('blog') ? 'URGENT: Add substantial blog content' :
-                (linkData.contextual === 0 && contentData.words >= 50 ? 'Add 1-2 contextual links immediately' :
-                (opportunityAnalysis.gapAnalysis.hasGap ? `Add ${opportunityAnalysis.gapAnalysis.recommendedLinks - linkData.contextual} more links` : 
-                (linkData.contextual > 5 && (linkData.uniqueContextual.size / linkData.contextual) < 0.7 ? 
-                'Remove duplicate links' : 'Maintain current linking'))))
-};
+function buildContextualLinkData(pack, graph, profile) {
+    const graphMetrics = linkGraphMetrics(graph, currentUrl);
+    const linkData = analyzeLinksAdvanced(profile);
+    const contentData = analyzeContentAdvanced(profile);
+    const urlDepth = (currentUrl.match(/\//g) || []).length - 2; // More accurate depth
+    
+    // Links to redirects, errors and non-indexable pages don't count toward the link targets
+    const destinations = validateLinkDestinations(linkData, graph);
+    const countedLinks = destinations.checked
+        ? { ...linkData, contextual: destinations.valid, uniqueContextual: destinations.uniqueValid }
+        : linkData;
+    
+    const contextualDensity = contentData.words > 0 ? (countedLinks.contextual / contentData.words) * 100 : 0;
+    const linkDiversity = calculateLinkDiversity(linkData);
+    const externalBalance = checkExternalLinkBalance(linkData);
+    
+    const anchorAudit = auditAnchors(linkData);
+    
+    const classification = classifyPageType(pack, contentData);
+    const pageType = classification.type;
+    const opportunityAnalysis = calculateContextualOpportunity(countedLinks, contentData, pageType, urlDepth, graphMetrics, pack);
+    const recommendations = generateContextualRecommendations(countedLinks, contentData, pageType, opportunityAnalysis.gapAnalysis, externalBalance, graphMetrics, pack, destinations);
+    
+    const contextualLinkData = {
+        'URL': currentUrl,
+        'Page Type': pageType,
+        'Page Type Confidence': classification.confidence,
+        'Page Type Signals': classification.signals.join(', ') || 'None',
+        'Vertical Pack': pack.name,
+        'Content Words': contentData.words,
+        'Content Quality': contentData.quality.toUpperCase(),
+        'Extraction Method': contentData.method,
+        'Contextual Links': linkData.contextual,
+        'Unique Contextual': linkData.uniqueContextual.size,
+        'Valid Contextual Links': destinations.checked ? `${destinations.valid} of ${linkData.contextual}` : 'N/A',
+        'Links To Redirects': destinations.checked ? formatFindings(destinations.redirects, item => `${item.href} (${item.label})`) : 'N/A',
+        'Links To Errors': destinations.checked ? formatFindings(destinations.errors, item => `${item.href} (${item.label})`) : 'N/A',
+        'Links To Non-Indexable': destinations.checked ? formatFindings(destinations.nonIndexable, item => `${item.href} (${item.label})`) : 'N/A',
+        'Update Links To': destinations.checked ? formatFindings(destinations.updates, item => `${item.href} → ${item.finalUrl}`) : 'N/A',
+        'Unverified Link Targets': destinations.checked ? formatFindings(destinations.unverified, item => `${item.href} (${item.label})`) : 'N/A',
+        'Link Diversity': linkDiversity,
+        'Template Links': linkData.template,
+        'Template Detection': linkData.detection,
+        'Site Profile': profile ? profile.name : 'None',
+        'Profile Link Overrides': Array.from(linkData.profileOverrides, ([selector, count]) => `${selector} (${count})`).join(', ') || 'None',
+        'Anchor Diversity': anchorAudit.diversity !== null ? anchorAudit.diversity + '/100' : 'N/A',
+        'Generic Anchors': formatFindings(anchorAudit.generic, item => `"${item.anchor}" → ${item.target}`),
+        'Empty Anchors': formatFindings(anchorAudit.empty, item => `${item.image ? 'image without alt' : 'no text'} → ${item.target}`),
+        'Exact-Match Anchors': anchorAudit.exactMatch.length === 0 ? 'None' :
+            `${Math.round(anchorAudit.exactShare * 100)}%${anchorAudit.overOptimised ? ' OVER-OPTIMISED' : ''} - ` +
+            formatFindings(anchorAudit.exactMatch, item => `"${item.anchor}" → ${item.target}`),
+        'Ambiguous Anchors': formatFindings(anchorAudit.ambiguous, item => `"${item.anchor}" → ${item.targets.length} targets (${item.targets.slice(0, 3).join(', ')})`),
+        'Anchor Variants': formatFindings(anchorAudit.variants, item => `${item.target} ← ${item.anchors.length} anchors`),
+        'Anchor Pages Seen': anchorAudit.pagesSeen,
+        'Anchor Store': formatAnchorStore(anchorAudit.store),
+        'Contextual Density': contextualDensity.toFixed(1) + '%',
+        'Ideal Contextual Links': opportunityAnalysis.gapAnalysis.recommendedLinks,
+        'Link Gap': opportunityAnalysis.gapAnalysis.hasGap ? 
+            `${opportunityAnalysis.gapAnalysis.recommendedLinks - countedLinks.contextual} MISSING` : 'NONE',
+        'Gap Severity': opportunityAnalysis.gapAnalysis.severity.toUpperCase(),
+        'External Link Balance': externalBalance,
+        'Opportunity Score': opportunityAnalysis.score + '/100',
+        'Score Breakdown': opportunityAnalysis.scoreBreakdown.join(' | '),
+        'URL Depth': urlDepth,
+        'Click Depth': graphMetrics && graphMetrics.depth !== null ? graphMetrics.depth : (graphMetrics ? 'UNREACHABLE' : 'N/A'),
+        'Internal Link Score': graphMetrics && graphMetrics.linkScore !== null ? graphMetrics.linkScore : 'N/A',
+        'Contextual Link Score': graphMetrics && graphMetrics.contextualLinkScore !== null ? graphMetrics.contextualLinkScore : 'N/A',
+        'Inlinks (Contextual/Template)': graphMetrics ? `${graphMetrics.contextualInlinks}/${graphMetrics.templateInlinks}` : 'N/A',
+        'Orphan Page': graphMetrics ? (graphMetrics.orphan ? 'YES' : 'NO') : 'N/A',
+        'Dead End': graphMetrics ? (graphMetrics.deadEnd ? 'YES' : 'NO') : 'N/A',
+        'External Links': linkData.external,
+        'Primary Issue': opportunityAnalysis.opportunities[0] || 'No significant issues',
+        'Action 1': recommendations[0] || 'Monitor current approach',
+        'Action 2': recommendations[1] || 'No additional actions needed',
+        'Action 3': recommendations[2] || 'Consider content expansion',
+        'Link Priority': opportunityAnalysis.score >= 50 ? 'HIGH' : 
+                        (opportunityAnalysis.score >= 25 ? 'MEDIUM' : 'LOW'),
+        'Quick Fix': contentData.words < 10 ? 'URGENT: Fix broken/empty page content' :
+                    (contentData.words < 50 && pageType.includes('blog') ? 'URGENT: Add substantial blog content' :
+                    (countedLinks.contextual === 0 && contentData.words >= 50 ? 'Add 1-2 contextual links immediately' :
+                    (destinations.errors.length > 0 ? `Fix ${destinations.errors.length} broken links` :
+                    (opportunityAnalysis.gapAnalysis.hasGap ? `Add ${opportunityAnalysis.gapAnalysis.recommendedLinks - countedLinks.contextual} more links` : 
+                    (linkData.contextual > 5 && (linkData.uniqueContextual.size / linkData.contextual) < 0.7 ? 
+                    'Remove duplicate links' : 'Maintain current linking')))))
+    };
+    
+    return contextualLinkData;
+}
 
-// Return focused contextual analysis
-return seoSpider.data(contextualLinkData);
\ No newline at end of file
+// Return focused contextual analysis, once the vertical pack, link graph and site profile (if any) have loaded
+return Promise.all([loadVerticalPack(), loadLinkGraph(), loadSiteProfile()])
+    .then(([pack, graph, profile]) => seoSpider.data(buildContextualLinkData(pack, graph, profile)));
\ No newline at end of file
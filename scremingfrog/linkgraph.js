@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+// Internal Link Graph Builder
+// Builds the site-wide link graph from Screaming Frog's "Bulk Export > Links >
+// All Inlinks" file: internal PageRank over all links and over contextual links
+// only, click depth from the homepage, orphan and dead-end pages. linkgap.js
+// reads the JSON output through CONFIG.LINK_GRAPH_SOURCE.
+//
+// Usage:
+//   node linkgraph.js <all_inlinks.csv> [options]
+//
+// Options:
+//   --crawl <file>         "Internal: All" export, so pages without any inlinks are reported as orphans
+//                          and linkgap.js can check link targets' indexability, canonicals and redirects
+//   --homepage <url>       Start of click depth (default: the site root with the most inlinks)
+//   --out <file>           Metrics JSON for linkgap.js (default: <input>.graph.json)
+//   --report <file>        Per-URL metrics CSV (default: <input>.graph.csv)
+
+const fs = require('fs');
+const path = require('path');
+
+const { SEMANTIC_CONFIG, CrawlDataProvider, LinkGraph } = require('./semantic.js');
+
+const REPORT_COLUMNS = [
+    ['URL', 'url'],
+    ['Status Code', 'statusCode'],
+    ['Link Score', 'linkScore'],
+    ['Contextual Link Score', 'contextualLinkScore'],
+    ['PageRank', 'pageRank'],
+    ['Contextual PageRank', 'contextualPageRank'],
+    ['Unique Inlinks', 'uniqueInlinks'],
+    ['Contextual Inlinks', 'contextualInlinks'],
+    ['Template Inlinks', 'templateInlinks'],
+    ['Unique Outlinks', 'uniqueOutlinks'],
+    ['Contextual Outlinks', 'contextualOutlinks'],
+    ['Click Depth', 'depth'],
+    ['Orphan', 'orphan'],
+    ['Dead End', 'deadEnd'],
+    ['Indexability', 'indexability'],
+    ['Indexability Status', 'indexabilityStatus'],
+    ['Canonical', 'canonical'],
+    ['Redirect URL', 'redirectUrl'],
+    ['Meta Robots', 'robots']
+];
+
+// ================================
+// ARGUMENTS
+// ================================
+function parseArgs(argv) {
+    const options = {
+        input: null,
+        crawl: null,
+        homepage: null,
+        out: null,
+        report: null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--crawl') options.crawl = argv[++i];
+        else if (arg === '--homepage') options.homepage = argv[++i];
+        else if (arg === '--out') options.out = argv[++i];
+        else if (arg === '--report') options.report = argv[++i];
+        else if (!arg.startsWith('--') && !options.input) options.input = arg;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+
+    if (!options.input) {
+        throw new Error('Usage: node linkgraph.js <all_inlinks.csv> [--crawl internal_all.csv] [--homepage url] [--out graph.json] [--report graph.csv]');
+    }
+
+    const stem = options.input.replace(/\.[^./\\]+$/, '');
+    options.out = options.out || `${stem}.graph.json`;
+    options.report = options.report || `${stem}.graph.csv`;
+
+    return options;
+}
+
+// ================================
+// OUTPUT
+// ================================
+function csvEscape(value) {
+    return `"${String(value === undefined || value === null ? '' : value).replace(/"/g, '""')}"`;
+}
+
+function writeReport(file, graph) {
+    const rows = Array.from(graph.metrics.values())
+        .sort((a, b) => b.pageRank - a.pageRank || (a.url < b.url ? -1 : 1));
+
+    const lines = [REPORT_COLUMNS.map(([header]) => csvEscape(header)).join(',')];
+    rows.forEach(row => lines.push(REPORT_COLUMNS.map(([, key]) => {
+        const value = row[key];
+        return csvEscape(typeof value === 'boolean' ? (value ? 'YES' : 'NO') : value);
+    }).join(',')));
+
+    fs.writeFileSync(file, lines.join('\r\n') + '\r\n');
+}
+
+// ================================
+// MAIN
+// ================================
+async function buildLinkGraph(options) {
+    const config = {
+        ...SEMANTIC_CONFIG,
+        LINK_DATA_SOURCE: options.input,
+        LINK_GRAPH_HOMEPAGE: options.homepage || SEMANTIC_CONFIG.LINK_GRAPH_HOMEPAGE,
+        CRAWL_DATA_SOURCE: options.crawl
+    };
+
+    const crawlData = options.crawl ? new CrawlDataProvider(config) : null;
+    const graph = await new LinkGraph(config, crawlData).load();
+    if (graph.linkCount === 0) throw new Error(`No followed internal hyperlinks found in ${options.input}`);
+
+    fs.writeFileSync(options.out, JSON.stringify(graph.toJSON()));
+    writeReport(options.report, graph);
+
+    return graph;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const graph = await buildLinkGraph(options);
+    const { summary } = graph.toJSON();
+
+    console.error(`🏠 Homepage: ${graph.homepage || 'not found (pass --homepage)'}, max click depth ${summary.maxDepth}`);
+    console.error(`📊 ${summary.pages} pages, ${summary.links} links (${summary.contextualLinks} contextual)`);
+    console.error(`⚠️ ${summary.orphans} orphans, ${summary.deadEnds} dead ends, ${summary.unreachable} unreachable from the homepage`);
+    console.error(`✅ Metrics written to ${path.resolve(options.out)} and ${path.resolve(options.report)}`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`💥 ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    buildLinkGraph
+};
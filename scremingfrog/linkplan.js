@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+// Cross-Page Link Planner
+// Turns per-page link gaps into concrete link pairs: which page should link to
+// which, from which paragraph, with which anchor text, and the expected impact.
+// Sources are pages short of contextual links; targets are semantically similar
+// pages that are orphaned, only template-linked, deep or weak in contextual PageRank.
+//
+// Usage:
+//   node linkplan.js <internal_all.csv | crawl.jsonl> --links <all_inlinks.csv> [options]
+//
+// Options:
+//   --links <file>          All Inlinks export (required; see linkgraph.js)
+//   --gaps <file>           linkgap.js results (runner.js output or a Screaming Frog custom JS export)
+//   --out <file>            Link plan as .csv or .jsonl (default: <input>.linkplan.csv)
+//   --max-per-source <n>    Links suggested per source page (default: MAX_SUGGESTIONS_PER_PAGE)
+//   --max-per-target <n>    Links suggested per target page (default: 3)
+//   --min-similarity <x>    Minimum page similarity (default: RELEVANCE_THRESHOLD)
+//   --words-per-link <n>    Contextual links expected per n words when --gaps is absent (default: 100)
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+    SEMANTIC_CONFIG,
+    SemanticAIAnalyzer,
+    CrawlDataProvider,
+    KeywordExtractor,
+    parseCsv
+} = require('./semantic.js');
+
+const PLAN_COLUMNS = [
+    ['Source URL', 'source'],
+    ['Target URL', 'target'],
+    ['Anchor', 'anchor'],
+    ['Placement', 'placement'],
+    ['Paragraph', 'paragraph'],
+    ['Similarity', 'similarity'],
+    ['Source Gap', 'sourceGap'],
+    ['Target Issue', 'targetIssue'],
+    ['Est. Contextual PageRank Gain', 'pageRankGain'],
+    ['Impact', 'impact'],
+    ['Score', 'score']
+];
+
+// ================================
+// ARGUMENTS
+// ================================
+function parseArgs(argv) {
+    const options = {
+        input: null,
+        links: null,
+        gaps: null,
+        out: null,
+        maxPerSource: SEMANTIC_CONFIG.MAX_SUGGESTIONS_PER_PAGE,
+        maxPerTarget: 3,
+        minSimilarity: SEMANTIC_CONFIG.RELEVANCE_THRESHOLD,
+        wordsPerLink: 100
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--links') options.links = argv[++i];
+        else if (arg === '--gaps') options.gaps = argv[++i];
+        else if (arg === '--out') options.out = argv[++i];
+        else if (arg === '--max-per-source') options.maxPerSource = parseInt(argv[++i], 10);
+        else if (arg === '--max-per-target') options.maxPerTarget = parseInt(argv[++i], 10);
+        else if (arg === '--min-similarity') options.minSimilarity = parseFloat(argv[++i]);
+        else if (arg === '--words-per-link') options.wordsPerLink = parseInt(argv[++i], 10);
+        else if (!arg.startsWith('--') && !options.input) options.input = arg;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+
+    if (!options.input || !options.links) {
+        throw new Error('Usage: node linkplan.js <internal_all.csv> --links <all_inlinks.csv> [--gaps linkgap.csv] [--out plan.csv] [--max-per-source 5] [--max-per-target 3] [--min-similarity 0.7]');
+    }
+
+    const stem = options.input.replace(/\.[^./\\]+$/, '');
+    options.out = options.out || `${stem}.linkplan.csv`;
+
+    return options;
+}
+
+// ================================
+// INPUT / OUTPUT
+// ================================
+function readRecords(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (/\.jsonl$/i.test(file)) {
+        return text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+    }
+    return parseCsv(text.replace(/^\uFEFF/, ''));
+}
+
+/**
+ * Column value by name; runner.js prefixes columns with the script name ("linkgap: Link Gap")
+ */
+function pickColumn(record, name) {
+    const key = Object.keys(record).find(column => column === name || column.endsWith(`: ${name}`));
+    return key ? record[key] : undefined;
+}
+
+/**
+ * Per-URL gap from linkgap.js output: links still missing and the opportunity score
+ */
+function readGaps(file, normalizeUrl) {
+    const gaps = new Map();
+
+    readRecords(file).forEach(record => {
+        const url = pickColumn(record, 'URL') || pickColumn(record, 'Address');
+        const ideal = parseInt(pickColumn(record, 'Ideal Contextual Links'), 10);
+        // Links to redirects, errors and non-indexable pages don't close the gap ("5 of 7")
+        const current = parseInt(pickColumn(record, 'Valid Contextual Links') || pickColumn(record, 'Contextual Links'), 10);
+        const score = parseInt(pickColumn(record, 'Opportunity Score'), 10);
+        if (!url || Number.isNaN(ideal) || Number.isNaN(current)) return;
+
+        gaps.set(normalizeUrl(url), {
+            missing: Math.max(0, ideal - current),
+            ideal: ideal,
+            severity: Number.isNaN(score) ? Math.min(1, Math.max(0, ideal - current) / ideal) : score / 100
+        });
+    });
+
+    return gaps;
+}
+
+function csvEscape(value) {
+    return `"${String(value === undefined || value === null ? '' : value).replace(/"/g, '""')}"`;
+}
+
+function writePlan(file, rows) {
+    if (/\.jsonl$/i.test(file)) {
+        fs.writeFileSync(file, rows.map(row => JSON.stringify(row)).join('\n') + '\n');
+        return;
+    }
+
+    const lines = [PLAN_COLUMNS.map(([header]) => csvEscape(header)).join(',')];
+    rows.forEach(row => lines.push(PLAN_COLUMNS.map(([, key]) => csvEscape(row[key])).join(',')));
+    fs.writeFileSync(file, lines.join('\r\n') + '\r\n');
+}
+
+// ================================
+// GAPS AND NEEDS
+// ================================
+
+/**
+ * Links the page is short of, from linkgap.js results or, without them, from its
+ * word count against the contextual links the link graph found on it
+ */
+function sourceGap(page, metrics, gaps, options) {
+    if (gaps.has(page.url)) return gaps.get(page.url);
+
+    const ideal = Math.max(1, Math.floor((page.wordCount || 0) / options.wordsPerLink));
+    const missing = Math.max(0, ideal - (metrics ? metrics.contextualOutlinks : 0));
+    return { missing: missing, ideal: ideal, severity: missing / ideal };
+}
+
+/**
+ * How much the page needs a new contextual inlink (0-1) and why
+ */
+function targetNeed(metrics) {
+    if (!metrics || metrics.orphan) return { need: 1, issue: 'ORPHAN' };
+    if (metrics.contextualInlinks === 0) return { need: 0.8, issue: 'NO CONTEXTUAL INLINKS' };
+
+    const depthNeed = metrics.depth === null ? 0.6 : Math.min(0.6, Math.max(0, metrics.depth - 2) * 0.2);
+    const rankNeed = metrics.contextualLinkScore === null ? 0 : (1 - metrics.contextualLinkScore / 100) * 0.5;
+
+    if (depthNeed >= rankNeed && depthNeed > 0) {
+        return { need: depthNeed, issue: metrics.depth === null ? 'UNREACHABLE' : `DEPTH ${metrics.depth}` };
+    }
+    return { need: rankNeed, issue: rankNeed >= 0.3 ? 'LOW CONTEXTUAL PAGERANK' : 'NONE' };
+}
+
+// ================================
+// PARAGRAPHS AND ANCHORS
+// ================================
+
+/**
+ * Paragraphs of a page's body text; single-block extractions are split into groups of three sentences
+ */
+function splitParagraphs(text) {
+    const blocks = String(text || '')
+        .split(/\r?\n/)
+        .map(block => block.replace(/\s+/g, ' ').trim())
+        .filter(block => block.split(' ').length >= 8);
+    if (blocks.length > 1) return blocks;
+
+    const sentences = (blocks[0] || '').match(/[^.!?]+(?:[.!?]+|$)/g) || [];
+    const paragraphs = [];
+    for (let i = 0; i < sentences.length; i += 3) {
+        paragraphs.push(sentences.slice(i, i + 3).join('').trim());
+    }
+    return paragraphs.filter(Boolean);
+}
+
+/**
+ * The first anchor phrase (best first) found as whole words in a paragraph not yet
+ * used for another link. Falls back to the paragraph sharing most target keywords,
+ * where a new sentence with the link has to be written.
+ */
+function choosePlacement(paragraphs, phrases, usedParagraphs) {
+    const available = paragraphs.filter(paragraph => !usedParagraphs.has(paragraph));
+
+    for (const phrase of phrases) {
+        for (const paragraph of available) {
+            const match = KeywordExtractor.findPhrase(paragraph, phrase);
+            if (match) return { paragraph, anchor: match.text, placement: 'EXISTING TEXT' };
+        }
+    }
+
+    if (available.length === 0 || phrases.length === 0) return null;
+
+    const targetTerms = new Set(phrases.flatMap(phrase => KeywordExtractor.terms(phrase)));
+    const best = available
+        .map(paragraph => ({ paragraph, overlap: KeywordExtractor.terms(paragraph).filter(term => targetTerms.has(term)).length }))
+        .reduce((top, candidate) => (candidate.overlap > top.overlap ? candidate : top));
+
+    return { paragraph: best.paragraph, anchor: phrases[0], placement: 'NEW SENTENCE' };
+}
+
+// ================================
+// PLANNING
+// ================================
+async function planLinks(options) {
+    const analyzer = new SemanticAIAnalyzer({
+        CRAWL_DATA_SOURCE: options.input,
+        LINK_DATA_SOURCE: options.links
+    });
+
+    const pages = (await analyzer.crawlData.getPages())
+        .filter(page => page.statusCode === null || (page.statusCode >= 200 && page.statusCode < 300));
+    if (pages.length === 0) throw new Error(`No HTML pages found in ${options.input}`);
+
+    const linkGraph = await analyzer._getLinkGraph();
+    if (linkGraph.linkCount === 0) throw new Error(`No followed internal hyperlinks found in ${options.links}`);
+
+    const extractor = await analyzer._getKeywordExtractor();
+    const gaps = options.gaps ? readGaps(options.gaps, CrawlDataProvider.normalizeUrl) : new Map();
+    const pagesByUrl = new Map(pages.map(page => [page.url, page]));
+
+    const reference = await analyzer._getReferenceEmbedding(pages);
+    const index = await analyzer._getVectorIndex(reference);
+
+    // Deficit pages first, most severe first, so they get first pick of the targets
+    const sources = pages
+        .map(page => ({ page, gap: sourceGap(page, linkGraph.getMetrics(page.url), gaps, options) }))
+        .filter(({ page, gap }) => gap.missing > 0 && page.content)
+        .sort((a, b) => b.gap.severity - a.gap.severity || b.gap.missing - a.gap.missing || (a.page.url < b.page.url ? -1 : 1));
+
+    const plan = [];
+    const perTarget = new Map();
+    const searchWidth = Math.max(options.maxPerSource * 4, 20);
+
+    for (const { page, gap } of sources) {
+        const embedding = await analyzer._getPageEmbedding(page, reference).catch(() => null);
+        if (!embedding) continue;
+
+        const sourceMetrics = linkGraph.getMetrics(page.url);
+        const candidates = index.search(embedding, searchWidth, options.minSimilarity)
+            .filter(result => result.id !== page.url && pagesByUrl.has(result.id))
+            .filter(result => !linkGraph.hasLink(page.url, result.id))
+            .filter(result => (perTarget.get(result.id) || 0) < options.maxPerTarget)
+            .map(result => {
+                const need = targetNeed(linkGraph.getMetrics(result.id));
+                return { ...result, ...need, score: result.similarity * (0.5 + need.need) * (0.5 + gap.severity) };
+            })
+            .sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : 1));
+
+        const paragraphs = splitParagraphs(page.content);
+        const usedParagraphs = new Set();
+        let added = 0;
+
+        for (const candidate of candidates) {
+            if (added >= Math.min(gap.missing, options.maxPerSource)) break;
+
+            const target = pagesByUrl.get(candidate.id);
+            const placement = choosePlacement(paragraphs, extractor.anchorPhrases(target, 8, SEMANTIC_CONFIG.MAX_ANCHOR_LENGTH), usedParagraphs);
+            if (!placement) break;
+
+            // First-order PageRank passed on: damping x source rank / its contextual outlinks after the new link
+            const targetMetrics = linkGraph.getMetrics(candidate.id);
+            const passed = sourceMetrics
+                ? analyzer.config.PAGERANK_DAMPING * sourceMetrics.contextualPageRank / (sourceMetrics.contextualOutlinks + 1)
+                : 0;
+            const gain = targetMetrics && targetMetrics.contextualPageRank > 0 ? passed / targetMetrics.contextualPageRank : 0;
+
+            usedParagraphs.add(placement.paragraph);
+            perTarget.set(candidate.id, (perTarget.get(candidate.id) || 0) + 1);
+            added++;
+
+            plan.push({
+                source: page.url,
+                target: candidate.id,
+                anchor: placement.anchor,
+                placement: placement.placement,
+                paragraph: placement.paragraph.length > 300 ? `${placement.paragraph.slice(0, 297)}...` : placement.paragraph,
+                similarity: Number(candidate.similarity.toFixed(3)),
+                sourceGap: `${gap.missing} of ${gap.ideal} missing`,
+                targetIssue: candidate.issue,
+                pageRankGain: `+${Math.round(gain * 100)}%`,
+                impact: candidate.score >= 1.2 ? 'HIGH' : candidate.score >= 0.7 ? 'MEDIUM' : 'LOW',
+                score: Number(candidate.score.toFixed(3))
+            });
+        }
+    }
+
+    plan.sort((a, b) => b.score - a.score);
+    writePlan(options.out, plan);
+
+    return { sources: sources.length, plan, targets: perTarget.size };
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const result = await planLinks(options);
+    const impacts = result.plan.reduce((counts, row) => ({ ...counts, [row.impact]: (counts[row.impact] || 0) + 1 }), {});
+
+    console.error(`📋 ${result.sources} pages short of contextual links`);
+    console.error(`🔗 ${result.plan.length} links planned to ${result.targets} target pages (${['HIGH', 'MEDIUM', 'LOW'].map(impact => `${impacts[impact] || 0} ${impact}`).join(', ')})`);
+    console.error(`✅ Written to ${path.resolve(options.out)}`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`💥 ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    planLinks,
+    splitParagraphs,
+    choosePlacement,
+    targetNeed
+};
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+// Embedding Migration Tool
+// Re-embeds a crawl export with a new embedding model so stored vectors, the
+// embedding cache and the site centroid all live in one model space again.
+//
+// Usage:
+//   node migrate.js <crawl.csv | crawl.jsonl> --model <name> [options]
+//
+// Options:
+//   --model <name>         Target embedding model (required)
+//   --provider <name>      'ollama', 'ollama-legacy', 'openai' or 'local' (default: SEMANTIC_CONFIG)
+//   --endpoint <url>       Embedding server (default: SEMANTIC_CONFIG)
+//   --dimensions <n>       Requested output dimensions, where the model supports it
+//   --column <name>        Embedding column (default: first column named like "Embedding")
+//   --out <file>           Migrated export as .csv or .jsonl (default: <input>.<model>.csv)
+//   --cache <file>         Embedding cache JSONL to warm (default: EMBEDDING_CACHE_PATH)
+//   --force                Re-embed every row, even those already tagged with the target model
+
+const fs = require('fs');
+
+const {
+    SEMANTIC_CONFIG,
+    CrawlDataProvider,
+    EmbeddingVector,
+    EmbeddingCache,
+    EmbeddingRequestQueue,
+    createEmbeddingProvider,
+    parseCsv
+} = require('./semantic.js');
+const { parseEmbeddingValue, formatEmbeddingOutput } = require('./vector.js');
+
+// ================================
+// ARGUMENTS
+// ================================
+function parseArgs(argv) {
+    const options = {
+        input: null,
+        model: null,
+        provider: null,
+        endpoint: null,
+        dimensions: null,
+        column: null,
+        out: null,
+        cache: null,
+        force: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--model') options.model = argv[++i];
+        else if (arg === '--provider') options.provider = argv[++i];
+        else if (arg === '--endpoint') options.endpoint = argv[++i];
+        else if (arg === '--dimensions') options.dimensions = parseInt(argv[++i], 10);
+        else if (arg === '--column') options.column = argv[++i];
+        else if (arg === '--out') options.out = argv[++i];
+        else if (arg === '--cache') options.cache = argv[++i];
+        else if (arg === '--force') options.force = true;
+        else if (!arg.startsWith('--') && !options.input) options.input = arg;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+
+    if (!options.input || !options.model) {
+        throw new Error('Usage: node migrate.js <crawl.csv | crawl.jsonl> --model <name> [--provider ollama] [--endpoint url] [--dimensions n] [--out migrated.csv] [--cache cache.jsonl] [--force]');
+    }
+
+    const stem = options.input.replace(/\.[^./\\]+$/, '');
+    options.out = options.out || `${stem}.${options.model.replace(/[^\w.-]+/g, '_')}.csv`;
+
+    return options;
+}
+
+// ================================
+// INPUT / OUTPUT
+// ================================
+function readRecords(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (/\.jsonl$/i.test(file)) {
+        return text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+    }
+    return parseCsv(text.replace(/^\uFEFF/, ''));
+}
+
+function writeRecords(file, records) {
+    if (/\.jsonl$/i.test(file)) {
+        fs.writeFileSync(file, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+        return;
+    }
+
+    const columns = [];
+    records.forEach(record => Object.keys(record).forEach(key => {
+        if (!columns.includes(key)) columns.push(key);
+    }));
+
+    const escape = value => `"${String(value === undefined || value === null ? '' : value).replace(/"/g, '""')}"`;
+    const lines = [columns.map(escape).join(',')];
+    records.forEach(record => lines.push(columns.map(column => escape(record[column])).join(',')));
+    fs.writeFileSync(file, lines.join('\r\n') + '\r\n');
+}
+
+// ================================
+// MIGRATION
+// ================================
+
+/**
+ * The same text semantic.js embeds for a crawl page, so the warmed cache is reused there
+ */
+function pageText(crawlData, record, config) {
+    const page = crawlData._normalizeRecord(record);
+    if (!page) return null;
+    const text = page.content || [page.title, page.h1].filter(Boolean).join('. ');
+    return text ? text.slice(0, config.MAX_CONTENT_LENGTH) : null;
+}
+
+function needsMigration(parsed, provider, force) {
+    if (force || !parsed.vector || !['ok', 'repaired'].includes(parsed.status)) return true;
+
+    const meta = parsed.meta || {};
+    if (meta.method === 'fallback' || meta.model !== provider.model) return true;
+    return !!provider.dimensions && parsed.vector.length !== provider.dimensions;
+}
+
+async function migrateExport(options) {
+    const config = {
+        ...SEMANTIC_CONFIG,
+        EMBEDDING_MODEL: options.model,
+        EMBEDDING_PROVIDER: options.provider || SEMANTIC_CONFIG.EMBEDDING_PROVIDER,
+        EMBEDDING_ENDPOINT: options.endpoint || SEMANTIC_CONFIG.EMBEDDING_ENDPOINT,
+        EMBEDDING_DIMENSIONS: options.dimensions || SEMANTIC_CONFIG.EMBEDDING_DIMENSIONS,
+        EMBEDDING_CACHE_PATH: options.cache || SEMANTIC_CONFIG.EMBEDDING_CACHE_PATH
+    };
+
+    const provider = createEmbeddingProvider(config);
+    const cache = new EmbeddingCache(config, provider);
+    const queue = new EmbeddingRequestQueue(provider, config);
+    const crawlData = new CrawlDataProvider(config);
+    const tags = { provider: provider.name, model: provider.model };
+
+    if (!await provider.checkConnection()) {
+        throw new Error(`${provider.name} embedding provider not reachable at ${provider.endpoint}`);
+    }
+
+    const records = readRecords(options.input);
+    if (records.length === 0) throw new Error(`No rows found in ${options.input}`);
+
+    const column = options.column || Object.keys(records[0]).find(key => /embedding/i.test(key)) || 'Embedding';
+    const summary = { kept: 0, reembedded: 0, cached: 0, noText: 0, failed: 0 };
+    const fromModels = new Map();
+
+    await Promise.all(records.map(async record => {
+        const parsed = parseEmbeddingValue(record[column]);
+        if (!needsMigration(parsed, provider, options.force)) {
+            summary.kept++;
+            return;
+        }
+
+        const fromModel = (parsed.meta && parsed.meta.model) || (parsed.vector ? `untagged@${parsed.vector.length}` : parsed.status);
+        fromModels.set(fromModel, (fromModels.get(fromModel) || 0) + 1);
+
+        const text = pageText(crawlData, record, config);
+        if (!text) {
+            summary.noText++;
+            record[column] = '';
+            return;
+        }
+
+        try {
+            const key = await cache.keyFor(text);
+            let embedding = EmbeddingVector.from(await cache.get(key), tags);
+
+            if (embedding) {
+                summary.cached++;
+            } else {
+                embedding = new EmbeddingVector(await queue.enqueue(text), tags);
+                await cache.set(key, embedding.toJSON());
+                summary.reembedded++;
+            }
+
+            record[column] = formatEmbeddingOutput(embedding.vector, provider.name, provider.model);
+        } catch (error) {
+            summary.failed++;
+            record[column] = '';
+            console.error(`❌ ${record.Address || record.URL || record.url}: ${error.message}`);
+        }
+    }));
+
+    writeRecords(options.out, records);
+    return { total: records.length, column, summary, fromModels, queue: queue.getStats() };
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const result = await migrateExport(options);
+    const { summary } = result;
+
+    console.error(`🔄 Migrating "${result.column}" to ${options.model}`);
+    result.fromModels.forEach((count, model) => console.error(`   ${model}: ${count} rows`));
+    console.error(`📊 ${result.total} rows: ${summary.kept} already current, ${summary.reembedded} re-embedded, ${summary.cached} from cache, ${summary.noText} without text, ${summary.failed} failed`);
+    console.error(`⚡ ${result.queue.batches} batches, ${result.queue.retries} retries`);
+    console.error(`✅ Written to ${options.out}`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`💥 ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    migrateExport,
+    needsMigration
+};
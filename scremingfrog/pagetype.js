@@ -0,0 +1,481 @@
+// Page Type Classification for Screaming Frog SEO Spider
+// One classifier shared by linkgap.js and semantic.js, so every report gives a page
+// the same type, with a confidence value and the signals behind it.
+// Screaming Frog runs each snippet on its own: `node bundle.js` inlines this file
+// wherever a script says "// @requires pagetype.js" (runner.js does the same).
+// @requires content.js
+// @requires common.js
+
+const PageTypeHelpers = typeof JsonStore !== 'undefined'
+    ? { JsonStore, hashText }
+    : require('./common.js');
+
+// Built-in crypto exchange pack, used when VERTICAL_PACK_SOURCE is not set. Within each
+// signal the first matching page type wins; minLinks/weight/message score pages short of
+// contextual links in linkgap.js, expectedTopics/linkingFocus drive semantic.js.
+const DEFAULT_VERTICAL_PACK = {
+    name: 'crypto',
+    pageTypes: [
+        {
+            type: 'homepage',
+            patterns: ['^https?://[^/]+/?(\\?.*)?$'],
+            minLinks: 4,
+            weight: 20,
+            message: 'Homepage needs strong internal linking foundation',
+            suggestions: ['Feature key trading pairs', 'Link to educational content for beginners', 'Highlight security/trust signals'],
+            expectedTopics: ['trading', 'security', 'fees', 'support', 'education'],
+            linkingFocus: 'Focus on high-conversion pages like trading and signup'
+        },
+        {
+            type: 'trading-pair',
+            patterns: ['/(trade|trading)/[a-z]+-[a-z]+'],
+            minLinks: 3,
+            weight: 15,
+            message: 'Trading pairs should link to: guides, security, related pairs',
+            suggestions: ['Link to security/safety guides', 'Reference related trading pairs', 'Connect to educational content about this crypto'],
+            expectedTopics: ['charts', 'orders', 'pairs', 'analysis', 'tools'],
+            linkingFocus: 'Link to educational content and related trading pairs'
+        },
+        {
+            type: 'trading-general',
+            patterns: ['/(trade|trading|exchange|buy|sell)/'],
+            keywords: ['trade', 'trading'],
+            expectedTopics: ['charts', 'orders', 'pairs', 'analysis', 'tools'],
+            linkingFocus: 'Link to educational content and related trading pairs'
+        },
+        {
+            type: 'crypto-specific',
+            patterns: ['/(crypto|coin|bitcoin|ethereum|btc|eth|ada|sol)/'],
+            minLinks: 4,
+            weight: 15,
+            message: 'Crypto pages should link to: trading, market data, guides, news',
+            suggestions: ['Link to current market data/charts', 'Reference trading pages for this crypto', 'Connect to news/updates about this coin']
+        },
+        {
+            type: 'market-data',
+            patterns: ['/(market|price|chart|rates|ticker)/'],
+            minLinks: 2,
+            weight: 10,
+            message: 'Market pages should link to trading and crypto info',
+            suggestions: ['Link to trading pages for displayed pairs', 'Reference analysis/news for featured cryptos']
+        },
+        { type: 'portfolio', patterns: ['/(portfolio|wallet|balance|holdings)/'] },
+        {
+            type: 'learn-hub',
+            patterns: ['/(learn|education|academy|guide|tutorial|how-to)/'],
+            keywords: ['learn', 'education'],
+            schemaTypes: ['HowTo', 'Course'],
+            minLinks: 5,
+            weight: 18,
+            message: 'Educational content needs cross-links to related lessons',
+            suggestions: ['Cross-reference prerequisite lessons', 'Link to practical examples/trading pages', 'Reference related educational content'],
+            expectedTopics: ['basics', 'blockchain', 'strategies', 'analysis', 'risks'],
+            linkingFocus: 'Cross-link to related guides and practical trading pages'
+        },
+        {
+            type: 'blog-article',
+            patterns: ['/(blog|news|article|post|insights)/'],
+            keywords: ['blog', 'news'],
+            schemaTypes: ['BlogPosting', 'NewsArticle', 'Article'],
+            minLinks: 3,
+            weight: 12,
+            message: 'Articles should reference related posts and crypto pages',
+            suggestions: ['Link to mentioned cryptocurrencies', 'Reference related news articles', 'Connect to relevant guides/tutorials']
+        },
+        {
+            type: 'security-page',
+            patterns: ['/(security|safety|2fa|kyc|verification)/'],
+            keywords: ['security', 'safety'],
+            expectedTopics: ['encryption', 'storage', 'authentication', 'compliance', 'insurance'],
+            linkingFocus: 'Link to trust signals and compliance information'
+        },
+        { type: 'fees-pricing', patterns: ['/(fees|pricing|charges|cost|commission)/'] },
+        { type: 'api-developer', patterns: ['/(api|developer|docs|documentation)/'], schemaTypes: ['TechArticle'] },
+        {
+            type: 'support-help',
+            patterns: ['/(support|help|faq|contact|tickets)/'],
+            keywords: ['support', 'help'],
+            schemaTypes: ['FAQPage', 'ContactPage']
+        },
+        { type: 'legal-compliance', patterns: ['/(legal|terms|privacy|policy|compliance)/'], keywords: ['legal', 'terms'] },
+        {
+            type: 'about-company',
+            patterns: ['/(about|company|team|careers)/'],
+            keywords: ['about', 'company'],
+            schemaTypes: ['AboutPage'],
+            expectedTopics: ['company', 'team', 'mission', 'history', 'values'],
+            linkingFocus: 'Link to key product features and differentiators'
+        }
+    ],
+    topicKeywords: {
+        'trading': ['trade', 'trading', 'buy', 'sell', 'exchange'],
+        'security': ['security', 'safe', 'protection', 'secure', 'encryption'],
+        'education': ['learn', 'guide', 'tutorial', 'education', 'course'],
+        'fees': ['fee', 'cost', 'price', 'pricing', 'charge'],
+        'crypto': ['bitcoin', 'ethereum', 'cryptocurrency', 'crypto', 'coin']
+    },
+    defaultTopics: ['general', 'information', 'content'],
+    defaultLinkingFocus: 'Add contextually relevant internal links',
+    entityTargets: {
+        'cryptocurrencies': ['crypto-specific', 'trading-pair', 'trading-general', 'market-data', 'learn-hub'],
+        'tradingTerms': ['trading-pair', 'trading-general', 'learn-hub', 'fees-pricing'],
+        'securityTerms': ['security-page', 'learn-hub', 'support-help'],
+        'technicalTerms': ['learn-hub', 'api-developer', 'trading-general', 'market-data']
+    },
+    conversionTypes: ['trading-pair', 'trading-general'],
+    suggestionCategories: {
+        'navigation': ['trading-pair', 'trading-general'],
+        'educational': ['learn-hub'],
+        'security': ['security-page']
+    }
+};
+
+// How much each signal counts towards a page type (before its strength)
+const PAGE_TYPE_SIGNAL_WEIGHTS = {
+    url: 0.6,
+    schema: 0.5,
+    embedding: 0.5,
+    template: 0.4,
+    title: 0.3,
+    keywords: 0.2
+};
+
+// ================================
+// VERTICAL PACKS
+// ================================
+
+/**
+ * Site-type configuration: page types (URL/title patterns, schema.org types, body
+ * keywords, link minimums and weights, suggestions), expected topics and linking
+ * advice. The same pack JSON drives linkgap.js and semantic.js.
+ */
+class VerticalPack {
+    constructor(data = DEFAULT_VERTICAL_PACK) {
+        this.name = data.name || 'custom';
+        this.pageTypes = (data.pageTypes || []).map(pageType => ({
+            ...pageType,
+            patterns: (pageType.patterns || []).map(pattern => new RegExp(pattern, 'i')),
+            keywords: pageType.keywords || [],
+            schemaTypes: pageType.schemaTypes || []
+        }));
+        this.byType = new Map(this.pageTypes.map(pageType => [pageType.type, pageType]));
+        this.topicKeywords = data.topicKeywords || {};
+        this.defaultTopics = data.defaultTopics || [];
+        this.defaultLinkingFocus = data.defaultLinkingFocus || 'Add contextually relevant internal links';
+        this.entityTargets = data.entityTargets || {};
+        this.conversionTypes = data.conversionTypes || [];
+        this.suggestionCategories = data.suggestionCategories || {};
+    }
+    
+    /**
+     * The pack at source (URL, or a file path in Node), or the built-in one when there is none
+     */
+    static async load(source) {
+        if (!source) return new VerticalPack();
+        
+        let text;
+        if (typeof require === 'function' && !/^https?:\/\//i.test(source)) {
+            text = await require('fs').promises.readFile(source, 'utf8');
+        } else {
+            const response = await fetch(source);
+            if (!response.ok) throw new Error(`Vertical pack request failed: ${response.status}`);
+            text = await response.text();
+        }
+        
+        return new VerticalPack(JSON.parse(text.replace(/^\uFEFF/, '')));
+    }
+    
+    get(type) {
+        return this.byType.get(type) || null;
+    }
+    
+    expectedTopics(type) {
+        const pageType = this.byType.get(type);
+        return pageType && pageType.expectedTopics ? pageType.expectedTopics : this.defaultTopics;
+    }
+    
+    linkingFocus(type) {
+        const pageType = this.byType.get(type);
+        return pageType && pageType.linkingFocus ? pageType.linkingFocus : this.defaultLinkingFocus;
+    }
+    
+    /**
+     * Whether entities of this dictionary category belong on pages of the type
+     */
+    linksEntity(category, type) {
+        return category === type || (this.entityTargets[category] || []).includes(type);
+    }
+    
+    /**
+     * Topics the text mentions: a topic keyword or the topic's own name, as whole words
+     */
+    topicsIn(text) {
+        const topics = new Set(Object.keys(this.topicKeywords));
+        this.pageTypes.forEach(pageType => (pageType.expectedTopics || []).forEach(topic => topics.add(topic)));
+        
+        return Array.from(topics).filter(topic =>
+            [topic, ...(this.topicKeywords[topic] || [])].some(keyword => containsWord(text, keyword))
+        );
+    }
+}
+
+/**
+ * Whole-word, case-insensitive phrase test
+ */
+function containsWord(text, phrase) {
+    const words = String(phrase || '').trim().split(/\s+/).filter(Boolean)
+        .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (words.length === 0) return false;
+    
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${words.join('\\s+')}(?=$|[^\\p{L}\\p{N}])`, 'iu').test(String(text || ''));
+}
+
+// ================================
+// TEMPLATE FINGERPRINTS
+// ================================
+
+/**
+ * Page types seen per template fingerprint (file in Node, localStorage in the
+ * browser). Pages built from the same template share a type, so a page whose
+ * URL says nothing can borrow the type of its template's other pages.
+ */
+class PageTemplateStore {
+    constructor(filePath = null, maxUrlsPerType = 25) {
+        this.filePath = filePath;
+        this.maxUrlsPerType = maxUrlsPerType;
+        this.store = new PageTypeHelpers.JsonStore({
+            key: 'sf-pagetype:templates',
+            filePath: filePath,
+            label: 'page template',
+            empty: () => ({})
+        });
+    }
+    
+    /**
+     * Other pages' types for a fingerprint: { type: count }, leaving out excludeUrl
+     */
+    votes(fingerprint, excludeUrl = null) {
+        const types = this._load()[fingerprint] || {};
+        const votes = {};
+        
+        Object.entries(types).forEach(([type, urls]) => {
+            const count = urls.filter(url => url !== excludeUrl).length;
+            if (count > 0) votes[type] = count;
+        });
+        
+        return votes;
+    }
+    
+    record(fingerprint, type, url) {
+        const data = this._load();
+        const types = data[fingerprint] || (data[fingerprint] = {});
+        
+        // A page counts once, under its latest type
+        Object.values(types).forEach(urls => {
+            const index = urls.indexOf(url);
+            if (index !== -1) urls.splice(index, 1);
+        });
+        const urls = types[type] || (types[type] = []);
+        urls.push(url);
+        if (urls.length > this.maxUrlsPerType) urls.shift();
+        
+        this._save();
+    }
+    
+    _load() {
+        return this.store.load();
+    }
+    
+    _save() {
+        return this.store.save();
+    }
+}
+
+// ================================
+// PAGE TYPE CLASSIFIER
+// ================================
+
+/**
+ * Combines independent signals into one page type:
+ * - url / title: the first pack page type whose patterns match
+ * - schema: the first page type listing one of the page's schema.org types
+ * - keywords: the first page type whose body keywords the main content uses
+ * - template: the type most other pages with the same template fingerprint got
+ * - embedding: the type of the nearest labelled pages (semantic.js, optional)
+ * Each signal votes with weight × strength; votes for the same type combine as
+ * independent evidence, and confidence is discounted by votes for other types.
+ */
+class PageTypeClassifier {
+    constructor(pack = new VerticalPack(), options = {}) {
+        this.pack = pack;
+        this.templateStore = new PageTemplateStore(options.templateStorePath || null);
+        this.minTemplateVotes = options.minTemplateVotes || 3;
+        this.recordThreshold = options.recordThreshold || 0.5;
+    }
+    
+    /**
+     * Classify a page: { url, title, text, document, nearest }. With a document, schema.org
+     * types, main-content keywords and the template fingerprint are read from it;
+     * nearest is an optional { type, similarity } embedding vote.
+     * Returns { type, confidence, signals } - the signals that voted for the type.
+     */
+    classify(page = {}) {
+        const url = String(page.url || '');
+        const title = String(page.title || '');
+        const doc = page.document || null;
+        const text = page.text !== undefined ? page.text : (doc ? PageTypeClassifier.mainText(doc) : '');
+        const votes = [];
+        
+        const byUrl = this._firstMatch(pageType => pageType.patterns.some(pattern => pattern.test(url)));
+        if (url && byUrl) votes.push({ signal: 'url', type: byUrl.type, strength: 1, label: 'url' });
+        
+        const byTitle = this._firstMatch(pageType => pageType.patterns.some(pattern => pattern.test(title)));
+        if (title && byTitle) votes.push({ signal: 'title', type: byTitle.type, strength: 1, label: 'title' });
+        
+        const schemaTypes = doc ? PageTypeClassifier.schemaTypes(doc) : [];
+        const bySchema = this._firstMatch(pageType => pageType.schemaTypes.some(type => schemaTypes.includes(type)));
+        if (bySchema) {
+            const schemaType = bySchema.schemaTypes.find(type => schemaTypes.includes(type));
+            votes.push({ signal: 'schema', type: bySchema.type, strength: 1, label: `schema:${schemaType}` });
+        }
+        
+        let keyword = null;
+        const byKeyword = text ? this._firstMatch(pageType => {
+            keyword = pageType.keywords.find(candidate => containsWord(text, candidate));
+            return Boolean(keyword);
+        }) : null;
+        if (byKeyword) votes.push({ signal: 'keywords', type: byKeyword.type, strength: 1, label: `keywords:${keyword}` });
+        
+        const fingerprint = doc ? PageTypeClassifier.templateFingerprint(doc) : null;
+        const templateVote = fingerprint ? this._templateVote(fingerprint, url) : null;
+        if (templateVote) votes.push(templateVote);
+        
+        if (page.nearest && page.nearest.type) {
+            votes.push({
+                signal: 'embedding',
+                type: page.nearest.type,
+                strength: page.nearest.similarity,
+                label: `embedding:${page.nearest.similarity.toFixed(2)}`
+            });
+        }
+        
+        const result = this._combine(votes);
+        
+        // Only evidence from other signals labels a template, so templates never vote themselves in
+        const ownEvidence = result.signals.some(signal => !signal.startsWith('template:'));
+        if (fingerprint && url && ownEvidence && result.confidence >= this.recordThreshold) {
+            this.templateStore.record(fingerprint, result.type, url);
+        }
+        
+        return result;
+    }
+    
+    _firstMatch(predicate) {
+        return this.pack.pageTypes.find(predicate) || null;
+    }
+    
+    _templateVote(fingerprint, url) {
+        const votes = this.templateStore.votes(fingerprint, url);
+        const total = Object.values(votes).reduce((sum, count) => sum + count, 0);
+        if (total < this.minTemplateVotes) return null;
+        
+        const [type, count] = Object.entries(votes).sort((a, b) => b[1] - a[1])[0];
+        return { signal: 'template', type, strength: count / total, label: `template:${count}/${total}` };
+    }
+    
+    _combine(votes) {
+        const support = new Map();
+        votes.forEach(vote => {
+            const evidence = PAGE_TYPE_SIGNAL_WEIGHTS[vote.signal] * Math.max(0, Math.min(1, vote.strength));
+            support.set(vote.type, 1 - (1 - (support.get(vote.type) || 0)) * (1 - evidence));
+        });
+        if (support.size === 0) return { type: 'other', confidence: 0, signals: [] };
+        
+        // Ties go to the type listed first in the pack
+        const order = type => {
+            const index = this.pack.pageTypes.findIndex(pageType => pageType.type === type);
+            return index === -1 ? Infinity : index;
+        };
+        const [type, best] = Array.from(support.entries())
+            .sort((a, b) => b[1] - a[1] || order(a[0]) - order(b[0]))[0];
+        const total = Array.from(support.values()).reduce((sum, value) => sum + value, 0);
+        
+        return {
+            type,
+            confidence: Math.round(best * (best / total) * 100) / 100,
+            signals: votes.filter(vote => vote.type === type).map(vote => vote.label)
+        };
+    }
+    
+    /**
+     * schema.org types the page declares at top level: JSON-LD @type (including
+     * @graph items) and microdata itemtype outside any other itemscope
+     */
+    static schemaTypes(doc) {
+        const types = new Set();
+        const addTypes = value => [].concat(value || []).forEach(type => {
+            if (typeof type === 'string') types.add(type.replace(/^.*[/#:]/, ''));
+        });
+        
+        doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+            try {
+                [].concat(JSON.parse(script.textContent)).forEach(item => {
+                    if (!item || typeof item !== 'object') return;
+                    addTypes(item['@type']);
+                    [].concat(item['@graph'] || []).forEach(node => node && addTypes(node['@type']));
+                });
+            } catch (error) {
+                // Broken JSON-LD is common; the other signals still apply
+            }
+        });
+        
+        doc.querySelectorAll('[itemscope][itemtype]').forEach(element => {
+            if (!element.parentElement || !element.parentElement.closest('[itemscope]')) {
+                addTypes(element.getAttribute('itemtype').trim().split(/\s+/));
+            }
+        });
+        
+        return Array.from(types);
+    }
+    
+    /**
+     * Hash of the page's template: body classes without IDs, and the tag/class
+     * skeleton of the top two levels of the body
+     */
+    static templateFingerprint(doc) {
+        if (!doc.body) return null;
+        
+        const ignored = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'LINK', 'META', 'IFRAME'];
+        const describe = element => {
+            const className = Array.from(element.classList || []).find(name => !/\d/.test(name));
+            return element.tagName.toLowerCase() + (className ? `.${className}` : '');
+        };
+        const children = element => Array.from(element.children).filter(child => !ignored.includes(child.tagName));
+        
+        const bodyClasses = Array.from(doc.body.classList).filter(name => !/\d/.test(name)).sort();
+        const skeleton = children(doc.body).map(element =>
+            `${describe(element)}>${children(element).slice(0, 12).map(describe).join(',')}`
+        );
+        const signature = `${bodyClasses.join(' ')}|${skeleton.join('|')}`;
+        
+        return PageTypeHelpers.hashText(signature);
+    }
+    
+    /**
+     * Text of the main content, as content.js extracts it
+     */
+    static mainText(doc) {
+        const Extractor = typeof ContentExtractor !== 'undefined' ? ContentExtractor : require('./content.js').ContentExtractor;
+        return Extractor.extract(doc).cleanText;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_VERTICAL_PACK,
+        PAGE_TYPE_SIGNAL_WEIGHTS,
+        VerticalPack,
+        PageTemplateStore,
+        PageTypeClassifier
+    };
+}
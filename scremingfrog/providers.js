@@ -0,0 +1,211 @@
+// Embedding Providers for Screaming Frog SEO Spider
+// The embedding backends semantic.js and vector.js both call, picked by the
+// EMBEDDING_PROVIDER setting of SEMANTIC_CONFIG or VECTOR_CONFIG. Inlined by
+// bundle.js wherever a script says "// @requires providers.js".
+
+// Used for settings the caller's config leaves out (semantic.js passes SEMANTIC_CONFIG, vector.js VECTOR_CONFIG)
+const EMBEDDING_PROVIDER_DEFAULTS = {
+    EMBEDDING_PROVIDER: 'ollama',
+    EMBEDDING_ENDPOINT: null,          // Defaults to OLLAMA_ENDPOINT
+    EMBEDDING_MODEL: null,             // Defaults to OLLAMA_MODEL
+    EMBEDDING_DIMENSIONS: null,
+    EMBEDDING_API_KEY: null,
+    OLLAMA_ENDPOINT: 'http://localhost:11434',
+    OLLAMA_MODEL: 'nomic-embed-text',
+    LOCAL_EMBEDDING_MODULE: '@huggingface/transformers',
+    TIMEOUT: 30000
+};
+
+// ================================
+// EMBEDDING PROVIDERS
+// ================================
+
+/**
+ * Base class for embedding backends. Subclasses implement embedBatch().
+ */
+class EmbeddingProvider {
+    constructor(config = {}) {
+        this.config = { ...EMBEDDING_PROVIDER_DEFAULTS, ...config };
+        this.name = 'base';
+        this.endpoint = (this.config.EMBEDDING_ENDPOINT || this.config.OLLAMA_ENDPOINT || '').replace(/\/$/, '');
+        this.model = this.config.EMBEDDING_MODEL || this.config.OLLAMA_MODEL;
+        this.dimensions = this.config.EMBEDDING_DIMENSIONS || null;
+    }
+    
+    async embed(text) {
+        const [embedding] = await this.embedBatch([text]);
+        return embedding;
+    }
+    
+    async embedBatch(texts) {
+        throw new Error(`${this.name} provider does not implement embedBatch()`);
+    }
+    
+    async checkConnection() {
+        return true;
+    }
+    
+    describe() {
+        return {
+            provider: this.name,
+            model: this.model,
+            dimensions: this.dimensions
+        };
+    }
+    
+    async _postJson(path, body, headers = {}) {
+        const response = await fetch(`${this.endpoint}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal: typeof AbortSignal !== 'undefined' && AbortSignal.timeout ? AbortSignal.timeout(this.config.TIMEOUT) : undefined
+        });
+        
+        if (!response.ok) {
+            const error = new Error(`${this.name} embedding API error: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        
+        return response.json();
+    }
+    
+    _fitDimensions(embedding) {
+        // Matryoshka-style models can be truncated; never pad a shorter vector
+        return this.dimensions && embedding.length > this.dimensions
+            ? embedding.slice(0, this.dimensions)
+            : embedding;
+    }
+}
+
+/**
+ * Ollama /api/embed - accepts a batch of inputs per request
+ */
+class OllamaEmbeddingProvider extends EmbeddingProvider {
+    constructor(config) {
+        super(config);
+        this.name = 'ollama';
+    }
+    
+    async embedBatch(texts) {
+        const body = { model: this.model, input: texts, truncate: true };
+        if (this.dimensions) body.dimensions = this.dimensions;
+        
+        const data = await this._postJson('/api/embed', body);
+        return data.embeddings.map(embedding => this._fitDimensions(embedding));
+    }
+    
+    async checkConnection() {
+        const response = await fetch(`${this.endpoint}/api/tags`, { method: 'GET' });
+        return response.ok;
+    }
+}
+
+/**
+ * Ollama /api/embeddings - one prompt per request, for Ollama releases before /api/embed
+ */
+class OllamaLegacyEmbeddingProvider extends OllamaEmbeddingProvider {
+    constructor(config) {
+        super(config);
+        this.name = 'ollama-legacy';
+    }
+    
+    async embedBatch(texts) {
+        const embeddings = [];
+        for (const text of texts) {
+            const data = await this._postJson('/api/embeddings', { model: this.model, prompt: text });
+            embeddings.push(this._fitDimensions(data.embedding));
+        }
+        return embeddings;
+    }
+}
+
+/**
+ * OpenAI-compatible /v1/embeddings (llama.cpp server, LocalAI, vLLM, ...)
+ */
+class OpenAICompatibleEmbeddingProvider extends EmbeddingProvider {
+    constructor(config) {
+        super(config);
+        this.name = 'openai';
+    }
+    
+    async embedBatch(texts) {
+        const body = { model: this.model, input: texts, encoding_format: 'float' };
+        if (this.dimensions) body.dimensions = this.dimensions;
+        
+        const headers = this.config.EMBEDDING_API_KEY ? { 'Authorization': `Bearer ${this.config.EMBEDDING_API_KEY}` } : {};
+        const data = await this._postJson('/v1/embeddings', body, headers);
+        
+        return data.data
+            .sort((a, b) => a.index - b.index)
+            .map(item => this._fitDimensions(item.embedding));
+    }
+    
+    async checkConnection() {
+        const headers = this.config.EMBEDDING_API_KEY ? { 'Authorization': `Bearer ${this.config.EMBEDDING_API_KEY}` } : {};
+        const response = await fetch(`${this.endpoint}/v1/models`, { method: 'GET', headers });
+        return response.ok;
+    }
+}
+
+/**
+ * In-process model through transformers.js - no server required
+ */
+class LocalEmbeddingProvider extends EmbeddingProvider {
+    constructor(config) {
+        super(config);
+        this.name = 'local';
+        if (!this.config.EMBEDDING_MODEL) {
+            this.model = 'Xenova/all-MiniLM-L6-v2';
+        }
+        this.extractor = null;
+    }
+    
+    async embedBatch(texts) {
+        const extractor = await this._getExtractor();
+        const output = await extractor(texts, { pooling: 'mean', normalize: true });
+        return output.tolist().map(embedding => this._fitDimensions(embedding));
+    }
+    
+    async checkConnection() {
+        await this._getExtractor();
+        return true;
+    }
+    
+    async _getExtractor() {
+        if (!this.extractor) {
+            const transformers = await import(this.config.LOCAL_EMBEDDING_MODULE);
+            this.extractor = await transformers.pipeline('feature-extraction', this.model);
+        }
+        return this.extractor;
+    }
+}
+
+// EMBEDDING_PROVIDER values and their backends
+const EMBEDDING_PROVIDERS = {
+    'ollama': OllamaEmbeddingProvider,
+    'ollama-legacy': OllamaLegacyEmbeddingProvider,
+    'openai': OpenAICompatibleEmbeddingProvider,
+    'local': LocalEmbeddingProvider
+};
+
+function createEmbeddingProvider(config = {}) {
+    const providerName = config.EMBEDDING_PROVIDER || EMBEDDING_PROVIDER_DEFAULTS.EMBEDDING_PROVIDER;
+    if (!Object.prototype.hasOwnProperty.call(EMBEDDING_PROVIDERS, providerName)) {
+        throw new Error(`Unknown EMBEDDING_PROVIDER: ${providerName}`);
+    }
+    return new EMBEDDING_PROVIDERS[providerName](config);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EMBEDDING_PROVIDER_DEFAULTS,
+        EMBEDDING_PROVIDERS,
+        EmbeddingProvider,
+        OllamaEmbeddingProvider,
+        OllamaLegacyEmbeddingProvider,
+        OpenAICompatibleEmbeddingProvider,
+        LocalEmbeddingProvider,
+        createEmbeddingProvider
+    };
+}
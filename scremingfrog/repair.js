@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+// Embedding Repair Tool for Screaming Frog custom-extraction exports
+// Parses every embedding column variant vector.js has produced (tagged, plain,
+// quoted, nested {"embedding": ...} JSON, fetch-error text), validates NaNs and
+// dimension counts, and writes a clean export plus a re-embed report.
+//
+// Usage:
+//   node repair.js <export.csv> [options]
+//
+// Options:
+//   --column <name>        Embedding column to repair (default: auto-detect, repeatable)
+//   --dimensions <n>       Expected vector length (default: most common length in the file)
+//   --out <file>           Clean rows as .csv or .jsonl (default: <input>.clean.csv)
+//   --report <file>        Per-URL report CSV (default: <input>.report.csv)
+
+const fs = require('fs');
+const path = require('path');
+
+const { parseCsv } = require('./semantic.js');
+const { parseEmbeddingValue, formatEmbeddingOutput } = require('./vector.js');
+
+const URL_COLUMNS = ['Address', 'URL', 'Url', 'url'];
+const USABLE_STATUSES = ['ok', 'repaired'];
+
+// ================================
+// ARGUMENTS
+// ================================
+function parseArgs(argv) {
+    const options = {
+        input: null,
+        columns: [],
+        dimensions: null,
+        out: null,
+        report: null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--column') options.columns.push(argv[++i]);
+        else if (arg === '--dimensions') options.dimensions = parseInt(argv[++i], 10);
+        else if (arg === '--out') options.out = argv[++i];
+        else if (arg === '--report') options.report = argv[++i];
+        else if (!arg.startsWith('--') && !options.input) options.input = arg;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+
+    if (!options.input) {
+        throw new Error('Usage: node repair.js <export.csv> [--column "Embedding 1"] [--dimensions 768] [--out clean.csv] [--report report.csv]');
+    }
+
+    const stem = options.input.replace(/\.[^./\\]+$/, '');
+    options.out = options.out || `${stem}.clean.csv`;
+    options.report = options.report || `${stem}.report.csv`;
+
+    return options;
+}
+
+// ================================
+// COLUMN DETECTION
+// ================================
+function detectUrlColumn(headers) {
+    return URL_COLUMNS.find(name => headers.includes(name)) || headers[0];
+}
+
+/**
+ * Columns whose name mentions embeddings/vectors, or whose values mostly parse as vectors
+ */
+function detectEmbeddingColumns(headers, records) {
+    const named = headers.filter(header => /embedding|vector/i.test(header));
+    if (named.length > 0) return named;
+
+    const sample = records.slice(0, 50);
+    return headers.filter(header => {
+        const parsed = sample.filter(record => parseEmbeddingValue(record[header]).vector);
+        return parsed.length > 0 && parsed.length >= sample.length / 2;
+    });
+}
+
+/**
+ * Most common vector length among usable values, so a handful of truncated rows stand out
+ */
+function inferDimensions(parsedValues) {
+    const counts = new Map();
+    parsedValues.forEach(parsed => {
+        if (parsed.vector && USABLE_STATUSES.includes(parsed.status)) {
+            counts.set(parsed.vector.length, (counts.get(parsed.vector.length) || 0) + 1);
+        }
+    });
+
+    let best = null;
+    counts.forEach((count, length) => {
+        if (!best || count > counts.get(best)) best = length;
+    });
+    return best;
+}
+
+// ================================
+// OUTPUT
+// ================================
+function csvEscape(value) {
+    return `"${String(value === undefined || value === null ? '' : value).replace(/"/g, '""')}"`;
+}
+
+function writeCsv(file, columns, rows) {
+    const lines = [columns.map(csvEscape).join(',')];
+    rows.forEach(row => lines.push(columns.map(column => csvEscape(row[column])).join(',')));
+    fs.writeFileSync(file, lines.join('\r\n') + '\r\n');
+}
+
+function writeRows(file, columns, rows) {
+    if (/\.jsonl$/i.test(file)) {
+        fs.writeFileSync(file, rows.map(row => JSON.stringify(row)).join('\n') + '\n');
+    } else {
+        writeCsv(file, columns, rows);
+    }
+}
+
+// Lexical fallback vectors from vector.js, tagged or wrapped as {"method": "fallback"}
+function isFallback(parsed) {
+    const meta = parsed.meta || {};
+    return meta.method === 'fallback' || meta.provider === 'fallback';
+}
+
+function cleanValue(parsed) {
+    const meta = parsed.meta || {};
+    if (isFallback(parsed)) {
+        // Always tagged, whatever TAG_OUTPUT says: an untagged fallback vector passes for a model vector
+        return `provider=${meta.provider || 'fallback'};model=${meta.model || 'unknown'};dims=${parsed.vector.length};method=fallback|${parsed.vector.join(',')}`;
+    }
+    return meta.provider
+        ? formatEmbeddingOutput(parsed.vector, meta.provider, meta.model, meta.method)
+        : parsed.vector.join(',');
+}
+
+// ================================
+// MAIN
+// ================================
+function repairExport(options) {
+    const records = parseCsv(fs.readFileSync(options.input, 'utf8'));
+    if (records.length === 0) throw new Error(`No rows found in ${options.input}`);
+
+    const headers = Object.keys(records[0]);
+    const urlColumn = detectUrlColumn(headers);
+    const columns = options.columns.length > 0 ? options.columns : detectEmbeddingColumns(headers, records);
+
+    if (columns.length === 0) throw new Error('No embedding column found; pass --column');
+    columns.forEach(column => {
+        if (!headers.includes(column)) throw new Error(`Column not found: ${column}`);
+    });
+
+    const reportRows = [];
+    const needsEmbedding = new Set();
+    const summary = {};
+
+    for (const column of columns) {
+        const firstPass = records.map(record => parseEmbeddingValue(record[column]));
+        const dimensions = options.dimensions || inferDimensions(firstPass);
+        console.error(`🔍 ${column}: expecting ${dimensions || 'any'} dimensions`);
+
+        records.forEach((record, index) => {
+            const parsed = dimensions ? parseEmbeddingValue(record[column], dimensions) : firstPass[index];
+            const usable = USABLE_STATUSES.includes(parsed.status);
+            const fallback = usable && isFallback(parsed);
+            const status = fallback ? 'fallback' : parsed.status;
+            summary[status] = (summary[status] || 0) + 1;
+
+            record[column] = usable ? cleanValue(parsed) : '';
+            if (!usable || fallback) needsEmbedding.add(record);
+
+            if (status !== 'ok') {
+                reportRows.push({
+                    'URL': record[urlColumn],
+                    'Column': column,
+                    'Status': status,
+                    'Dimensions': parsed.vector ? parsed.vector.length : 0,
+                    'Issues': fallback ? ['lexical fallback vector', ...parsed.issues].join('; ') : parsed.issues.join('; '),
+                    'Action': parsed.status === 'repaired' && !fallback ? 'REPAIRED' : 'RE-EMBED'
+                });
+            }
+        });
+    }
+
+    // Every row is kept; values that can't be used are left empty for the re-embed run to fill
+    writeRows(options.out, headers, records);
+    writeCsv(options.report, ['URL', 'Column', 'Status', 'Dimensions', 'Issues', 'Action'], reportRows);
+
+    return { total: records.length, clean: records.length - needsEmbedding.size, reportRows, summary };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const result = repairExport(options);
+    const reEmbed = new Set(result.reportRows.filter(row => row.Action === 'RE-EMBED').map(row => row.URL));
+
+    console.error(`📊 ${result.total} rows: ${Object.entries(result.summary).map(([status, count]) => `${status}=${count}`).join(', ')}`);
+    console.error(`✅ ${result.total} rows written to ${path.resolve(options.out)}, ${result.clean} with model vectors in every column`);
+    console.error(`⚠️ ${reEmbed.size} URLs need re-embedding, see ${path.resolve(options.report)}`);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`💥 ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    repairExport,
+    detectEmbeddingColumns,
+    inferDimensions
+};
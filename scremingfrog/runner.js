@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+// Offline Batch Runner for the Screaming Frog analysis scripts
+// Re-runs linkgap.js, vector.js and semantic.js over saved HTML pages or a WARC
+// without re-crawling. Requires jsdom (npm install jsdom).
+//
+// Usage:
+//   node runner.js <html-directory | crawl.warc | crawl.warc.gz> [options]
+//
+// Options:
+//   --out <file>           Write results to .csv or .jsonl (default: JSONL on stdout)
+//   --scripts <list>       Comma-separated scripts to run (default: linkgap,vector,semantic)
+//   --base-url <url>       Base URL for saved files that carry no canonical/original URL
+//   --verbose              Show the scripts' console output on stderr
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const zlib = require('zlib');
+
+const { bundleSource } = require('./bundle.js');
+
+const DEFAULT_SCRIPTS = ['linkgap', 'vector', 'semantic'];
+
+// ================================
+// ARGUMENTS
+// ================================
+function parseArgs(argv) {
+    const options = {
+        input: null,
+        out: null,
+        scripts: DEFAULT_SCRIPTS,
+        baseUrl: null,
+        verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--out') options.out = argv[++i];
+        else if (arg === '--scripts') options.scripts = argv[++i].split(',').map(s => s.trim()).filter(Boolean);
+        else if (arg === '--base-url') options.baseUrl = argv[++i];
+        else if (arg === '--verbose') options.verbose = true;
+        else if (!arg.startsWith('--') && !options.input) options.input = arg;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+
+    if (!options.input) {
+        throw new Error('Usage: node runner.js <html-directory | crawl.warc[.gz]> [--out results.csv] [--scripts linkgap,vector,semantic] [--base-url https://example.com/]');
+    }
+
+    return options;
+}
+
+// ================================
+// PAGE SOURCES
+// ================================
+
+/**
+ * Yield { url, html } for every saved HTML file under a directory
+ */
+function* readHtmlDirectory(directory, baseUrl) {
+    const files = [];
+    const walk = dir => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) walk(fullPath);
+            else if (/\.html?$/i.test(entry.name)) files.push(fullPath);
+        }
+    };
+    walk(directory);
+
+    for (const file of files.sort()) {
+        const html = fs.readFileSync(file, 'utf8');
+        const relativePath = path.relative(directory, file).split(path.sep).join('/');
+        yield { url: resolvePageUrl(html, relativePath, baseUrl), html };
+    }
+}
+
+function resolvePageUrl(html, relativePath, baseUrl) {
+    // Browser "Save as" marks the original URL; otherwise trust canonical / og:url
+    const savedFrom = html.match(/<!--\s*saved from url=\(\d+\)(\S+?)\s*-->/i);
+    if (savedFrom) return savedFrom[1];
+
+    const canonical = html.match(/<link[^>]+rel=["']canonical["'][^>]*>/i);
+    const canonicalHref = canonical && canonical[0].match(/href=["']([^"']+)["']/i);
+    if (canonicalHref && /^https?:\/\//i.test(canonicalHref[1])) return canonicalHref[1];
+
+    const ogUrl = html.match(/<meta[^>]+property=["']og:url["'][^>]*>/i);
+    const ogContent = ogUrl && ogUrl[0].match(/content=["']([^"']+)["']/i);
+    if (ogContent && /^https?:\/\//i.test(ogContent[1])) return ogContent[1];
+
+    const pagePath = relativePath.replace(/(^|\/)index\.html?$/i, '$1').replace(/\.html?$/i, '');
+    return new URL(pagePath, baseUrl || 'http://localhost/').href;
+}
+
+/**
+ * Yield { url, html } for every successful HTML response record in a WARC file
+ */
+function* readWarc(file) {
+    let buffer = fs.readFileSync(file);
+    if (/\.gz$/i.test(file)) buffer = zlib.gunzipSync(buffer);
+
+    let offset = 0;
+    while (offset < buffer.length) {
+        const headerEnd = buffer.indexOf('\r\n\r\n', offset);
+        if (headerEnd === -1) break;
+
+        const headers = parseHeaderBlock(buffer.slice(offset, headerEnd).toString('utf8'));
+        const length = parseInt(headers['content-length'], 10) || 0;
+        const blockStart = headerEnd + 4;
+        const block = buffer.slice(blockStart, blockStart + length);
+        offset = blockStart + length;
+
+        // Skip the record separator (\r\n\r\n) and any stray padding
+        while (offset < buffer.length && (buffer[offset] === 0x0d || buffer[offset] === 0x0a)) offset++;
+
+        if (headers['warc-type'] !== 'response' || !/application\/http/i.test(headers['content-type'] || '')) continue;
+
+        const response = parseHttpResponse(block);
+        if (response && response.status === 200 && /html/i.test(response.headers['content-type'] || '')) {
+            yield { url: headers['warc-target-uri'].replace(/^<|>$/g, ''), html: response.body };
+        }
+    }
+}
+
+function parseHeaderBlock(text) {
+    const headers = {};
+    text.split(/\r?\n/).slice(1).forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+        }
+    });
+    return headers;
+}
+
+function parseHttpResponse(block) {
+    const headerEnd = block.indexOf('\r\n\r\n');
+    if (headerEnd === -1) return null;
+
+    const headText = block.slice(0, headerEnd).toString('latin1');
+    const statusMatch = headText.match(/^HTTP\/[\d.]+\s+(\d{3})/);
+    if (!statusMatch) return null;
+
+    const headers = parseHeaderBlock(headText);
+    let body = block.slice(headerEnd + 4);
+
+    if (/chunked/i.test(headers['transfer-encoding'] || '')) body = dechunk(body);
+    if (/gzip/i.test(headers['content-encoding'] || '')) body = zlib.gunzipSync(body);
+    else if (/br/i.test(headers['content-encoding'] || '')) body = zlib.brotliDecompressSync(body);
+    else if (/deflate/i.test(headers['content-encoding'] || '')) body = zlib.inflateSync(body);
+
+    return { status: parseInt(statusMatch[1], 10), headers, body: body.toString('utf8') };
+}
+
+function dechunk(body) {
+    const chunks = [];
+    let offset = 0;
+
+    while (offset < body.length) {
+        const lineEnd = body.indexOf('\r\n', offset);
+        if (lineEnd === -1) break;
+        const size = parseInt(body.slice(offset, lineEnd).toString('latin1'), 16);
+        if (!size) break;
+        chunks.push(body.slice(lineEnd + 2, lineEnd + 2 + size));
+        offset = lineEnd + 2 + size + 2;
+    }
+
+    return Buffer.concat(chunks);
+}
+
+// ================================
+// SCRIPT EXECUTION
+// ================================
+
+/**
+ * fetch() for the page context: HTTP(S) goes to the network, anything else
+ * is read from disk so CRAWL_DATA_SOURCE and friends can point at local exports
+ */
+async function runnerFetch(input, init) {
+    const target = String(input && input.url ? input.url : input);
+    if (/^https?:\/\//i.test(target)) return fetch(target, init);
+
+    const filePath = target.startsWith('file://') ? new URL(target) : path.resolve(target);
+    try {
+        return new Response(await fs.promises.readFile(filePath), { status: 200 });
+    } catch (error) {
+        return new Response(error.message, { status: 404 });
+    }
+}
+
+function createSeoSpiderStub() {
+    return {
+        data: value => ({ status: 'data', value }),
+        error: message => ({ status: 'error', value: message })
+    };
+}
+
+function loadScripts(names) {
+    return names.map(name => {
+        const file = fs.existsSync(name) ? name : path.join(__dirname, `${name.replace(/\.js$/, '')}.js`);
+        return {
+            name: path.basename(file, '.js'),
+            source: bundleSource(path.resolve(file)) // @requires modules inlined, as bundle.js does
+        };
+    });
+}
+
+/**
+ * Build a fresh DOM for the page and evaluate one script in it the way
+ * Screaming Frog does: as the body of a function that returns seoSpider.data()
+ */
+async function runScriptOnPage(JSDOM, VirtualConsole, page, script, options) {
+    const virtualConsole = new VirtualConsole();
+    if (options.verbose) virtualConsole.sendTo(new console.Console(process.stderr));
+
+    const dom = new JSDOM(page.html, {
+        url: page.url,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const { window } = dom;
+
+    // jsdom has no layout engine, so innerText falls back to textContent
+    if (!('innerText' in window.HTMLElement.prototype)) {
+        Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+            get() { return this.textContent; },
+            configurable: true
+        });
+    }
+
+    window.seoSpider = createSeoSpiderStub();
+    window.require = require; // lets scripts persist caches and stores to disk
+    window.fetch = runnerFetch;
+    window.AbortSignal = AbortSignal;
+    window.Response = Response;
+
+    try {
+        const wrapped = `(async function () {\n${script.source}\n})()`;
+        const result = await vm.runInContext(wrapped, dom.getInternalVMContext(), { filename: `${script.name}.js` });
+        return result || { status: 'error', value: 'Script returned no data' };
+    } catch (error) {
+        return { status: 'error', value: error.message };
+    } finally {
+        window.close();
+    }
+}
+
+function toColumns(scriptName, result) {
+    if (result.status === 'error') {
+        return { [`${scriptName}: Error`]: result.value };
+    }
+
+    const value = result.value;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        const columns = {};
+        for (const [key, columnValue] of Object.entries(value)) {
+            columns[`${scriptName}: ${key}`] = columnValue;
+        }
+        return columns;
+    }
+
+    return { [scriptName]: Array.isArray(value) ? value.join(',') : value };
+}
+
+// ================================
+// OUTPUT
+// ================================
+function writeResults(rows, out) {
+    if (!out || /\.jsonl$/i.test(out)) {
+        const text = rows.map(row => JSON.stringify(row)).join('\n') + '\n';
+        if (out) fs.writeFileSync(out, text);
+        else process.stdout.write(text);
+        return;
+    }
+
+    const columns = [];
+    rows.forEach(row => Object.keys(row).forEach(key => {
+        if (!columns.includes(key)) columns.push(key);
+    }));
+
+    const escape = value => `"${String(value === undefined || value === null ? '' : value).replace(/"/g, '""')}"`;
+    const lines = [columns.map(escape).join(',')];
+    rows.forEach(row => lines.push(columns.map(column => escape(row[column])).join(',')));
+
+    fs.writeFileSync(out, lines.join('\r\n') + '\r\n');
+}
+
+// ================================
+// MAIN
+// ================================
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    let jsdom;
+    try {
+        jsdom = require('jsdom');
+    } catch (error) {
+        throw new Error('jsdom is required for the offline runner: npm install jsdom');
+    }
+
+    const scripts = loadScripts(options.scripts);
+    const pages = fs.statSync(options.input).isDirectory()
+        ? readHtmlDirectory(options.input, options.baseUrl)
+        : readWarc(options.input);
+
+    const rows = [];
+    const startTime = Date.now();
+
+    for (const page of pages) {
+        const row = { 'URL': page.url };
+
+        for (const script of scripts) {
+            const result = await runScriptOnPage(jsdom.JSDOM, jsdom.VirtualConsole, page, script, options);
+            Object.assign(row, toColumns(script.name, result));
+        }
+
+        rows.push(row);
+        console.error(`✅ ${page.url}`);
+    }
+
+    writeResults(rows, options.out);
+    console.error(`📊 Analysed ${rows.length} pages in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`💥 ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    readHtmlDirectory,
+    readWarc,
+    resolvePageUrl,
+    runScriptOnPage,
+    runnerFetch
+};
@@ -2,6 +2,12 @@
 // Advanced Ollama-powered content analysis with intelligent link suggestions
 // Version 4.0 - Production-ready semantic analysis system
 
+// @requires pagetype.js
+// @requires content.js
+// @requires siteprofile.js
+// @requires common.js
+// @requires providers.js
+
 // ================================
 // SEMANTIC AI CONFIGURATION
 // ================================
@@ -12,6 +18,18 @@ const SEMANTIC_CONFIG = {
     TIMEOUT: 30000,
     MAX_RETRIES: 3,
     
+    // Embedding Provider
+    EMBEDDING_PROVIDER: 'ollama',      // 'ollama' (/api/embed), 'ollama-legacy' (/api/embeddings), 'openai' or 'local'
+    EMBEDDING_ENDPOINT: null,          // Defaults to OLLAMA_ENDPOINT; e.g. 'http://localhost:8080' for llama.cpp
+    EMBEDDING_MODEL: null,             // Defaults to OLLAMA_MODEL; e.g. 'Xenova/all-MiniLM-L6-v2' for 'local'
+    EMBEDDING_DIMENSIONS: null,        // Requested output dimensions, where the model supports it
+    EMBEDDING_API_KEY: null,           // Bearer token for OpenAI-compatible servers
+    LOCAL_EMBEDDING_MODULE: '@huggingface/transformers', // Module (or CDN URL) for the 'local' provider
+    
+    // Embedding Cache (IndexedDB in the browser, JSONL file in Node)
+    EMBEDDING_CACHE: true,
+    EMBEDDING_CACHE_PATH: null,        // JSONL file in Node (e.g. 'embedding-cache.jsonl'); null = memory only
+    
     // Semantic Analysis Thresholds
     SIMILARITY_THRESHOLD: 0.85,        // Pages above this are similar
     HIGH_SIMILARITY_THRESHOLD: 0.95,   // Very similar/duplicate content
@@ -21,22 +39,1848 @@ const SEMANTIC_CONFIG = {
     // Content Analysis Settings
     MAX_CONTENT_LENGTH: 8192,
     MIN_CONTENT_WORDS: 100,
-    BATCH_SIZE: 20,
-    RATE_LIMIT_DELAY: 150,
+    BATCH_SIZE: 20,                    // Texts per embedding request
+    RATE_LIMIT_DELAY: 150,             // ms between requests on each connection
+    MAX_CONCURRENCY: 2,                // Embedding requests in flight at once
+    RETRY_BASE_DELAY: 500,             // ms, doubled on each retry of a transient failure
+    
+    // Link Suggestion Parameters
+    MAX_SUGGESTIONS_PER_PAGE: 5,
+    MIN_ANCHOR_LENGTH: 3,
+    MAX_ANCHOR_LENGTH: 60,
+    LINK_CONTEXT_WINDOW: 100,
+    SENTENCE_MATCH_THRESHOLD: 0.6,     // Sentence-to-page similarity needed to suggest a link
+    LINK_TARGET_STORE_PATH: null,      // JSON file for the persisted link target index in Node; browsers use localStorage
+    
+    // Linkable Entities ({name, category, synonyms, url} entries)
+    ENTITY_DICTIONARY_SOURCE: null,    // URL or file path of a JSON dictionary
+    ENTITY_DICTIONARY: null,           // Inline entries, added to ENTITY_DICTIONARY_SOURCE's
+    ENTITY_AUTO_DISCOVERY: true,       // Also use crawled titles and H1s as entities linking to their page
+    ENTITY_MAX_WORDS: 6,               // Longest discovered entity name
+    
+    // Vertical Pack (page types, expected topics and linking advice; see packs/*.json)
+    VERTICAL_PACK_SOURCE: null,        // URL or file path; null = the built-in crypto exchange pack
+    
+    // Page Type Classification (shared with linkgap.js through pagetype.js)
+    PAGE_TEMPLATE_STORE_PATH: null,    // JSON file of page types per template in Node; browsers use localStorage
+    PAGE_TYPE_EMBEDDING_VOTE: false,   // Type otherwise unclassified pages from their nearest labelled neighbours
+    PAGE_TYPE_LABELS: null,            // {url: type} hand-labelled examples for the embedding vote
+    
+    // Site Profiles (content roots, selectors to strip, minimum content length; shared with linkgap.js)
+    SITE_PROFILES_SOURCE: null,        // URL or file path; null = content.js heuristics only
+    
+    // Enable/Disable Features
+    ENABLE_SIMILARITY_MAPPING: true,
+    ENABLE_CONTENT_CLUSTERING: true,
+    ENABLE_LINK_SUGGESTIONS: true,
+    ENABLE_COMPETITIVE_ANALYSIS: true,
+    ENABLE_THEME_CONSISTENCY: true,
+    
+    // Crawl Data Source (Screaming Frog "Internal: All" CSV export, JSON or JSONL)
+    CRAWL_DATA_SOURCE: null,           // URL or file path; null = no site comparison
+    CRAWL_DATA_FORMAT: 'auto',         // 'auto', 'csv', 'json' or 'jsonl'
+    CRAWL_DATA_PAGES: null,            // Inline page records, used instead of CRAWL_DATA_SOURCE
+    
+    // Site Centroid (reference vector for theme consistency)
+    CENTROID_SECTION: null,            // null = whole site, 'auto' = current URL's first folder, or a prefix like '/blog/'
+    CENTROID_WEIGHTING: 'none',        // 'none', 'content_length' or 'authority'
+    CENTROID_STORE_PATH: null,         // JSON file for persisted centroids in Node; browsers use localStorage
+    
+    // Model Changes
+    REEMBED_ON_MODEL_MISMATCH: true,   // Re-embed crawl pages whose stored vector came from another model (see migrate.js)
+    
+    // Vector Index (HNSW nearest-neighbour search over the crawl)
+    VECTOR_INDEX_PATH: null,           // vectorindex.js output (file in Node, or URL); null = built in memory (IndexedDB in the browser)
+    MAX_SIMILAR_PAGES: 10,
+    HNSW_M: 16,                        // Links per node; higher = better recall, more memory
+    HNSW_EF_CONSTRUCTION: 100,         // Build-time search width
+    HNSW_EF_SEARCH: 64,                // Query-time search width
+    
+    // Clustering (CLUSTER_THRESHOLD is the agglomerative cut and the DBSCAN neighbour similarity)
+    CLUSTER_ALGORITHM: 'kmeans',       // 'kmeans' (automatic k), 'agglomerative' or 'dbscan'
+    CLUSTER_MAX_K: 12,                 // Upper bound when choosing k
+    CLUSTER_SAMPLE_SIZE: 1000,         // Pages scored (silhouette) when choosing k
+    CLUSTER_MIN_POINTS: 3,             // DBSCAN: neighbours (including itself) a page needs to be a core page
+    CLUSTER_MAX_PAIRWISE: 3000,        // Agglomerative needs an n x n matrix; larger crawls fall back to k-means
+    CLUSTER_STORE_PATH: null,          // JSON file for persisted clusters in Node; browsers use localStorage
+    
+    // Keywords
+    THEME_KEYWORD_COUNT: 8,            // Keywords reported per page, cluster and site
+    KEYWORD_MAX_DOCUMENT_SHARE: 0.8,   // Terms on more than this share of pages are treated as template text
+    
+    // Internal Link Graph (Screaming Frog "Bulk Export > Links > All Inlinks" CSV, JSON or JSONL)
+    LINK_DATA_SOURCE: null,            // URL or file path; null = fall back to the crawl export's Link Score / Unique Inlinks
+    LINK_DATA_FORMAT: 'auto',          // 'auto', 'csv', 'json' or 'jsonl'
+    LINK_DATA_LINKS: null,             // Inline {source, target, context} records, used instead of LINK_DATA_SOURCE
+    LINK_GRAPH_HOMEPAGE: null,         // Start of click depth; null = the site root with the most inlinks
+    PAGERANK_DAMPING: 0.85
+};
+
+// Shared page type classifier, content extractor, site profiles, helpers and embedding providers: inlined by bundle.js/runner.js, loaded with require() in Node
+const PageTypes = typeof PageTypeClassifier !== 'undefined'
+    ? { VerticalPack, PageTypeClassifier }
+    : (typeof require === 'function' ? require('./pagetype.js') : null);
+const Content = typeof ContentExtractor !== 'undefined'
+    ? { ContentExtractor }
+    : (typeof require === 'function' ? require('./content.js') : null);
+const Profiles = typeof SiteProfiles !== 'undefined'
+    ? { SiteProfiles }
+    : (typeof require === 'function' ? require('./siteprofile.js') : null);
+const SemanticHelpers = typeof JsonStore !== 'undefined'
+    ? { JsonStore, normalizeUrl, hashText }
+    : (typeof require === 'function' ? require('./common.js') : null);
+const EmbeddingProviders = typeof createEmbeddingProvider !== 'undefined'
+    ? {
+        EmbeddingProvider,
+        OllamaEmbeddingProvider,
+        OllamaLegacyEmbeddingProvider,
+        OpenAICompatibleEmbeddingProvider,
+        LocalEmbeddingProvider,
+        createEmbeddingProvider
+    }
+    : (typeof require === 'function' ? require('./providers.js') : null);
+if (!PageTypes || !Content || !Profiles || !SemanticHelpers || !EmbeddingProviders) {
+    throw new Error('pagetype.js, content.js, siteprofile.js, common.js or providers.js is missing: paste the bundled dist/semantic.js (node bundle.js)');
+}
+
+// ================================
+// CRAWL DATA PROVIDER
+// ================================
+class CrawlDataProvider {
+    constructor(config = {}) {
+        this.config = { ...SEMANTIC_CONFIG, ...config };
+        this.pages = null;
+        this.pagesByUrl = new Map();
+        this.fingerprint = null;
+        this.loading = null;
+    }
+    
+    /**
+     * Load and normalise every crawled page once per analyzer
+     */
+    async getPages() {
+        if (this.pages) return this.pages;
+        if (!this.loading) {
+            this.loading = this._loadPages().then(pages => {
+                this.pages = pages;
+                pages.forEach(page => this.pagesByUrl.set(page.url, page));
+                console.log(`📂 Loaded ${pages.length} crawled pages`);
+                return pages;
+            });
+        }
+        return this.loading;
+    }
+    
+    async getPage(url) {
+        await this.getPages();
+        return this.pagesByUrl.get(CrawlDataProvider.normalizeUrl(url)) || null;
+    }
+    
+    /**
+     * "<pages>:<hash of the export>", so anything stored per crawl (vector index, centroids,
+     * link targets) is rebuilt when a re-crawl is exported to the same path
+     */
+    async getFingerprint() {
+        const pages = await this.getPages();
+        return `${pages.length}:${this.fingerprint}`;
+    }
+    
+    static normalizeUrl(url) {
+        return SemanticHelpers.normalizeUrl(url);
+    }
+    
+    static hash(text) {
+        return SemanticHelpers.hashText(text);
+    }
+    
+    async _loadPages() {
+        let records = [];
+        
+        if (Array.isArray(this.config.CRAWL_DATA_PAGES)) {
+            records = this.config.CRAWL_DATA_PAGES;
+            this.fingerprint = CrawlDataProvider.hash(JSON.stringify(records));
+        } else if (this.config.CRAWL_DATA_SOURCE) {
+            const source = this.config.CRAWL_DATA_SOURCE;
+            const text = await this._readSource(source);
+            this.fingerprint = CrawlDataProvider.hash(text);
+            records = this._parseRecords(text, this._detectFormat(source, text));
+        } else {
+            console.warn('No CRAWL_DATA_SOURCE configured - similarity mapping has nothing to compare against');
+        }
+        
+        return records
+            .map(record => this._normalizeRecord(record))
+            .filter(page => page !== null);
+    }
+    
+    async _readSource(source) {
+        // Browsers (and the Screaming Frog renderer) can only fetch; Node reads local paths directly
+        if (/^https?:\/\//i.test(source) || typeof require !== 'function') {
+            const response = await fetch(source);
+            if (!response.ok) {
+                throw new Error(`Crawl data request failed: ${response.status}`);
+            }
+            return response.text();
+        }
+        return require('fs').promises.readFile(source, 'utf8');
+    }
+    
+    _detectFormat(source, text) {
+        if (this.config.CRAWL_DATA_FORMAT && this.config.CRAWL_DATA_FORMAT !== 'auto') {
+            return this.config.CRAWL_DATA_FORMAT;
+        }
+        
+        const path = String(source).toLowerCase().split('?')[0];
+        if (path.endsWith('.csv')) return 'csv';
+        if (path.endsWith('.jsonl') || path.endsWith('.ndjson')) return 'jsonl';
+        if (path.endsWith('.json')) return 'json';
+        
+        const trimmed = text.replace(/^\uFEFF/, '').trimStart();
+        if (trimmed.startsWith('[')) return 'json';
+        if (trimmed.startsWith('{')) return 'jsonl';
+        return 'csv';
+    }
+    
+    _parseRecords(text, format) {
+        const clean = text.replace(/^\uFEFF/, '');
+        
+        switch (format) {
+            case 'json': {
+                const data = JSON.parse(clean);
+                return Array.isArray(data) ? data : (data.pages || []);
+            }
+            case 'jsonl':
+                return clean.split(/\r?\n/)
+                    .filter(line => line.trim())
+                    .map(line => JSON.parse(line));
+            case 'csv':
+                return parseCsv(clean);
+            default:
+                throw new Error(`Unsupported crawl data format: ${format}`);
+        }
+    }
+    
+    _normalizeRecord(record) {
+        const url = this._pickField(record, ['Address', 'URL', 'url', 'address']);
+        if (!url) return null;
+        
+        // "Internal: All" includes images, CSS and JS - only HTML pages are comparable
+        const contentType = this._pickField(record, ['Content Type', 'contentType', 'content_type']);
+        if (contentType && !/html/i.test(contentType)) return null;
+        
+        const title = this._pickField(record, ['Title 1', 'Title', 'title']) || '';
+        const h1 = this._pickField(record, ['H1-1', 'H1', 'h1']) || '';
+        const content = this._pickField(record, ['Body Text', 'Content', 'content', 'text', 'body', 'bodyText']) || '';
+        const statusCode = parseInt(this._pickField(record, ['Status Code', 'statusCode', 'status']), 10);
+        const wordCount = parseInt(this._pickField(record, ['Word Count', 'wordCount', 'words']), 10);
+        const linkScore = parseFloat(this._pickField(record, ['Link Score', 'linkScore', 'authority']));
+        const uniqueInlinks = parseInt(this._pickField(record, ['Unique Inlinks', 'uniqueInlinks']), 10);
+        const crawlDepth = parseInt(this._pickField(record, ['Crawl Depth', 'crawlDepth', 'depth']), 10);
+        const robots = [
+            this._pickField(record, ['Meta Robots 1', 'metaRobots', 'robots']),
+            this._pickField(record, ['X-Robots-Tag 1', 'xRobotsTag'])
+        ].filter(Boolean).join(', ');
+        const embedding = this._parseEmbedding(this._pickField(record, ['Embedding', 'embedding', 'vector']));
+        
+        // Fallback (lexical) vectors live in a different space from model vectors, so they
+        // are kept apart and the page is re-embedded from its text when compared
+        const isFallback = !!(embedding && embedding.meta && (embedding.meta.method === 'fallback' || embedding.meta.provider === 'fallback'));
+        
+        return {
+            url: CrawlDataProvider.normalizeUrl(url),
+            title: title,
+            h1: h1,
+            content: content,
+            embedding: embedding && !isFallback ? EmbeddingVector.from(embedding.vector, embedding.meta || {}) : null,
+            fallbackEmbedding: isFallback ? EmbeddingVector.from(embedding.vector, embedding.meta) : null,
+            embeddingMeta: embedding ? embedding.meta : null,
+            statusCode: Number.isNaN(statusCode) ? null : statusCode,
+            wordCount: Number.isNaN(wordCount) ? content.split(/\s+/).filter(Boolean).length : wordCount,
+            linkScore: Number.isNaN(linkScore) ? null : linkScore,
+            uniqueInlinks: Number.isNaN(uniqueInlinks) ? null : uniqueInlinks,
+            crawlDepth: Number.isNaN(crawlDepth) ? null : crawlDepth,
+            indexability: this._pickField(record, ['Indexability', 'indexability']),
+            indexabilityStatus: this._pickField(record, ['Indexability Status', 'indexabilityStatus']),
+            canonical: this._pickField(record, ['Canonical Link Element 1', 'Canonical', 'canonical']),
+            redirectUrl: this._pickField(record, ['Redirect URL', 'redirectUrl', 'Location']),
+            robots: robots || null
+        };
+    }
+    
+    _pickField(record, names) {
+        for (const name of names) {
+            if (record[name] !== undefined && record[name] !== null && record[name] !== '') {
+                return record[name];
+            }
+        }
+        
+        // Custom extraction columns are exported with a numeric suffix, e.g. "Embedding 1"
+        for (const name of names) {
+            const key = Object.keys(record).find(k => k.toLowerCase() === `${name.toLowerCase()} 1`);
+            if (key && record[key] !== '') return record[key];
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Accepts an array, a JSON array string, a comma list, or vector.js's tagged
+     * "provider=...;model=...;dims=...;method=...|v1,v2,..." output
+     */
+    _parseEmbedding(value) {
+        if (!value) return null;
+        if (Array.isArray(value)) return { vector: value.map(Number), meta: null };
+        
+        let text = String(value).trim();
+        let meta = null;
+        
+        const tagMatch = text.match(/^([a-z]+=[^|]*)\|(.*)$/s);
+        if (tagMatch) {
+            meta = {};
+            tagMatch[1].split(';').forEach(pair => {
+                const [key, tagValue] = pair.split('=');
+                if (key) meta[key.trim()] = (tagValue || '').trim();
+            });
+            text = tagMatch[2];
+        }
+        
+        const vector = text.replace(/^\[|\]$/g, '').split(',').map(Number);
+        if (meta && meta.dims && parseInt(meta.dims, 10) !== vector.length) return null; // truncated cell
+        return vector.length > 1 && vector.every(Number.isFinite) ? { vector, meta } : null;
+    }
+}
+
+/**
+ * Parse RFC 4180 CSV (as exported by Screaming Frog) into header-keyed objects
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    const [header, ...body] = rows.filter(r => r.some(value => value !== ''));
+    if (!header) return [];
+    
+    return body.map(values => {
+        const record = {};
+        header.forEach((name, index) => {
+            record[name.trim()] = values[index] !== undefined ? values[index] : '';
+        });
+        return record;
+    });
+}
+
+// ================================
+// EMBEDDING VECTORS
+// ================================
+
+/**
+ * A vector tagged with the provider, model and dimensions that produced it.
+ * Vectors from different models live in different spaces, so comparisons
+ * between them are refused with a status instead of a misleading score.
+ */
+class EmbeddingVector {
+    constructor(vector, meta = {}) {
+        this.vector = vector;
+        this.provider = meta.provider || null;
+        this.model = meta.model || null;
+        this.method = meta.method || 'model';
+        this.dims = vector.length;
+    }
+    
+    /**
+     * Wrap a plain array (or a stored { vector, model, ... } object) with the given tags
+     */
+    static from(value, meta = {}) {
+        if (!value) return null;
+        if (value instanceof EmbeddingVector) return value;
+        if (Array.isArray(value)) return new EmbeddingVector(value, meta);
+        if (Array.isArray(value.vector)) return new EmbeddingVector(value.vector, { ...meta, ...value });
+        return null;
+    }
+    
+    /**
+     * 'OK', 'METHOD_MISMATCH', 'MODEL_MISMATCH' or 'DIMENSION_MISMATCH'.
+     * Untagged vectors are assumed compatible when the dimensions agree.
+     */
+    compatibilityWith(other) {
+        if ((this.method === 'fallback') !== (other.method === 'fallback')) return 'METHOD_MISMATCH';
+        if (this.model && other.model && this.model !== other.model) return 'MODEL_MISMATCH';
+        if (this.dims !== other.dims) return 'DIMENSION_MISMATCH';
+        return 'OK';
+    }
+    
+    get space() {
+        return `${this.model || 'untagged'}@${this.dims}`;
+    }
+    
+    toJSON() {
+        return {
+            provider: this.provider,
+            model: this.model,
+            method: this.method,
+            dims: this.dims,
+            vector: this.vector
+        };
+    }
+}
+
+// ================================
+// EMBEDDING REQUEST QUEUE
+// ================================
+
+/**
+ * Groups queued texts into batch calls, caps concurrency, spaces requests by
+ * RATE_LIMIT_DELAY and retries transient failures with exponential backoff
+ */
+class EmbeddingRequestQueue {
+    constructor(provider, config = {}) {
+        this.provider = provider;
+        this.config = { ...SEMANTIC_CONFIG, ...config };
+        this.pending = [];
+        this.active = 0;      // Connection slots in use, including the rate-limit pause
+        this.inFlight = 0;    // Texts awaiting a response
+        this.scheduled = false;
+        this.stats = {
+            enqueued: 0,
+            completed: 0,
+            failed: 0,
+            batches: 0,
+            retries: 0,
+            startedAt: null
+        };
+    }
+    
+    enqueue(text) {
+        if (!this.stats.startedAt) this.stats.startedAt = Date.now();
+        this.stats.enqueued++;
+        
+        return new Promise((resolve, reject) => {
+            this.pending.push({ text, resolve, reject });
+            this._schedule();
+        });
+    }
+    
+    getStats() {
+        const elapsedSeconds = this.stats.startedAt ? (Date.now() - this.stats.startedAt) / 1000 : 0;
+        return {
+            ...this.stats,
+            queueDepth: this.pending.length,
+            inFlight: this.inFlight,
+            throughput: elapsedSeconds > 0 ? +(this.stats.completed / elapsedSeconds).toFixed(2) : 0
+        };
+    }
+    
+    _schedule() {
+        // Wait one tick so texts enqueued together travel in the same batch
+        if (this.scheduled) return;
+        this.scheduled = true;
+        setTimeout(() => {
+            this.scheduled = false;
+            this._pump();
+        }, 0);
+    }
+    
+    _pump() {
+        while (this.active < this.config.MAX_CONCURRENCY && this.pending.length > 0) {
+            const batch = this.pending.splice(0, this.config.BATCH_SIZE);
+            this.active++;
+            
+            this._runBatch(batch)
+                .then(() => this._delay(this.config.RATE_LIMIT_DELAY))
+                .finally(() => {
+                    this.active--;
+                    this._pump();
+                });
+        }
+    }
+    
+    async _runBatch(batch) {
+        this.inFlight += batch.length;
+        try {
+            const embeddings = await this._withRetry(() => this.provider.embedBatch(batch.map(item => item.text)));
+            this.stats.batches++;
+            this.stats.completed += batch.length;
+            batch.forEach((item, index) => item.resolve(embeddings[index]));
+        } catch (error) {
+            this.stats.failed += batch.length;
+            batch.forEach(item => item.reject(error));
+        } finally {
+            this.inFlight -= batch.length;
+        }
+    }
+    
+    async _withRetry(operation) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await operation();
+            } catch (error) {
+                if (attempt >= this.config.MAX_RETRIES || !this._isTransient(error)) {
+                    throw error;
+                }
+                
+                this.stats.retries++;
+                const backoff = this.config.RETRY_BASE_DELAY * Math.pow(2, attempt);
+                console.warn(`Embedding request failed (${error.message}), retry ${attempt + 1}/${this.config.MAX_RETRIES} in ${backoff}ms`);
+                await this._delay(backoff + Math.random() * backoff * 0.1);
+            }
+        }
+    }
+    
+    _isTransient(error) {
+        if (error.status) {
+            return error.status === 408 || error.status === 429 || error.status >= 500;
+        }
+        // fetch() network failures and timeouts carry no status
+        return error.name === 'TypeError' || error.name === 'AbortError' || error.name === 'TimeoutError';
+    }
+    
+    _delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// ================================
+// EMBEDDING CACHE
+// ================================
+
+/**
+ * Persistent embedding cache keyed by a hash of the normalised text, model and dimensions,
+ * so unchanged pages skip the embedding call on re-crawls
+ */
+class EmbeddingCache {
+    constructor(config = {}, provider) {
+        this.config = { ...SEMANTIC_CONFIG, ...config };
+        this.modelKey = `${provider.model}|${provider.dimensions || 'native'}`;
+        this.backend = null;
+    }
+    
+    async keyFor(text) {
+        const normalized = String(text).normalize('NFC').replace(/\s+/g, ' ').trim();
+        return this._sha256(`${this.modelKey}|${normalized}`);
+    }
+    
+    async get(key) {
+        if (!this.config.EMBEDDING_CACHE) return null;
+        const backend = await this._getBackend();
+        return backend.get(key);
+    }
+    
+    async set(key, embedding) {
+        if (!this.config.EMBEDDING_CACHE) return;
+        const backend = await this._getBackend();
+        await backend.set(key, embedding);
+    }
+    
+    async _sha256(value) {
+        if (typeof crypto !== 'undefined' && crypto.subtle) {
+            const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+            return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+        }
+        return require('crypto').createHash('sha256').update(value).digest('hex');
+    }
+    
+    async _getBackend() {
+        if (this.backend) return this.backend;
+        
+        try {
+            if (typeof indexedDB !== 'undefined') {
+                this.backend = await this._openIndexedDB();
+            } else if (typeof require === 'function' && this.config.EMBEDDING_CACHE_PATH) {
+                this.backend = await this._openFile(this.config.EMBEDDING_CACHE_PATH);
+            }
+        } catch (error) {
+            console.warn('Embedding cache unavailable, using memory only:', error.message);
+        }
+        
+        if (!this.backend) {
+            const memory = new Map();
+            this.backend = {
+                get: async key => memory.get(key) || null,
+                set: async (key, embedding) => { memory.set(key, embedding); }
+            };
+        }
+        
+        return this.backend;
+    }
+    
+    _openIndexedDB() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open('sf-semantic', 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('embeddings');
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const db = request.result;
+                const run = (mode, action) => new Promise((done, fail) => {
+                    const store = db.transaction('embeddings', mode).objectStore('embeddings');
+                    const operation = action(store);
+                    operation.onsuccess = () => done(operation.result);
+                    operation.onerror = () => fail(operation.error);
+                });
+                
+                resolve({
+                    get: async key => (await run('readonly', store => store.get(key))) || null,
+                    set: async (key, embedding) => { await run('readwrite', store => store.put(embedding, key)); }
+                });
+            };
+        });
+    }
+    
+    async _openFile(filePath) {
+        // Append-only JSONL: one {"k": key, "v": [...]} entry per embedded text
+        const fs = require('fs');
+        const entries = new Map();
+        
+        if (fs.existsSync(filePath)) {
+            const lines = (await fs.promises.readFile(filePath, 'utf8')).split('\n');
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                try {
+                    const entry = JSON.parse(line);
+                    entries.set(entry.k, entry.v);
+                } catch (error) {
+                    // Skip a torn final line from an interrupted run
+                }
+            }
+        }
+        
+        return {
+            get: async key => entries.get(key) || null,
+            set: async (key, embedding) => {
+                entries.set(key, embedding);
+                await fs.promises.appendFile(filePath, JSON.stringify({ k: key, v: embedding }) + '\n');
+            }
+        };
+    }
+}
+
+// ================================
+// KEYWORD EXTRACTION
+// ================================
+
+// Function words and web boilerplate that never make useful topic keywords
+const KEYWORD_STOPWORDS = new Set([
+    'a', 'about', 'above', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+    'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can', 'could',
+    'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'even', 'every', 'few', 'for', 'from', 'further',
+    'get', 'gets', 'got', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'how',
+    'however', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'like', 'make', 'makes', 'many', 'may',
+    'me', 'might', 'more', 'most', 'much', 'must', 'my', 'new', 'no', 'nor', 'not', 'now', 'of', 'off', 'on',
+    'once', 'one', 'only', 'or', 'other', 'our', 'ours', 'out', 'over', 'own', 'per', 'same', 'she', 'should',
+    'so', 'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+    'those', 'through', 'to', 'too', 'under', 'until', 'up', 'us', 'use', 'used', 'using', 'very', 'via',
+    'want', 'was', 'way', 'we', 'well', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom',
+    'why', 'will', 'with', 'within', 'without', 'would', 'yet', 'you', 'your', 'yours',
+    'click', 'cookie', 'cookies', 'copyright', 'home', 'login', 'menu', 'page', 'privacy', 'read',
+    'reserved', 'rights', 'search', 'share', 'sign', 'skip', 'subscribe'
+]);
+
+/**
+ * TF-IDF keywords for pages against the crawl, and class-based TF-IDF (c-TF-IDF)
+ * keywords for groups of pages such as clusters. Terms are unigrams plus
+ * bigrams of adjacent non-stopwords.
+ */
+class KeywordExtractor {
+    constructor(documents = [], config = {}) {
+        this.maxDocumentShare = config.KEYWORD_MAX_DOCUMENT_SHARE || 0.8;
+        this.documentCount = 0;
+        this.documentFrequency = new Map();
+        this.documentTerms = [];
+        documents.forEach(text => this.addDocument(text));
+    }
+    
+    static terms(text) {
+        const terms = [];
+        
+        // Bigrams never span punctuation
+        for (const phrase of String(text || '').toLowerCase().split(/[.,;:!?()[\]{}"|\/\u2013\u2014]+/)) {
+            KeywordExtractor._phraseTerms(phrase, terms);
+        }
+        
+        return terms;
+    }
+    
+    static _phraseTerms(phrase, terms) {
+        const words = phrase.match(/[\p{L}\p{N}][\p{L}\p{N}'-]*/gu) || [];
+        let previous = null;
+        
+        for (const raw of words) {
+            const word = raw.replace(/^'+|'+$/g, '').replace(/'s$/, '');
+            const useful = word.length > 2 && !KEYWORD_STOPWORDS.has(word) && !/^\d+$/.test(word);
+            
+            if (useful) {
+                terms.push(word);
+                if (previous) terms.push(`${previous} ${word}`);
+            }
+            previous = useful ? word : null;
+        }
+    }
+    
+    addDocument(text) {
+        const counts = this._count(KeywordExtractor.terms(text));
+        counts.forEach((count, term) => {
+            this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+        });
+        this.documentCount++;
+        
+        // Keep each page's most frequent terms for siteTerms(); IDF is applied later
+        this.documentTerms.push(new Map(
+            Array.from(counts.entries()).sort((a, b) => b[1] - a[1]).slice(0, 30)
+        ));
+    }
+    
+    /**
+     * Highest TF-IDF terms of one text; terms on nearly every page (templates) are skipped
+     */
+    topTerms(text, limit = 8) {
+        const counts = this._count(KeywordExtractor.terms(text));
+        const ranked = [];
+        
+        counts.forEach((count, term) => {
+            const frequency = this.documentFrequency.get(term) || 0;
+            if (this._isBoilerplate(frequency)) return;
+            
+            const idf = Math.log((1 + this.documentCount) / (1 + frequency)) + 1;
+            ranked.push({ term, score: (1 + Math.log(count)) * idf * (term.includes(' ') ? 1.5 : 1) });
+        });
+        
+        return KeywordExtractor._selectDistinct(ranked, limit);
+    }
+    
+    /**
+     * Phrases a link to the page could use as anchor text, best first: its title
+     * without the site name, its H1, then its top keywords that also name the page
+     * in the title, H1 or slug (body keywords alone often name other pages' topics)
+     */
+    anchorPhrases(page, limit = 8, maxLength = 60) {
+        const title = KeywordExtractor.pageName(page.title);
+        const label = [title, page.h1, KeywordExtractor.slugText(page.url)].join(' . ');
+        const keywords = this.topTerms(page.content || '', limit).filter(term => KeywordExtractor.findPhrase(label, term));
+        
+        const phrases = [title, page.h1, ...keywords]
+            .map(phrase => String(phrase || '').trim())
+            .filter(phrase => phrase.length >= 3 && phrase.length <= maxLength);
+        
+        return Array.from(new Map(phrases.map(phrase => [phrase.toLowerCase(), phrase])).values());
+    }
+    
+    /**
+     * A title without its site-name suffix ("Burr Grinders | Shop" -> "Burr Grinders")
+     */
+    static pageName(title) {
+        return String(title || '').split(/\s+[|\u2013\u2014-]\s+/)[0].trim();
+    }
+    
+    /**
+     * The last path segment as words ("/guides/burr-grinders.html" -> "burr grinders")
+     */
+    static slugText(url) {
+        return String(url || '').replace(/^[a-z][\w+.-]*:\/\/[^/]*/i, '').replace(/[?#].*$/, '').replace(/\/+$/, '').split('/').pop()
+            .replace(/\.\w+$/, '').replace(/[-_]+/g, ' ');
+    }
+    
+    /**
+     * First whole-word, case-insensitive occurrence of a phrase, with the text's own casing
+     */
+    static findPhrase(text, phrase) {
+        const words = String(phrase || '').trim().split(/\s+/).filter(Boolean)
+            .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        if (words.length === 0) return null;
+        
+        const match = new RegExp(`(^|[^\\p{L}\\p{N}])(${words.join('\\s+')})(?=$|[^\\p{L}\\p{N}])`, 'iu').exec(String(text || ''));
+        return match ? { index: match.index + match[1].length, text: match[2] } : null;
+    }
+    
+    /**
+     * Terms that rank among the top TF-IDF keywords of the most pages, so
+     * widespread filler and template text do not qualify
+     */
+    siteTerms(limit = 8) {
+        const votes = new Map();
+        
+        this.documentTerms.forEach(counts => {
+            const ranked = [];
+            counts.forEach((count, term) => {
+                const frequency = this.documentFrequency.get(term);
+                if (this._isBoilerplate(frequency)) return;
+                ranked.push({ term, score: (1 + Math.log(count)) * (Math.log((1 + this.documentCount) / (1 + frequency)) + 1) });
+            });
+            
+            ranked.sort((a, b) => b.score - a.score).slice(0, 5).forEach(({ term, score }) => {
+                votes.set(term, (votes.get(term) || 0) + score);
+            });
+        });
+        
+        const ranked = Array.from(votes.entries())
+            .filter(([term]) => this.documentFrequency.get(term) >= 2)
+            .map(([term, score]) => ({ term, score }));
+        return KeywordExtractor._selectDistinct(ranked, limit);
+    }
+    
+    /**
+     * c-TF-IDF: each class's texts are one document; a term scores high when it is
+     * frequent in the class and rare across classes. Returns Map(classId -> terms)
+     */
+    static classTerms(classTexts, limit = 8) {
+        const classCounts = new Map();
+        const classTotals = new Map();
+        const corpusCounts = new Map();
+        let totalTerms = 0;
+        
+        classTexts.forEach((texts, classId) => {
+            const terms = texts.flatMap(text => KeywordExtractor.terms(text));
+            const counts = KeywordExtractor.prototype._count(terms);
+            
+            classCounts.set(classId, counts);
+            classTotals.set(classId, terms.length);
+            totalTerms += terms.length;
+            counts.forEach((count, term) => corpusCounts.set(term, (corpusCounts.get(term) || 0) + count));
+        });
+        
+        const averageTerms = totalTerms / Math.max(classTexts.size, 1);
+        const result = new Map();
+        
+        classCounts.forEach((counts, classId) => {
+            const total = classTotals.get(classId) || 1;
+            const ranked = [];
+            counts.forEach((count, term) => {
+                const score = (count / total) * Math.log(1 + averageTerms / corpusCounts.get(term));
+                ranked.push({ term, score: score * (term.includes(' ') ? 1.5 : 1) });
+            });
+            result.set(classId, KeywordExtractor._selectDistinct(ranked, limit));
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Human-readable label from the leading keywords, e.g. "Garden Hoes / Spades"
+     */
+    static label(keywords, size = 3) {
+        return keywords
+            .slice(0, size)
+            .map(keyword => keyword.replace(/(^|\s)\p{L}/gu, letter => letter.toUpperCase()))
+            .join(' / ');
+    }
+    
+    _isBoilerplate(frequency) {
+        return this.documentCount >= 5 && frequency / this.documentCount > this.maxDocumentShare;
+    }
+    
+    _count(terms) {
+        const counts = new Map();
+        terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+        return counts;
+    }
+    
+    static _selectDistinct(ranked, limit) {
+        // Best first; a unigram already covered by a chosen bigram adds nothing
+        ranked.sort((a, b) => b.score - a.score || (a.term < b.term ? -1 : 1));
+        const selected = [];
+        
+        for (const { term } of ranked) {
+            if (selected.length >= limit) break;
+            const covered = !term.includes(' ') && selected.some(chosen => chosen.split(' ').includes(term));
+            if (!covered) selected.push(term);
+        }
+        
+        return selected;
+    }
+}
+
+// ================================
+// VECTOR INDEX
+// ================================
+
+/**
+ * Binary heap of { node, distance } - min-heap by default, max-heap when max = true
+ */
+class DistanceHeap {
+    constructor(max = false) {
+        this.items = [];
+        this.sign = max ? -1 : 1;
+    }
+    
+    get size() {
+        return this.items.length;
+    }
+    
+    peek() {
+        return this.items[0];
+    }
+    
+    push(node, distance) {
+        const items = this.items;
+        items.push({ node, distance });
+        
+        let index = items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.sign * (items[parent].distance - items[index].distance) <= 0) break;
+            [items[parent], items[index]] = [items[index], items[parent]];
+            index = parent;
+        }
+    }
+    
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        
+        if (items.length > 0) {
+            items[0] = last;
+            let index = 0;
+            
+            while (true) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let best = index;
+                if (left < items.length && this.sign * (items[left].distance - items[best].distance) < 0) best = left;
+                if (right < items.length && this.sign * (items[right].distance - items[best].distance) < 0) best = right;
+                if (best === index) break;
+                [items[best], items[index]] = [items[index], items[best]];
+                index = best;
+            }
+        }
+        
+        return top;
+    }
+    
+    toSortedArray() {
+        return this.items.slice().sort((a, b) => a.distance - b.distance);
+    }
+}
+
+/**
+ * Hierarchical Navigable Small World (HNSW) index over unit-normalised vectors
+ * for approximate top-k cosine search. Holds one model space; pages can be
+ * added incrementally and the graph saved to disk (Node) or IndexedDB (browser).
+ */
+class VectorIndex {
+    constructor(options = {}) {
+        this.M = options.M || 16;
+        this.maxM0 = this.M * 2;
+        this.efConstruction = options.efConstruction || 100;
+        this.efSearch = options.efSearch || 64;
+        this.levelMultiplier = 1 / Math.log(this.M);
+        this.seed = options.seed || 0x5eed;
+        this.space = options.space || null;
+        this.fingerprint = options.fingerprint || null; // CrawlDataProvider.getFingerprint() of the indexed crawl
+        this.skipped = new Set(options.skipped || []); // Crawl pages without text or from another model space
+        this.failed = 0; // Pages whose embedding request failed in the last update; not saved, so they are retried
+        
+        this.ids = [];
+        this.nodeById = new Map();
+        this.vectors = [];
+        this.metadata = [];
+        this.levels = [];
+        this.neighbors = [];
+        this.entryPoint = -1;
+        this.maxLevel = -1;
+    }
+    
+    get size() {
+        return this.ids.length;
+    }
+    
+    has(id) {
+        return this.nodeById.has(id);
+    }
+    
+    /**
+     * Compatibility of an EmbeddingVector with the index's model space ('OK' when empty)
+     */
+    accepts(embedding) {
+        return this.space ? embedding.compatibilityWith(this.space) : 'OK';
+    }
+    
+    /**
+     * Insert (or replace the vector of) one page. Returns false for vectors from another space.
+     */
+    add(id, embedding, metadata = {}) {
+        const tagged = EmbeddingVector.from(embedding);
+        if (!tagged || this.accepts(tagged) !== 'OK') return false;
+        
+        if (!this.space) {
+            this.space = { provider: tagged.provider, model: tagged.model, method: tagged.method, dims: tagged.dims };
+        }
+        
+        const vector = this._normalize(tagged.vector);
+        
+        // Re-added pages keep their graph position; only the stored vector changes
+        if (this.nodeById.has(id)) {
+            const existing = this.nodeById.get(id);
+            this.vectors[existing] = vector;
+            this.metadata[existing] = metadata;
+            return true;
+        }
+        
+        const node = this.ids.length;
+        const level = this._randomLevel();
+        this.ids.push(id);
+        this.nodeById.set(id, node);
+        this.vectors.push(vector);
+        this.metadata.push(metadata);
+        this.levels.push(level);
+        this.neighbors.push(Array.from({ length: level + 1 }, () => []));
+        
+        if (this.entryPoint === -1) {
+            this.entryPoint = node;
+            this.maxLevel = level;
+            return true;
+        }
+        
+        let entryPoints = [this._greedyDescend(vector, level)];
+        
+        for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+            const candidates = this._searchLayer(vector, entryPoints, this.efConstruction, layer);
+            const maxConnections = layer === 0 ? this.maxM0 : this.M;
+            
+            this.neighbors[node][layer] = this._selectNeighbors(candidates, this.M).map(candidate => candidate.node);
+            
+            for (const neighbor of this.neighbors[node][layer]) {
+                const links = this.neighbors[neighbor][layer];
+                links.push(node);
+                
+                // Over-full neighbours drop their most distant link (cheaper than re-running the heuristic)
+                if (links.length > maxConnections) {
+                    const neighborVector = this.vectors[neighbor];
+                    let farthest = 0;
+                    let farthestDistance = -Infinity;
+                    links.forEach((link, position) => {
+                        const distance = this._distance(neighborVector, this.vectors[link]);
+                        if (distance > farthestDistance) {
+                            farthest = position;
+                            farthestDistance = distance;
+                        }
+                    });
+                    links.splice(farthest, 1);
+                }
+            }
+            
+            entryPoints = candidates.map(candidate => candidate.node);
+        }
+        
+        if (level > this.maxLevel) {
+            this.maxLevel = level;
+            this.entryPoint = node;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Top-k most similar entries at or above the cosine threshold, most similar first
+     */
+    search(embedding, k = 10, threshold = -1) {
+        const tagged = EmbeddingVector.from(embedding);
+        if (this.entryPoint === -1 || !tagged || this.accepts(tagged) !== 'OK') return [];
+        
+        const query = this._normalize(tagged.vector);
+        const entryPoint = this._greedyDescend(query, 0);
+        const results = this._searchLayer(query, [entryPoint], Math.max(this.efSearch, k), 0);
+        
+        return results
+            .map(result => ({
+                id: this.ids[result.node],
+                similarity: 1 - result.distance,
+                metadata: this.metadata[result.node]
+            }))
+            .filter(result => result.similarity >= threshold)
+            .slice(0, k);
+    }
+    
+    /**
+     * Cosine similarity between an embedding and one indexed entry; null if it isn't indexed
+     */
+    similarity(embedding, id) {
+        const tagged = EmbeddingVector.from(embedding);
+        if (!this.nodeById.has(id) || !tagged || this.accepts(tagged) !== 'OK') return null;
+        
+        return 1 - this._distance(this._normalize(tagged.vector), this.vectors[this.nodeById.get(id)]);
+    }
+    
+    /**
+     * Cosine similarity between two indexed entries; null unless both are indexed
+     */
+    pairSimilarity(idA, idB) {
+        if (!this.nodeById.has(idA) || !this.nodeById.has(idB)) return null;
+        return 1 - this._distance(this.vectors[this.nodeById.get(idA)], this.vectors[this.nodeById.get(idB)]);
+    }
+    
+    toJSON() {
+        return {
+            version: 1,
+            M: this.M,
+            efConstruction: this.efConstruction,
+            efSearch: this.efSearch,
+            seed: this.seed,
+            space: this.space,
+            fingerprint: this.fingerprint,
+            skipped: Array.from(this.skipped),
+            entryPoint: this.entryPoint,
+            maxLevel: this.maxLevel,
+            nodes: this.ids.map((id, node) => ({
+                id: id,
+                metadata: this.metadata[node],
+                neighbors: this.neighbors[node],
+                vector: VectorIndex._encodeVector(this.vectors[node])
+            }))
+        };
+    }
+    
+    static fromJSON(data) {
+        const index = new VectorIndex(data);
+        
+        data.nodes.forEach((entry, node) => {
+            index.ids.push(entry.id);
+            index.nodeById.set(entry.id, node);
+            index.vectors.push(VectorIndex._decodeVector(entry.vector));
+            index.metadata.push(entry.metadata || {});
+            index.levels.push(entry.neighbors.length - 1);
+            index.neighbors.push(entry.neighbors);
+        });
+        
+        index.entryPoint = data.entryPoint;
+        index.maxLevel = data.maxLevel;
+        return index;
+    }
+    
+    /**
+     * Persist to a JSON file in Node (nothing without a path), or under the same name
+     * ('vector-index' without one) in IndexedDB in the browser. URLs are read-only.
+     */
+    async save(target) {
+        if (/^https?:\/\//i.test(target || '')) return;
+        
+        try {
+            if (typeof indexedDB !== 'undefined') {
+                await VectorIndex._indexedDBRequest('readwrite', store => store.put(this.toJSON(), target || 'vector-index'));
+            } else if (typeof require === 'function' && target) {
+                await require('fs').promises.writeFile(target, JSON.stringify(this));
+            }
+        } catch (error) {
+            console.warn(`Could not save vector index to ${target}:`, error.message);
+        }
+    }
+    
+    /**
+     * The index saved at target, or fetched from it when it is a URL (vectorindex.js output
+     * served over HTTP); null when there is none
+     */
+    static async load(target) {
+        try {
+            let data = null;
+            if (/^https?:\/\//i.test(target || '')) {
+                const response = await fetch(target);
+                if (!response.ok) throw new Error(`request failed: ${response.status}`);
+                data = await response.json();
+            } else if (typeof indexedDB !== 'undefined') {
+                data = await VectorIndex._indexedDBRequest('readonly', store => store.get(target || 'vector-index'));
+            } else if (typeof require === 'function' && target) {
+                const fs = require('fs');
+                if (fs.existsSync(target)) data = JSON.parse(await fs.promises.readFile(target, 'utf8'));
+            }
+            return data && data.version === 1 ? VectorIndex.fromJSON(data) : null;
+        } catch (error) {
+            console.warn(`Could not load vector index from ${target}:`, error.message);
+            return null;
+        }
+    }
+    
+    _greedyDescend(query, targetLevel) {
+        let current = this.entryPoint;
+        let currentDistance = this._distance(query, this.vectors[current]);
+        
+        for (let layer = this.maxLevel; layer > targetLevel; layer--) {
+            let improved = true;
+            while (improved) {
+                improved = false;
+                for (const neighbor of this.neighbors[current][layer] || []) {
+                    const distance = this._distance(query, this.vectors[neighbor]);
+                    if (distance < currentDistance) {
+                        current = neighbor;
+                        currentDistance = distance;
+                        improved = true;
+                    }
+                }
+            }
+        }
+        
+        return current;
+    }
+    
+    _searchLayer(query, entryPoints, ef, layer) {
+        const visited = new Set(entryPoints);
+        const candidates = new DistanceHeap();
+        const results = new DistanceHeap(true);
+        
+        for (const node of entryPoints) {
+            const distance = this._distance(query, this.vectors[node]);
+            candidates.push(node, distance);
+            results.push(node, distance);
+            if (results.size > ef) results.pop();
+        }
+        
+        while (candidates.size > 0) {
+            const closest = candidates.pop();
+            if (results.size >= ef && closest.distance > results.peek().distance) break;
+            
+            for (const neighbor of this.neighbors[closest.node][layer] || []) {
+                if (visited.has(neighbor)) continue;
+                visited.add(neighbor);
+                
+                const distance = this._distance(query, this.vectors[neighbor]);
+                if (results.size < ef || distance < results.peek().distance) {
+                    candidates.push(neighbor, distance);
+                    results.push(neighbor, distance);
+                    if (results.size > ef) results.pop();
+                }
+            }
+        }
+        
+        return results.toSortedArray();
+    }
+    
+    /**
+     * HNSW neighbour heuristic: prefer candidates closer to the new node than to
+     * any already selected neighbour, then fill up with the nearest of the rest
+     */
+    _selectNeighbors(candidates, limit) {
+        const selected = [];
+        const pruned = [];
+        
+        for (const candidate of candidates) {
+            if (selected.length >= limit) break;
+            const diverse = selected.every(chosen =>
+                this._distance(this.vectors[candidate.node], this.vectors[chosen.node]) > candidate.distance
+            );
+            (diverse ? selected : pruned).push(candidate);
+        }
+        
+        for (const candidate of pruned) {
+            if (selected.length >= limit) break;
+            selected.push(candidate);
+        }
+        
+        return selected;
+    }
+    
+    _distance(vecA, vecB) {
+        let dotProduct = 0;
+        for (let i = 0; i < vecA.length; i++) {
+            dotProduct += vecA[i] * vecB[i];
+        }
+        return 1 - dotProduct;
+    }
+    
+    _normalize(values) {
+        const vector = Float32Array.from(values);
+        let norm = 0;
+        for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+        norm = Math.sqrt(norm) || 1;
+        for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+        return vector;
+    }
+    
+    _randomLevel() {
+        // mulberry32, seeded so the same crawl always builds the same graph
+        this.seed = (this.seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(this.seed ^ (this.seed >>> 15), 1 | this.seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        const random = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        return Math.floor(-Math.log(1 - random) * this.levelMultiplier);
+    }
+    
+    static _encodeVector(vector) {
+        const bytes = new Uint8Array(vector.buffer, vector.byteOffset, vector.byteLength);
+        if (typeof Buffer !== 'undefined') return Buffer.from(bytes).toString('base64');
+        
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+        return btoa(binary);
+    }
+    
+    static _decodeVector(encoded) {
+        if (typeof encoded !== 'string') return Float32Array.from(encoded);
+        
+        const bytes = typeof Buffer !== 'undefined'
+            ? Uint8Array.from(Buffer.from(encoded, 'base64'))
+            : Uint8Array.from(atob(encoded), char => char.charCodeAt(0));
+        return new Float32Array(bytes.buffer);
+    }
+    
+    static _indexedDBRequest(mode, action) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open('sf-semantic-index', 1);
+            request.onupgradeneeded = () => request.result.createObjectStore('indexes');
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const operation = action(request.result.transaction('indexes', mode).objectStore('indexes'));
+                operation.onsuccess = () => resolve(operation.result || null);
+                operation.onerror = () => reject(operation.error);
+            };
+        });
+    }
+}
+
+// ================================
+// LINK GRAPH
+// ================================
+
+/**
+ * Internal hyperlink graph from Screaming Frog's "All Inlinks" bulk export
+ * (Type, Source, Destination, Follow, Link Position, ...). Edges are classified
+ * like linkgap.js's getLinkContext(): 'contextual', 'navigation' or 'footer'.
+ * PageRank is computed over all links and over contextual links only, along
+ * with click depth from the homepage, orphan and dead-end pages.
+ */
+class LinkGraph {
+    constructor(config = {}, crawlData = null) {
+        this.config = { ...SEMANTIC_CONFIG, ...config };
+        this.crawlData = crawlData;
+        this.reader = new CrawlDataProvider({ ...this.config, CRAWL_DATA_FORMAT: this.config.LINK_DATA_FORMAT });
+        this.outlinks = new Map();
+        this.inlinks = new Map();
+        this.contextualOutlinks = new Map();
+        this.contextualInlinks = new Map();
+        this.templateOutlinks = new Map();
+        this.templateInlinks = new Map();
+        this.statusCodes = new Map();
+        this.pageStatus = new Map();
+        this.metrics = new Map();
+        this.linkCount = 0;
+        this.contextualLinkCount = 0;
+        this.homepage = null;
+        this.loaded = false;
+        this.loading = null;
+    }
+    
+    /**
+     * Read LINK_DATA_SOURCE (or inline LINK_DATA_LINKS) once and compute the metrics.
+     * Crawled pages are added as nodes too, so pages nothing links to show up as orphans.
+     */
+    async load() {
+        if (this.loaded) return this;
+        if (!this.loading) {
+            this.loading = this._loadLinks().then(async links => {
+                links.forEach(link => this.addLink(link.source, link.target, link.context, link.statusCode));
+                if (this.crawlData && this.linkCount > 0) {
+                    (await this.crawlData.getPages()).forEach(page => this.addPage(page.url, page.statusCode, page));
+                }
+                
+                this.computeMetrics();
+                this.loaded = true;
+                if (this.linkCount > 0) {
+                    console.log(`🔗 Loaded ${this.linkCount} internal links (${this.contextualLinkCount} contextual) between ${this.size} pages`);
+                }
+                return this;
+            });
+        }
+        return this.loading;
+    }
+    
+    get size() {
+        return this.metrics.size;
+    }
+    
+    /**
+     * crawled is a CrawlDataProvider page; its indexability, canonical, robots and redirect
+     * target go into the metrics, so linkgap.js can check where links really lead
+     */
+    addPage(url, statusCode = null, crawled = null) {
+        const page = CrawlDataProvider.normalizeUrl(url);
+        if (!page) return;
+        
+        if (!this.outlinks.has(page)) this.outlinks.set(page, new Set());
+        if (!this.inlinks.has(page)) this.inlinks.set(page, new Set());
+        if (statusCode) this.statusCodes.set(page, statusCode);
+        
+        if (crawled) {
+            const resolve = target => {
+                if (!target) return null;
+                try {
+                    return CrawlDataProvider.normalizeUrl(new URL(target, page).href);
+                } catch (error) {
+                    return null;
+                }
+            };
+            this.pageStatus.set(page, {
+                indexability: crawled.indexability || null,
+                indexabilityStatus: crawled.indexabilityStatus || null,
+                canonical: resolve(crawled.canonical),
+                redirectUrl: resolve(crawled.redirectUrl),
+                robots: crawled.robots || null
+            });
+        }
+    }
+    
+    /**
+     * Repeated links between the same two pages count once per context, as in "Unique Inlinks".
+     * A page linked from both the menu and the body copy has a template and a contextual inlink.
+     */
+    addLink(source, target, context = 'contextual', statusCode = null) {
+        const from = CrawlDataProvider.normalizeUrl(source);
+        const to = CrawlDataProvider.normalizeUrl(target);
+        if (!from || !to || from === to) return false;
+        
+        this.addPage(from);
+        this.addPage(to, statusCode);
+        
+        if (context === 'contextual') {
+            if (this._connect(this.contextualOutlinks, this.contextualInlinks, from, to)) this.contextualLinkCount++;
+        } else {
+            this._connect(this.templateOutlinks, this.templateInlinks, from, to);
+        }
+        
+        if (!this._connect(this.outlinks, this.inlinks, from, to)) return false;
+        this.linkCount++;
+        return true;
+    }
+    
+    /**
+     * true/false, or null when no link data was loaded and the answer is unknown
+     */
+    hasLink(source, target, contextualOnly = false) {
+        if (this.linkCount === 0) return null;
+        const outlinks = (contextualOnly ? this.contextualOutlinks : this.outlinks).get(CrawlDataProvider.normalizeUrl(source));
+        return !!outlinks && outlinks.has(CrawlDataProvider.normalizeUrl(target));
+    }
+    
+    getMetrics(url) {
+        return this.metrics.get(CrawlDataProvider.normalizeUrl(url)) || null;
+    }
+    
+    computeMetrics() {
+        this.metrics = new Map();
+        if (this.linkCount === 0) return;
+        
+        const nodes = Array.from(this.inlinks.keys()).sort();
+        const allLinks = LinkGraph._scaleRanks(this._pageRank(nodes, this.outlinks, this.inlinks));
+        // Without a single contextual link there is nothing to rank: null, not 100 for every page
+        const contextualLinks = this.contextualLinkCount > 0
+            ? LinkGraph._scaleRanks(this._pageRank(nodes, this.contextualOutlinks, this.contextualInlinks))
+            : { ranks: [], scores: [] };
+        const depths = this._clickDepths(nodes);
+        const count = (map, url) => (map.get(url) || new Set()).size;
+        
+        nodes.forEach((url, position) => {
+            const statusCode = this.statusCodes.get(url) || null;
+            const status = this.pageStatus.get(url) || {};
+            const isPage = statusCode === null || (statusCode >= 200 && statusCode < 300);
+            const uniqueInlinks = count(this.inlinks, url);
+            const uniqueOutlinks = count(this.outlinks, url);
+            
+            this.metrics.set(url, {
+                url: url,
+                statusCode: statusCode,
+                pageRank: allLinks.ranks[position],
+                linkScore: allLinks.scores[position],
+                contextualPageRank: this.contextualLinkCount > 0 ? contextualLinks.ranks[position] : null,
+                contextualLinkScore: this.contextualLinkCount > 0 ? contextualLinks.scores[position] : null,
+                uniqueInlinks: uniqueInlinks,
+                contextualInlinks: count(this.contextualInlinks, url),
+                templateInlinks: count(this.templateInlinks, url),
+                uniqueOutlinks: uniqueOutlinks,
+                contextualOutlinks: count(this.contextualOutlinks, url),
+                depth: depths.has(url) ? depths.get(url) : null,
+                orphan: isPage && uniqueInlinks === 0 && url !== this.homepage,
+                // Only crawled 2xx pages can be dead ends; an uncrawled URL just has no known outlinks
+                deadEnd: statusCode !== null && isPage && uniqueOutlinks === 0,
+                indexability: status.indexability || null,
+                indexabilityStatus: status.indexabilityStatus || null,
+                canonical: status.canonical || null,
+                redirectUrl: status.redirectUrl || null,
+                robots: status.robots || null
+            });
+        });
+    }
+    
+    /**
+     * Site-wide counts plus every page's metrics, as written by linkgraph.js
+     */
+    toJSON() {
+        const pages = {};
+        let orphans = 0, deadEnds = 0, unreachable = 0, maxDepth = 0;
+        
+        this.metrics.forEach((metrics, url) => {
+            const values = { ...metrics };
+            delete values.url;
+            pages[url] = values;
+            if (metrics.orphan) orphans++;
+            if (metrics.deadEnd) deadEnds++;
+            if (metrics.depth === null) unreachable++;
+            else maxDepth = Math.max(maxDepth, metrics.depth);
+        });
+        
+        return {
+            source: this.config.LINK_DATA_SOURCE || 'inline',
+            homepage: this.homepage,
+            summary: {
+                pages: this.size,
+                links: this.linkCount,
+                contextualLinks: this.contextualLinkCount,
+                orphans: orphans,
+                deadEnds: deadEnds,
+                unreachable: unreachable,
+                maxDepth: maxDepth
+            },
+            pages: pages
+        };
+    }
+    
+    _connect(outMap, inMap, from, to) {
+        if (!outMap.has(from)) outMap.set(from, new Set());
+        if (!inMap.has(to)) inMap.set(to, new Set());
+        if (outMap.get(from).has(to)) return false;
+        
+        outMap.get(from).add(to);
+        inMap.get(to).add(from);
+        return true;
+    }
+    
+    /**
+     * Power iteration; rank from pages without outlinks is spread over every page
+     */
+    _pageRank(nodes, outlinks, inlinks) {
+        const count = nodes.length;
+        if (count === 0) return [];
+        
+        const damping = this.config.PAGERANK_DAMPING;
+        const position = new Map(nodes.map((url, i) => [url, i]));
+        const outDegree = nodes.map(url => (outlinks.get(url) || new Set()).size);
+        const incoming = nodes.map(url => Array.from(inlinks.get(url) || [], source => position.get(source)));
+        
+        let ranks = new Float64Array(count).fill(1 / count);
+        for (let iteration = 0; iteration < 100; iteration++) {
+            let dangling = 0;
+            for (let i = 0; i < count; i++) {
+                if (outDegree[i] === 0) dangling += ranks[i];
+            }
+            
+            const base = (1 - damping) / count + damping * dangling / count;
+            const next = new Float64Array(count);
+            let delta = 0;
+            
+            for (let i = 0; i < count; i++) {
+                let sum = 0;
+                for (const source of incoming[i]) sum += ranks[source] / outDegree[source];
+                next[i] = base + damping * sum;
+                delta += Math.abs(next[i] - ranks[i]);
+            }
+            
+            ranks = next;
+            if (delta < 1e-9) break;
+        }
+        
+        return Array.from(ranks);
+    }
+    
+    /**
+     * PageRank on a 0-100 log scale, like Screaming Frog's "Link Score"
+     */
+    static _scaleRanks(ranks) {
+        const logRanks = ranks.map(rank => Math.log(rank));
+        
+        // A loop, not Math.min(...logRanks): spreading a large crawl's ranks overflows the call stack
+        let minLog = Infinity;
+        let maxLog = -Infinity;
+        for (const logRank of logRanks) {
+            if (logRank < minLog) minLog = logRank;
+            if (logRank > maxLog) maxLog = logRank;
+        }
+        const range = maxLog - minLog;
+        
+        return {
+            ranks: ranks.map(rank => Number(rank.toPrecision(6))),
+            scores: logRanks.map(logRank => (range > 1e-9 ? Math.round(100 * (logRank - minLog) / range) : 100))
+        };
+    }
+    
+    /**
+     * Breadth-first search over all links from LINK_GRAPH_HOMEPAGE, or the site root with the most inlinks
+     */
+    _clickDepths(nodes) {
+        const depths = new Map();
+        this.homepage = this.config.LINK_GRAPH_HOMEPAGE
+            ? CrawlDataProvider.normalizeUrl(this.config.LINK_GRAPH_HOMEPAGE)
+            : nodes
+                .filter(url => /^https?:\/\/[^/?#]+\/?$/i.test(url))
+                .sort((a, b) => (this.inlinks.get(b) || new Set()).size - (this.inlinks.get(a) || new Set()).size)[0] || null;
+        
+        if (!this.homepage) return depths;
+        
+        depths.set(this.homepage, 0);
+        const queue = [this.homepage];
+        for (let head = 0; head < queue.length; head++) {
+            const url = queue[head];
+            for (const target of this.outlinks.get(url) || []) {
+                if (!depths.has(target)) {
+                    depths.set(target, depths.get(url) + 1);
+                    queue.push(target);
+                }
+            }
+        }
+        
+        return depths;
+    }
+    
+    async _loadLinks() {
+        let records = [];
+        
+        if (Array.isArray(this.config.LINK_DATA_LINKS)) {
+            records = this.config.LINK_DATA_LINKS;
+        } else if (this.config.LINK_DATA_SOURCE) {
+            const source = this.config.LINK_DATA_SOURCE;
+            const text = await this.reader._readSource(source);
+            records = this.reader._parseRecords(text, this.reader._detectFormat(source, text));
+        }
+        
+        return records
+            .map(record => this._normalizeLink(record))
+            .filter(link => link !== null);
+    }
+    
+    _normalizeLink(record) {
+        const pick = names => this.reader._pickField(record, names);
+        
+        // Images, CSS, JS and canonicals are in the export too; only hyperlinks pass PageRank
+        const type = pick(['Type', 'type']);
+        if (type && !/hyperlink/i.test(type)) return null;
+        
+        const follow = pick(['Follow', 'follow']);
+        if (follow !== null && /^(false|no|0|nofollow)$/i.test(String(follow).trim())) return null;
+        
+        const source = pick(['Source', 'source', 'From', 'from']);
+        const target = pick(['Destination', 'destination', 'Target', 'target', 'To', 'to']);
+        if (!source || !target) return null;
+        
+        const statusCode = parseInt(pick(['Status Code', 'statusCode', 'status']), 10);
+        
+        // Inline records (LINK_DATA_LINKS) already carry one of the getLinkContext() classes
+        const context = String(pick(['context']) || '').trim().toLowerCase();
+        
+        return {
+            source: source,
+            target: target,
+            context: ['contextual', 'navigation', 'footer'].includes(context)
+                ? context
+                : LinkGraph.linkContext(pick(['Link Position', 'linkPosition', 'position', 'context']), pick(['Link Path', 'linkPath', 'xpath'])),
+            statusCode: Number.isNaN(statusCode) ? null : statusCode
+        };
+    }
+    
+    /**
+     * Screaming Frog's "Link Position" (Content, Navigation, Header, Footer, Sidebar, Aside),
+     * else the XPath in "Link Path". Like getLinkContext(), anything unclear is navigation.
+     */
+    static linkContext(position, linkPath) {
+        const value = String(position || '').trim().toLowerCase();
+        if (['content', 'contextual'].includes(value)) return 'contextual';
+        if (value === 'footer') return 'footer';
+        if (value) return 'navigation';
+        
+        const path = String(linkPath || '').toLowerCase();
+        if (/footer/.test(path)) return 'footer';
+        if (/nav|header|aside|menu|sidebar/.test(path)) return 'navigation';
+        if (/\/(p|article|main)(\[\d+\])?\//.test(path)) return 'contextual';
+        return 'navigation';
+    }
+}
+
+// ================================
+// ENTITY DICTIONARY
+// ================================
+
+/**
+ * Linkable entities: curated {name, category, synonyms, url} entries from
+ * ENTITY_DICTIONARY_SOURCE and ENTITY_DICTIONARY, plus names discovered from
+ * crawled titles and H1s. Mentions match whole words in any case; overlapping
+ * mentions keep the longest, and curated entries win ties.
+ */
+class EntityDictionary {
+    constructor(config = {}) {
+        this.config = { ...SEMANTIC_CONFIG, ...config };
+        this.reader = new CrawlDataProvider(this.config);
+        this.entities = [];
+        this.forms = new Map();
+        this.maxWords = 0;
+        this.loaded = false;
+        this.loading = null;
+    }
+    
+    static words(text) {
+        return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    }
+    
+    async load() {
+        if (this.loaded) return this;
+        if (!this.loading) {
+            this.loading = this._loadEntries().then(entries => {
+                entries.forEach(entry => this.add(entry));
+                this.loaded = true;
+                if (entries.length > 0) console.log(`🏷️ Loaded ${this.entities.length} dictionary entities`);
+                return this;
+            });
+        }
+        return this.loading;
+    }
+    
+    /**
+     * Add one entity under its name and synonyms. Forms another entity already uses
+     * stay with it; returns false when none of the forms were free.
+     */
+    add(entry, source = 'dictionary') {
+        const name = String(entry.name || '').trim();
+        if (!name) return false;
+        
+        const entity = {
+            name: name,
+            category: entry.category || 'general',
+            url: entry.url ? CrawlDataProvider.normalizeUrl(entry.url) : null,
+            source: source
+        };
+        
+        let added = false;
+        [name, ...(entry.synonyms || [])].forEach(form => {
+            const words = EntityDictionary.words(form);
+            const key = words.join(' ');
+            if (!key || this.forms.has(key)) return;
+            
+            this.forms.set(key, entity);
+            this.maxWords = Math.max(this.maxWords, words.length);
+            added = true;
+        });
+        
+        if (added) this.entities.push(entity);
+        return added;
+    }
+    
+    /**
+     * Titles and H1s of link targets as entities linking to their own page. Names
+     * shared by several pages are ambiguous and skipped, as are names without a
+     * content word. Returns the number of entities added.
+     */
+    discover(targets) {
+        const names = new Map();
+        
+        targets.forEach(target => [target.h1, target.title].forEach(name => {
+            const text = String(name || '').trim();
+            const key = EntityDictionary.words(text).join(' ');
+            if (!key || key.split(' ').length > this.config.ENTITY_MAX_WORDS) return;
+            if (text.length < this.config.MIN_ANCHOR_LENGTH || text.length > this.config.MAX_ANCHOR_LENGTH) return;
+            if (KeywordExtractor.terms(text).length === 0) return;
+            
+            if (!names.has(key)) names.set(key, { name: text, category: target.type, urls: new Set() });
+            names.get(key).urls.add(target.url);
+        }));
+        
+        let discovered = 0;
+        names.forEach(({ name, category, urls }) => {
+            if (urls.size === 1 && this.add({ name, category, url: Array.from(urls)[0] }, 'discovered')) discovered++;
+        });
+        
+        return discovered;
+    }
     
-    // Link Suggestion Parameters
-    MAX_SUGGESTIONS_PER_PAGE: 5,
-    MIN_ANCHOR_LENGTH: 3,
-    MAX_ANCHOR_LENGTH: 60,
-    LINK_CONTEXT_WINDOW: 100,
+    /**
+     * Entity mentions in reading order: { text, position, end, name, category, url, source }
+     */
+    match(text) {
+        const source = String(text || '');
+        const tokens = Array.from(source.matchAll(/[\p{L}\p{N}]+/gu));
+        const candidates = [];
+        
+        for (let start = 0; start < tokens.length; start++) {
+            let key = '';
+            
+            for (let length = 1; length <= this.maxWords && start + length <= tokens.length; length++) {
+                const token = tokens[start + length - 1];
+                
+                // Multi-word forms only continue across spaces and hyphens, never punctuation
+                if (length > 1) {
+                    const previous = tokens[start + length - 2];
+                    if (!/^[\s\u00a0\u2010\u2011-]+$/.test(source.slice(previous.index + previous[0].length, token.index))) break;
+                }
+                
+                key += (length > 1 ? ' ' : '') + token[0].toLowerCase();
+                const entity = this.forms.get(key);
+                if (entity) candidates.push({ entity, start, length });
+            }
+        }
+        
+        // Longest mention first, curated before discovered, then earliest
+        const rank = candidate => candidate.entity.source === 'dictionary' ? 0 : 1;
+        candidates.sort((a, b) => b.length - a.length || rank(a) - rank(b) || a.start - b.start);
+        
+        const taken = new Set();
+        const mentions = [];
+        
+        for (const candidate of candidates) {
+            const positions = Array.from({ length: candidate.length }, (_, offset) => candidate.start + offset);
+            if (positions.some(position => taken.has(position))) continue;
+            
+            positions.forEach(position => taken.add(position));
+            mentions.push(candidate);
+        }
+        
+        return mentions
+            .sort((a, b) => a.start - b.start)
+            .map(({ entity, start, length }) => {
+                const first = tokens[start];
+                const last = tokens[start + length - 1];
+                const end = last.index + last[0].length;
+                
+                return { text: source.slice(first.index, end), position: first.index, end: end, ...entity };
+            });
+    }
     
-    // Enable/Disable Features
-    ENABLE_SIMILARITY_MAPPING: true,
-    ENABLE_CONTENT_CLUSTERING: true,
-    ENABLE_LINK_SUGGESTIONS: true,
-    ENABLE_COMPETITIVE_ANALYSIS: true,
-    ENABLE_THEME_CONSISTENCY: true
-};
+    async _loadEntries() {
+        const entries = Array.isArray(this.config.ENTITY_DICTIONARY) ? [...this.config.ENTITY_DICTIONARY] : [];
+        const source = this.config.ENTITY_DICTIONARY_SOURCE;
+        
+        if (source) {
+            const data = JSON.parse((await this.reader._readSource(source)).replace(/^\uFEFF/, ''));
+            entries.push(...(Array.isArray(data) ? data : (data.entities || [])));
+        }
+        
+        return entries;
+    }
+}
 
 // ================================
 // SEMANTIC ANALYSIS ENGINE
@@ -50,12 +1894,36 @@ class SemanticAIAnalyzer {
         this.siteCentroid = null;
         this.pageRelationships = new Map();
         this.linkSuggestions = new Map();
+        this.crawlData = new CrawlDataProvider(this.config);
+        this.embeddingProvider = EmbeddingProviders.createEmbeddingProvider(this.config);
+        this.embeddingCache = new EmbeddingCache(this.config, this.embeddingProvider);
+        this.embeddingQueue = new EmbeddingRequestQueue(this.embeddingProvider, this.config);
+        this.pendingEmbeddings = new Map();
+        this.centroidStore = new SemanticHelpers.JsonStore({
+            key: 'sf-semantic:centroids',
+            filePath: this.config.CENTROID_STORE_PATH,
+            label: 'centroid'
+        });
+        this.comparisonStatus = new Map();
+        this.vectorIndex = null;
+        this.clusteringEngine = null;
+        this.keywordExtractor = null;
+        this.linkGraph = null;
+        this.verticalPack = new PageTypes.VerticalPack();
+        this.verticalPackLoading = null;
+        this.pageTypeClassifier = this._createPageTypeClassifier(this.verticalPack);
+        this.siteProfilesLoading = null;
         
         // Performance tracking
         this.metrics = {
             totalAnalyses: 0,
             embeddingGenerations: 0,
+            cacheHits: 0,
+            cacheMisses: 0,
+            dedupHits: 0,             // Requests merged into an identical one already queued
             similarityCalculations: 0,
+            refusedComparisons: 0,
+            reembeddedPages: 0,
             linkSuggestions: 0,
             clusteringOperations: 0
         };
@@ -73,7 +1941,9 @@ class SemanticAIAnalyzer {
             console.log('🔍 Starting Semantic AI Analysis...');
             
             const currentUrl = window.location.href;
-            const pageContent = this._extractPageContent();
+            await this._getVerticalPack();
+            const siteProfile = (await this._getSiteProfiles()).match(currentUrl);
+            const pageContent = this._extractPageContent(siteProfile);
             
             if (!pageContent || pageContent.words < this.config.MIN_CONTENT_WORDS) {
                 return this._generateBasicAnalysis(currentUrl, pageContent);
@@ -83,13 +1953,18 @@ class SemanticAIAnalyzer {
             const embedding = await this._generateEmbedding(pageContent.cleanText);
             this.embeddings.set(currentUrl, embedding);
             
+            // Pages no URL, schema, template or keyword signal could type may take their neighbours' type
+            if (this.config.PAGE_TYPE_EMBEDDING_VOTE && pageContent.pageType === 'other') {
+                await this._classifyByNearestPages(currentUrl, embedding, pageContent);
+            }
+            
             // Perform all semantic analyses
             const results = {
                 url: currentUrl,
                 basicInfo: this._getBasicPageInfo(),
                 contentAnalysis: pageContent,
                 semanticSimilarity: await this._findSimilarPages(currentUrl, embedding),
-                contentThemeConsistency: await this._analyzeThemeConsistency(embedding),
+                contentThemeConsistency: await this._analyzeThemeConsistency(embedding, currentUrl, pageContent),
                 intelligentLinkSuggestions: await this._generateIntelligentLinkSuggestions(pageContent, embedding),
                 semanticClustering: await this._performSemanticClustering(currentUrl, embedding),
                 competitiveAnalysis: await this._analyzeCompetitivePosition(pageContent),
@@ -98,8 +1973,10 @@ class SemanticAIAnalyzer {
                 actionableInsights: [],
                 metadata: {
                     analysisTimestamp: new Date().toISOString(),
-                    modelUsed: this.config.OLLAMA_MODEL,
-                    embeddingDimensions: embedding.length,
+                    modelUsed: this.embeddingProvider.model,
+                    embeddingProvider: this.embeddingProvider.name,
+                    embeddingDimensions: embedding.dims,
+                    vectorCompatibility: this._summarizeComparisons(),
                     analysisDepth: 'COMPREHENSIVE'
                 }
             };
@@ -127,30 +2004,32 @@ class SemanticAIAnalyzer {
         console.log('🔗 Analyzing semantic similarity...');
         
         try {
-            // In a full implementation, this would analyze other crawled pages
-            // For now, we'll simulate with common crypto exchange page types
-            const commonPages = await this._getCommonPageTypes();
+            const normalizedUrl = CrawlDataProvider.normalizeUrl(currentUrl);
+            const index = await this._getVectorIndex(embedding);
+            
+            // Pages missing from the crawl export join this run's index only; the saved index
+            // holds the crawl, and rewriting it for every page would cost more than the search
+            if (!index.has(normalizedUrl)) index.add(normalizedUrl, embedding, { title: document.title });
+            
+            const matches = index.search(embedding, this.config.MAX_SIMILAR_PAGES + 1, this.config.SIMILARITY_THRESHOLD);
             const similarities = [];
             
-            for (const page of commonPages) {
-                if (page.url === currentUrl) continue;
-                
-                const pageEmbedding = await this._generateEmbedding(page.content);
-                const similarity = this._cosineSimilarity(embedding, pageEmbedding);
+            for (const match of matches) {
+                if (match.id === normalizedUrl) continue;
                 
-                if (similarity >= this.config.SIMILARITY_THRESHOLD) {
-                    similarities.push({
-                        url: page.url,
-                        title: page.title,
-                        similarity: similarity.toFixed(4),
-                        relationshipType: this._classifyRelationship(similarity),
-                        linkPotential: this._assessLinkPotential(similarity, page.pageType),
-                        suggestedAnchorText: this._generateSemanticAnchorText(page.title, page.content)
-                    });
-                }
+                const page = await this.crawlData.getPage(match.id) || { url: match.id, title: match.metadata.title || '' };
+                const pageText = page.content || page.title;
+                similarities.push({
+                    url: page.url,
+                    title: page.title,
+                    similarity: match.similarity.toFixed(4),
+                    relationshipType: this._classifyRelationship(match.similarity),
+                    linkPotential: this._assessLinkPotential(match.similarity, this._identifyPageType(pageText, page.url, page.title)),
+                    suggestedAnchorText: this._generateSemanticAnchorText(page.title, pageText)
+                });
             }
             
-            return similarities.sort((a, b) => b.similarity - a.similarity).slice(0, 10);
+            return similarities.slice(0, this.config.MAX_SIMILAR_PAGES);
             
         } catch (error) {
             console.warn('Similarity mapping failed:', error);
@@ -158,6 +2037,106 @@ class SemanticAIAnalyzer {
         }
     }
     
+    /**
+     * Load the crawl's HNSW index (or build it once), then index any crawl pages
+     * it does not hold yet. Rebuilt when the crawl (its fingerprint, so changed page
+     * content too) or the model space changes.
+     * Pages without text or from another model space are recorded as skipped rather than
+     * retried; failed requests are only counted, so the next call retries them. The index
+     * is saved only when it changed, so a complete index is never rewritten.
+     */
+    async _getVectorIndex(reference) {
+        const fingerprint = await this.crawlData.getFingerprint();
+        
+        if (!this.vectorIndex) {
+            const stored = await VectorIndex.load(this.config.VECTOR_INDEX_PATH);
+            this.vectorIndex = stored && stored.fingerprint === fingerprint && stored.accepts(reference) === 'OK' ? stored : null;
+            if (stored && !this.vectorIndex) console.log('🧭 Stored vector index is for another crawl or model, rebuilding');
+        }
+        if (this.vectorIndex && this.vectorIndex.accepts(reference) !== 'OK') {
+            this.vectorIndex = null;
+        }
+        if (!this.vectorIndex) {
+            this.vectorIndex = new VectorIndex({
+                M: this.config.HNSW_M,
+                efConstruction: this.config.HNSW_EF_CONSTRUCTION,
+                efSearch: this.config.HNSW_EF_SEARCH,
+                fingerprint: fingerprint
+            });
+        }
+        
+        const index = this.vectorIndex;
+        index.failed = 0;
+        const missing = (await this.crawlData.getPages()).filter(page => !index.has(page.url) && !index.skipped.has(page.url));
+        if (missing.length === 0) return index;
+        
+        console.log(`🧭 Indexing ${missing.length} pages (${index.size} already indexed)...`);
+        
+        // Queue every missing page embedding up front so they are batched
+        const failed = new Set();
+        const pageEmbeddings = await Promise.all(missing.map(page =>
+            this._getPageEmbedding(page, reference).catch(error => {
+                console.warn(`Could not embed ${page.url}: ${error.message}`);
+                failed.add(page.url);
+                return null;
+            })
+        ));
+        
+        missing.forEach((page, position) => {
+            if (failed.has(page.url)) return;
+            
+            const pageEmbedding = pageEmbeddings[position];
+            const status = pageEmbedding ? pageEmbedding.compatibilityWith(reference) : 'NO_TEXT';
+            if (status === 'OK' && index.add(page.url, pageEmbedding, { title: page.title })) return;
+            
+            // No text (a redirect row, say) or another model space won't change on a retry
+            if (pageEmbedding && status !== 'OK') this._recordRefusedComparison(status, reference, pageEmbedding);
+            index.skipped.add(page.url);
+        });
+        
+        index.failed = failed.size;
+        if (index.skipped.size > 0) {
+            console.log(`🧭 ${index.skipped.size} crawl pages could not be indexed and are skipped`);
+        }
+        if (failed.size > 0) {
+            console.warn(`🧭 ${failed.size} embedding requests failed; those pages are retried on the next call`);
+        }
+        
+        if (failed.size < missing.length) await index.save(this.config.VECTOR_INDEX_PATH);
+        return index;
+    }
+    
+    /**
+     * The embedding that sets the model space for a whole-crawl job (vectorindex.js, linkplan.js):
+     * the first stored vector, or else the first page's text embedded with the configured provider
+     */
+    async _getReferenceEmbedding(pages) {
+        const stored = pages.find(page => page.embedding);
+        if (stored) return stored.embedding;
+        
+        const withText = pages.find(page => page.content || page.title);
+        if (!withText) {
+            throw new Error(`No page in ${this.config.CRAWL_DATA_SOURCE || 'the crawl data'} has a stored embedding, title or content to embed`);
+        }
+        return this._generateEmbedding(withText.content || withText.title);
+    }
+    
+    /**
+     * The internal link graph, loaded once; empty (with a warning) if the export can't be read
+     */
+    async _getLinkGraph() {
+        if (!this.linkGraph) this.linkGraph = new LinkGraph(this.config, this.crawlData);
+        
+        try {
+            await this.linkGraph.load();
+        } catch (error) {
+            console.warn(`Link data unavailable: ${error.message}`);
+            this.linkGraph = new LinkGraph({ ...this.config, LINK_DATA_SOURCE: null, LINK_DATA_LINKS: null });
+            await this.linkGraph.load();
+        }
+        return this.linkGraph;
+    }
+    
     // ================================
     // CONTENT THEME CONSISTENCY
     // ================================
@@ -165,23 +2144,54 @@ class SemanticAIAnalyzer {
     /**
      * Analyze how well the current page aligns with overall site theme
      */
-    async _analyzeThemeConsistency(embedding) {
+    async _analyzeThemeConsistency(embedding, currentUrl, pageContent) {
         console.log('🎯 Analyzing theme consistency...');
         
         try {
             // Calculate site centroid if not available
             if (!this.siteCentroid) {
-                this.siteCentroid = await this._calculateSiteCentroid();
+                this.siteCentroid = await this._calculateSiteCentroid(currentUrl, embedding);
             }
             
-            const themeAlignment = this._cosineSimilarity(embedding, this.siteCentroid);
+            // Keywords come from the crawl text, not the vectors, so they are reported without a usable centroid too
+            const siteThemeKeywords = await this._extractSiteThemeKeywords();
+            const pageThemeKeywords = await this._extractPageThemeKeywords(pageContent.cleanText);
+            const keywords = {
+                siteThemeKeywords: siteThemeKeywords,
+                pageThemeKeywords: pageThemeKeywords,
+                themeGaps: this._identifyThemeGaps(siteThemeKeywords, pageContent.cleanText)
+            };
+            
+            if (!this.siteCentroid) {
+                return {
+                    themeAlignmentScore: 'N/A',
+                    consistencyLevel: 'UNKNOWN',
+                    centroidScope: 'NONE',
+                    centroidPages: 0,
+                    ...keywords,
+                    recommendations: ['Supply crawl data with stored embeddings to score theme consistency']
+                };
+            }
+            
+            const themeAlignment = this._cosineSimilarity(embedding, EmbeddingVector.from(this.siteCentroid));
+            
+            if (themeAlignment === null) {
+                return {
+                    themeAlignmentScore: 'N/A',
+                    consistencyLevel: 'UNKNOWN',
+                    centroidScope: this.siteCentroid.scope,
+                    centroidPages: this.siteCentroid.pageCount,
+                    ...keywords,
+                    recommendations: [`Site centroid was built with ${this.siteCentroid.model || 'another model'}; re-embed the crawl (migrate.js)`]
+                };
+            }
             
             return {
                 themeAlignmentScore: themeAlignment.toFixed(4),
+                centroidScope: this.siteCentroid.scope,
+                centroidPages: this.siteCentroid.pageCount,
                 consistencyLevel: this._classifyConsistency(themeAlignment),
-                siteThemeKeywords: await this._extractSiteThemeKeywords(),
-                pageThemeKeywords: this._extractPageThemeKeywords(),
-                themeGaps: this._identifyThemeGaps(embedding),
+                ...keywords,
                 recommendations: this._generateThemeRecommendations(themeAlignment)
             };
             
@@ -203,13 +2213,18 @@ class SemanticAIAnalyzer {
         
         try {
             const suggestions = [];
-            const pageType = this._identifyPageType(pageContent.cleanText);
+            const pageType = pageContent.pageType;
             const contentSentences = this._extractSentences(pageContent.cleanText);
             
+            const linkedUrls = await this._getLinkedUrls(window.location.href);
+            
+            // Embed all sentences together so the queue can batch them
+            const sentenceEmbeddings = await Promise.all(contentSentences.map(sentence => this._generateEmbedding(sentence)));
+            
             // Analyze each sentence for linking opportunities
-            for (const sentence of contentSentences) {
-                const sentenceEmbedding = await this._generateEmbedding(sentence);
-                const linkOpportunities = await this._findLinkOpportunities(sentence, sentenceEmbedding, pageType);
+            for (const [index, sentence] of contentSentences.entries()) {
+                const sentenceEmbedding = sentenceEmbeddings[index];
+                const linkOpportunities = await this._findLinkOpportunities(sentence, sentenceEmbedding, pageType, linkedUrls);
                 
                 if (linkOpportunities.length > 0) {
                     suggestions.push(...linkOpportunities);
@@ -244,14 +2259,22 @@ class SemanticAIAnalyzer {
         console.log('Performing semantic clustering...');
         
         try {
-            const clusters = await this._findSemanticClusters(embedding);
-            const currentCluster = this._findPageCluster(currentUrl, clusters);
+            await this._findSemanticClusters(embedding);
+            const linkGraph = await this._getLinkGraph();
+            const currentCluster = await this.clusteringEngine._identifyCurrentCluster(currentUrl, embedding);
+            const normalizedUrl = CrawlDataProvider.normalizeUrl(currentUrl);
+            const hub = currentCluster.authorityPage;
             
             return {
                 currentCluster: currentCluster,
-                clusterSize: currentCluster ? currentCluster.pages.length : 0,
-                clusterTopic: currentCluster ? currentCluster.topic : 'UNCLUSTERED',
-                relatedPages: currentCluster ? currentCluster.pages.filter(p => p.url !== currentUrl) : [],
+                clusterId: currentCluster.id,
+                clusterSize: currentCluster.clusterSize,
+                clusterTopic: currentCluster.topic,
+                clusterCohesion: currentCluster.averageSimilarity,
+                clusterHub: hub,
+                linksToHub: !hub ? 'N/A' : hub === normalizedUrl ? 'IS HUB' : this._formatLinkState(linkGraph.hasLink(normalizedUrl, hub)),
+                linkMetrics: linkGraph.getMetrics(normalizedUrl),
+                relatedPages: currentCluster.pages.filter(p => p.url !== normalizedUrl),
                 clusterAuthority: this._calculateClusterAuthority(currentCluster),
                 topicCoverage: this._analyzeTopicCoverage(currentCluster),
                 expansionOpportunities: this._identifyExpansionOpportunities(currentCluster),
@@ -331,29 +2354,66 @@ class SemanticAIAnalyzer {
     // UTILITY FUNCTIONS
     // ================================
     
+    /**
+     * Use the crawl's stored embedding when it is in the same space as the reference,
+     * otherwise embed the page text once with the current model
+     */
+    async _getPageEmbedding(page, reference = null) {
+        const stored = page.embedding;
+        const compatible = stored && (!reference || stored.compatibilityWith(reference) === 'OK');
+        if (compatible) return stored;
+        if (this.embeddings.has(page.url)) return this.embeddings.get(page.url);
+        
+        const text = page.content || [page.title, page.h1].filter(Boolean).join('. ');
+        
+        // Without text (or with re-embedding disabled) the stale vector is returned
+        // so the comparison is refused and reported rather than silently dropped
+        if (stored && (!text || !this.config.REEMBED_ON_MODEL_MISMATCH)) return stored;
+        if (!text) return null;
+        
+        const embedding = await this._generateEmbedding(text);
+        if (stored) this.metrics.reembeddedPages++;
+        this.embeddings.set(page.url, embedding);
+        return embedding;
+    }
+    
     async _generateEmbedding(text) {
         try {
-            this.metrics.embeddingGenerations++;
-            
             // Clean and truncate text
             const cleanText = text.slice(0, this.config.MAX_CONTENT_LENGTH);
+            const cacheKey = await this.embeddingCache.keyFor(cleanText);
             
-            const response = await fetch(`${this.config.OLLAMA_ENDPOINT}/api/embeddings`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    model: this.config.OLLAMA_MODEL,
-                    prompt: cleanText
-                }),
-                timeout: this.config.TIMEOUT
-            });
+            // Memory first, then the persistent cache
+            const tags = { provider: this.embeddingProvider.name, model: this.embeddingProvider.model };
+            let embedding = this.cache.get(cacheKey) || EmbeddingVector.from(await this.embeddingCache.get(cacheKey), tags);
+            if (embedding) {
+                this.metrics.cacheHits++;
+                this.cache.set(cacheKey, embedding);
+                return embedding;
+            }
             
-            if (!response.ok) {
-                throw new Error(`Ollama API error: ${response.status}`);
+            // Identical texts requested concurrently share one queued request
+            if (this.pendingEmbeddings.has(cacheKey)) {
+                this.metrics.dedupHits++;
+                return await this.pendingEmbeddings.get(cacheKey);
             }
             
-            const data = await response.json();
-            return data.embedding;
+            this.metrics.cacheMisses++;
+            this.metrics.embeddingGenerations++;
+            
+            const request = this.embeddingQueue.enqueue(cleanText).then(async vector => {
+                const result = new EmbeddingVector(vector, tags);
+                this.cache.set(cacheKey, result);
+                await this.embeddingCache.set(cacheKey, result.toJSON());
+                return result;
+            });
+            
+            this.pendingEmbeddings.set(cacheKey, request);
+            try {
+                return await request;
+            } finally {
+                this.pendingEmbeddings.delete(cacheKey);
+            }
             
         } catch (error) {
             console.error('Embedding generation failed:', error);
@@ -361,13 +2421,21 @@ class SemanticAIAnalyzer {
         }
     }
     
-    _cosineSimilarity(vecA, vecB) {
+    /**
+     * Cosine similarity of two EmbeddingVectors, or null when they come from
+     * different models / dimensions (recorded for the 'Vector Compatibility' column)
+     */
+    _cosineSimilarity(embeddingA, embeddingB) {
         this.metrics.similarityCalculations++;
         
-        if (vecA.length !== vecB.length) {
-            throw new Error('Vector dimension mismatch');
+        const status = embeddingA.compatibilityWith(embeddingB);
+        if (status !== 'OK') {
+            this._recordRefusedComparison(status, embeddingA, embeddingB);
+            return null;
         }
         
+        const vecA = embeddingA.vector;
+        const vecB = embeddingB.vector;
         let dotProduct = 0;
         let normA = 0;
         let normB = 0;
@@ -381,78 +2449,135 @@ class SemanticAIAnalyzer {
         return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
     }
     
-    _extractPageContent() {
+    _recordRefusedComparison(status, embeddingA, embeddingB) {
+        this.metrics.refusedComparisons++;
+        const key = `${status} (${embeddingA.space} vs ${embeddingB.space})`;
+        this.comparisonStatus.set(key, (this.comparisonStatus.get(key) || 0) + 1);
+    }
+    
+    _summarizeComparisons() {
+        if (this.comparisonStatus.size === 0) return 'OK';
+        return Array.from(this.comparisonStatus.entries())
+            .map(([status, count]) => `${status}: ${count} refused`)
+            .join('; ');
+    }
+    
+    _extractPageContent(siteProfile = null) {
         try {
-            // Find main content area
-            const contentSelectors = [
-                'main', '[role="main"]', 'article', '.content',
-                '.post-content', '.page-content', '.entry-content'
-            ];
-            
-            let bestContent = '';
-            let bestWordCount = 0;
-            
-            for (const selector of contentSelectors) {
-                const elements = document.querySelectorAll(selector);
-                for (const element of elements) {
-                    const content = this._cleanTextContent(element);
-                    if (content.words > bestWordCount) {
-                        bestWordCount = content.words;
-                        bestContent = content;
-                    }
-                }
-            }
-            
-            // Fallback to body
-            if (bestWordCount < 50) {
-                bestContent = this._cleanTextContent(document.body);
-            }
+            const content = Content.ContentExtractor.extract(document, Profiles.SiteProfiles.extractOptions(siteProfile));
+            const classification = this.pageTypeClassifier.classify({
+                url: window.location.href,
+                title: document.title,
+                text: content.cleanText,
+                document: document
+            });
             
-            return bestContent;
+            return {
+                ...content,
+                siteProfile: siteProfile ? siteProfile.name : null,
+                pageType: classification.type,
+                pageTypeConfidence: classification.confidence,
+                pageTypeSignals: classification.signals
+            };
             
         } catch (error) {
             console.error('Content extraction failed:', error);
-            return { cleanText: '', words: 0, pageType: 'unknown' };
+            return { cleanText: '', words: 0, method: 'failed', siteProfile: siteProfile ? siteProfile.name : null, pageType: 'other', pageTypeConfidence: 0, pageTypeSignals: [] };
         }
     }
     
-    _cleanTextContent(element) {
-        const clone = element.cloneNode(true);
-        
-        // Remove non-content elements
-        const removeSelectors = [
-            'script', 'style', 'nav', 'header', 'footer',
-            '.nav', '.menu', '.sidebar', '.widget', '.ads'
-        ];
+    /**
+     * Page type of a crawled page from its text, URL and title (no DOM signals)
+     */
+    _identifyPageType(content, url = null, title = '') {
+        return this.pageTypeClassifier.classify({ text: content, url: url, title: title }).type;
+    }
+    
+    _createPageTypeClassifier(pack) {
+        return new PageTypes.PageTypeClassifier(pack, { templateStorePath: this.config.PAGE_TEMPLATE_STORE_PATH });
+    }
+    
+    /**
+     * Embedding vote: the type most of the nearest labelled pages share. Labels come from
+     * PAGE_TYPE_LABELS, else from classifying each neighbour's URL and title.
+     */
+    async _classifyByNearestPages(currentUrl, embedding, pageContent) {
+        const labels = this.config.PAGE_TYPE_LABELS || {};
+        const labelFor = url => Object.keys(labels).find(labelled => CrawlDataProvider.normalizeUrl(labelled) === url);
+        const normalizedUrl = CrawlDataProvider.normalizeUrl(currentUrl);
+        const votes = new Map();
         
-        removeSelectors.forEach(selector => {
-            const elements = clone.querySelectorAll(selector);
-            elements.forEach(el => el.remove());
-        });
+        try {
+            const index = await this._getVectorIndex(embedding);
+            for (const match of index.search(embedding, this.config.MAX_SIMILAR_PAGES + 1, this.config.RELEVANCE_THRESHOLD)) {
+                if (match.id === normalizedUrl) continue;
+                
+                const labelled = labelFor(match.id);
+                let type = labelled ? labels[labelled] : null;
+                if (!type) {
+                    const page = await this.crawlData.getPage(match.id);
+                    const classification = page ? this.pageTypeClassifier.classify({ url: page.url, title: page.title, text: '' }) : null;
+                    type = classification && classification.confidence >= 0.5 ? classification.type : null;
+                }
+                if (!type) continue;
+                
+                const vote = votes.get(type) || { count: 0, similarity: 0 };
+                vote.count++;
+                vote.similarity += match.similarity;
+                votes.set(type, vote);
+            }
+        } catch (error) {
+            console.warn(`Embedding page type vote skipped: ${error.message}`);
+            return;
+        }
         
-        const text = clone.textContent || clone.innerText || '';
-        const cleanText = text.replace(/\s+/g, ' ').trim();
-        const words = cleanText.split(/\s+/).filter(word => word.length > 2).length;
+        const total = Array.from(votes.values()).reduce((sum, vote) => sum + vote.count, 0);
+        const best = Array.from(votes.entries()).sort((a, b) => b[1].count - a[1].count || b[1].similarity - a[1].similarity)[0];
+        if (!best) return;
         
-        return {
-            cleanText: cleanText,
-            words: words,
-            pageType: this._identifyPageType(cleanText)
-        };
+        const [type, vote] = best;
+        const classification = this.pageTypeClassifier.classify({
+            url: currentUrl,
+            title: document.title,
+            document: document,
+            nearest: { type: type, similarity: (vote.similarity / vote.count) * (vote.count / total) }
+        });
+        pageContent.pageType = classification.type;
+        pageContent.pageTypeConfidence = classification.confidence;
+        pageContent.pageTypeSignals = classification.signals;
     }
     
-    _identifyPageType(content) {
-        const contentLower = content.toLowerCase();
-        
-        if (contentLower.includes('trade') || contentLower.includes('trading')) return 'trading';
-        if (contentLower.includes('learn') || contentLower.includes('education')) return 'educational';
-        if (contentLower.includes('security') || contentLower.includes('safety')) return 'security';
-        if (contentLower.includes('about') || contentLower.includes('company')) return 'about';
-        if (contentLower.includes('blog') || contentLower.includes('news')) return 'blog';
-        if (contentLower.includes('support') || contentLower.includes('help')) return 'support';
-        if (contentLower.includes('legal') || contentLower.includes('terms')) return 'legal';
-        
-        return 'general';
+    /**
+     * The vertical pack from VERTICAL_PACK_SOURCE, loaded once; the built-in pack until then or if it fails
+     */
+    async _getVerticalPack() {
+        if (!this.verticalPackLoading) {
+            this.verticalPackLoading = PageTypes.VerticalPack.load(this.config.VERTICAL_PACK_SOURCE)
+                .then(pack => {
+                    this.verticalPack = pack;
+                    this.pageTypeClassifier = this._createPageTypeClassifier(pack);
+                    return pack;
+                })
+                .catch(error => {
+                    console.warn(`Vertical pack unavailable, using the built-in ${this.verticalPack.name} pack: ${error.message}`);
+                    return this.verticalPack;
+                });
+        }
+        return this.verticalPackLoading;
+    }
+    
+    /**
+     * Site profiles from SITE_PROFILES_SOURCE, loaded once; none if unset or unreadable
+     */
+    async _getSiteProfiles() {
+        if (!this.siteProfilesLoading) {
+            this.siteProfilesLoading = Profiles.SiteProfiles.load(this.config.SITE_PROFILES_SOURCE)
+                .catch(error => {
+                    console.warn(`Site profiles unavailable, using the heuristics: ${error.message}`);
+                    return new Profiles.SiteProfiles();
+                });
+        }
+        return this.siteProfilesLoading;
     }
     
     _getBasicPageInfo() {
@@ -466,45 +2591,108 @@ class SemanticAIAnalyzer {
     }
     
     // ================================
-    // MOCK DATA FUNCTIONS (Replace with real crawl data)
+    // SITE CENTROID
     // ================================
     
-    async _getCommonPageTypes() {
-        // In production, this would come from Screaming Frog crawl data
-        return [
-            {
-                url: 'https://www.giottus.com/trade',
-                title: 'Trading Platform - Advanced Crypto Trading',
-                content: 'Advanced trading platform with real-time charts, order books, and professional trading tools for Bitcoin, Ethereum, and other cryptocurrencies.',
-                pageType: 'trading'
-            },
-            {
-                url: 'https://www.giottus.com/security',
-                title: 'Security - Bank-Grade Protection',
-                content: 'Multi-layer security with cold storage, 2FA, insurance coverage, and regulatory compliance to protect your cryptocurrency investments.',
-                pageType: 'security'
-            },
-            {
-                url: 'https://www.giottus.com/learn',
-                title: 'Learn Crypto - Educational Resources',
-                content: 'Comprehensive guides on cryptocurrency basics, blockchain technology, trading strategies, and market analysis for beginners and experts.',
-                pageType: 'educational'
-            },
-            {
-                url: 'https://www.giottus.com/fees',
-                title: 'Transparent Pricing - Competitive Trading Fees',
-                content: 'Clear and competitive fee structure for cryptocurrency trading, deposits, withdrawals, and premium features with no hidden charges.',
-                pageType: 'pricing'
+    /**
+     * Weighted mean of the crawl's stored page embeddings, optionally limited to one section.
+     * Only vectors in the same model space as the current page are averaged.
+     * Persisted so every page in the crawl is scored against the same reference.
+     */
+    async _calculateSiteCentroid(currentUrl, embedding) {
+        const section = this._resolveCentroidSection(currentUrl);
+        const weighting = this.config.CENTROID_WEIGHTING || 'none';
+        
+        // The fingerprint changes when a re-crawl is exported to the same path
+        const crawl = `${this.config.CRAWL_DATA_SOURCE || 'inline'}|${await this.crawlData.getFingerprint()}|`;
+        const storeKey = crawl + [section || 'SITE', weighting, embedding.space].join('|');
+        
+        const centroids = this.centroidStore.load();
+        if (centroids[storeKey]) return centroids[storeKey];
+        
+        const embedded = (await this.crawlData.getPages()).filter(page => page.embedding);
+        const pages = embedded.filter(page => page.embedding.compatibilityWith(embedding) === 'OK');
+        if (pages.length < embedded.length) {
+            console.warn(`Centroid skips ${embedded.length - pages.length} stored vectors from another model or size than ${embedding.space}`);
+        }
+        let members = section ? pages.filter(page => this._urlPath(page.url).startsWith(section)) : pages;
+        let scope = section || 'SITE';
+        
+        if (section && members.length < 2) {
+            console.warn(`Only ${members.length} embedded pages in ${section} - using site-wide centroid`);
+            members = pages;
+            scope = 'SITE';
+        }
+        if (members.length === 0) return null;
+        
+        const dimensions = embedding.dims;
+        const vector = new Array(dimensions).fill(0);
+        let totalWeight = 0;
+        
+        for (const page of members) {
+            const weight = this._centroidWeight(page, weighting);
+            const values = page.embedding.vector;
+            const norm = Math.sqrt(values.reduce((sum, value) => sum + value * value, 0)) || 1;
+            
+            for (let i = 0; i < dimensions; i++) {
+                vector[i] += (values[i] / norm) * weight;
             }
-        ];
+            totalWeight += weight;
+        }
+        
+        const centroid = {
+            vector: vector.map(value => value / (totalWeight || 1)),
+            provider: embedding.provider,
+            model: embedding.model,
+            dims: dimensions,
+            scope: scope,
+            weighting: weighting,
+            pageCount: members.length,
+            computedAt: new Date().toISOString()
+        };
+        
+        // Centroids of this source's earlier crawls will never be read again
+        const source = `${this.config.CRAWL_DATA_SOURCE || 'inline'}|`;
+        Object.keys(centroids).forEach(key => {
+            if (key.startsWith(source) && !key.startsWith(crawl)) delete centroids[key];
+        });
+        centroids[storeKey] = centroid;
+        this.centroidStore.save();
+        return centroid;
+    }
+    
+    _resolveCentroidSection(currentUrl) {
+        const section = this.config.CENTROID_SECTION;
+        if (!section) return null;
+        if (section !== 'auto') return section;
+        
+        const firstFolder = this._urlPath(currentUrl).split('/').filter(Boolean)[0];
+        return firstFolder ? `/${firstFolder}/` : null;
+    }
+    
+    _urlPath(url) {
+        try {
+            const path = new URL(url).pathname;
+            return path.endsWith('/') ? path : `${path}/`;
+        } catch (error) {
+            return '/';
+        }
     }
     
-    async _calculateSiteCentroid() {
-        // Mock implementation - in production, calculate from all page embeddings
-        const mockCentroid = new Array(768).fill(0).map(() => Math.random() * 0.1);
-        return mockCentroid;
+    _centroidWeight(page, weighting) {
+        if (weighting === 'content_length') {
+            return Math.max(page.wordCount || 0, 1);
+        }
+        if (weighting === 'authority') {
+            return Math.max(page.linkScore || page.uniqueInlinks || 0, 1);
+        }
+        return 1;
     }
     
+    // ================================
+    // MOCK DATA FUNCTIONS (Replace with real crawl data)
+    // ================================
+    
     _getCompetitorBenchmarks() {
         return {
             topics: ['trading', 'security', 'education', 'fees', 'support'],
@@ -574,14 +2762,23 @@ class SemanticAIAnalyzer {
             // Basic Information
             'URL': results.url,
             'Page Title': results.basicInfo.title,
-            'Page Type': results.contentAnalysis.pageType.toUpperCase(),
+            'Page Type': results.contentAnalysis.pageType,
+            'Page Type Confidence': results.contentAnalysis.pageTypeConfidence,
+            'Page Type Signals': results.contentAnalysis.pageTypeSignals.join(', ') || 'None',
+            'Vertical Pack': this.verticalPack.name,
             'Content Words': results.contentAnalysis.words,
+            'Extraction Method': results.contentAnalysis.method,
+            'Site Profile': results.contentAnalysis.siteProfile || 'None',
             
             // Semantic Analysis Results
             'Semantic Score': `${results.semanticScore.overallScore}/100`,
             'Semantic Grade': results.semanticScore.grade,
             'Theme Alignment': results.contentThemeConsistency.themeAlignmentScore || 'N/A',
             'Consistency Level': results.contentThemeConsistency.consistencyLevel || 'UNKNOWN',
+            'Centroid Scope': results.contentThemeConsistency.centroidScope || 'NONE',
+            'Centroid Pages': results.contentThemeConsistency.centroidPages || 0,
+            'Page Theme Keywords': (results.contentThemeConsistency.pageThemeKeywords || []).join(', ') || 'None',
+            'Theme Gaps': (results.contentThemeConsistency.themeGaps || []).join(', ') || 'None',
             
             // Similarity Analysis
             'Similar Pages Found': results.semanticSimilarity.length,
@@ -595,8 +2792,19 @@ class SemanticAIAnalyzer {
             
             // Clustering Analysis
             'Semantic Cluster': results.semanticClustering.clusterTopic || 'UNCLUSTERED',
+            'Cluster ID': results.semanticClustering.clusterId || 'NONE',
+            'Cluster Keywords': (results.semanticClustering.currentCluster?.topicKeywords || []).join(', ') || 'None',
             'Cluster Size': results.semanticClustering.clusterSize || 0,
+            'Cluster Cohesion': results.semanticClustering.clusterCohesion || 'N/A',
             'Cluster Authority': results.semanticClustering.clusterAuthority || 'N/A',
+            'Cluster Hub': results.semanticClustering.clusterHub || 'None',
+            'Links To Hub': results.semanticClustering.linksToHub || 'N/A',
+            'Hub Linking Plan': results.semanticClustering.internalLinkingStrategy || 'N/A',
+            
+            // Internal Link Graph
+            'Internal Link Score': results.semanticClustering.linkMetrics ? results.semanticClustering.linkMetrics.linkScore : 'N/A',
+            'Unique Inlinks': results.semanticClustering.linkMetrics ? results.semanticClustering.linkMetrics.uniqueInlinks : 'N/A',
+            'Click Depth': results.semanticClustering.linkMetrics && results.semanticClustering.linkMetrics.depth !== null ? results.semanticClustering.linkMetrics.depth : 'N/A',
             
             // Content Gaps
             'Content Gaps': results.contentGapAnalysis.missingTopics?.length || 0,
@@ -612,9 +2820,14 @@ class SemanticAIAnalyzer {
             'Action Priority': this._determineActionPriority(results),
             
             // Technical Metadata
+            'Embedding Provider': results.metadata.embeddingProvider,
             'Model Used': results.metadata.modelUsed,
+            'Embedding Cache': `${this.metrics.cacheHits} hits / ${this.metrics.cacheMisses} misses`,
+            'Embedding Queue': this._formatQueueStats(),
             'Analysis Depth': results.metadata.analysisDepth,
             'Embedding Dimensions': results.metadata.embeddingDimensions,
+            'Vector Compatibility': results.metadata.vectorCompatibility,
+            'Re-embedded Pages': this.metrics.reembeddedPages,
             'Analysis Timestamp': results.metadata.analysisTimestamp,
             'Status': 'SEMANTIC_ANALYSIS_COMPLETE'
         };
@@ -622,6 +2835,12 @@ class SemanticAIAnalyzer {
         return data;
     }
     
+    _formatQueueStats() {
+        const stats = this.embeddingQueue.getStats();
+        return `${stats.completed} texts in ${stats.batches} batches, ${stats.queueDepth} queued, ${stats.inFlight} in flight, ` +
+            `${stats.retries} retries, ${this.metrics.dedupHits} merged, ${stats.throughput}/s`;
+    }
+    
     _determineActionPriority(results) {
         if (results.semanticScore.overallScore < 60) return 'HIGH';
         if (results.intelligentLinkSuggestions.totalSuggestions > 3) return 'MEDIUM';
@@ -634,6 +2853,8 @@ class SemanticAIAnalyzer {
             'URL': url,
             'Status': 'INSUFFICIENT_CONTENT',
             'Content Words': content?.words || 0,
+            'Extraction Method': content?.method || 'none',
+            'Site Profile': content?.siteProfile || 'None',
             'Semantic Score': 'N/A',
             'Analysis Depth': 'BASIC',
             'Recommendation': 'Add more content for semantic analysis',
@@ -647,7 +2868,7 @@ class SemanticAIAnalyzer {
             'Status': 'ANALYSIS_ERROR',
             'Error Message': error.message,
             'Semantic Score': 'ERROR',
-            'Recommendation': 'Check Ollama connection and retry',
+            'Recommendation': 'Check embedding provider connection and retry',
             'Action Priority': 'HIGH'
         };
     }
@@ -675,16 +2896,33 @@ class SemanticAIAnalyzer {
         return 'LOW';
     }
     
-    _extractSiteThemeKeywords() {
-        return ['cryptocurrency', 'trading', 'bitcoin', 'ethereum', 'security'];
+    /**
+     * Document frequencies over the crawl's page text, built once per analyzer
+     */
+    async _getKeywordExtractor() {
+        if (!this.keywordExtractor) {
+            const pages = await this.crawlData.getPages();
+            this.keywordExtractor = new KeywordExtractor(
+                pages.map(page => page.content || [page.title, page.h1].filter(Boolean).join('. ')),
+                this.config
+            );
+        }
+        return this.keywordExtractor;
+    }
+    
+    async _extractSiteThemeKeywords() {
+        const extractor = await this._getKeywordExtractor();
+        return extractor.siteTerms(this.config.THEME_KEYWORD_COUNT);
     }
     
-    _extractPageThemeKeywords() {
-        return ['crypto', 'exchange', 'trading', 'platform'];
+    async _extractPageThemeKeywords(text) {
+        const extractor = await this._getKeywordExtractor();
+        return extractor.topTerms(text, this.config.THEME_KEYWORD_COUNT);
     }
     
-    _identifyThemeGaps() {
-        return ['defi', 'staking', 'nft'];
+    _identifyThemeGaps(siteKeywords, text) {
+        // Site-wide themes this page never mentions, as whole words ("eth" isn't in "ethereum")
+        return siteKeywords.filter(keyword => !KeywordExtractor.findPhrase(text, keyword));
     }
     
     _generateThemeRecommendations(score) {
@@ -698,27 +2936,116 @@ class SemanticAIAnalyzer {
         return text.split(/[.!?]+/).filter(s => s.trim().length > 20).slice(0, 10);
     }
     
-    async _findLinkOpportunities(sentence, embedding, pageType) {
-        // Mock link opportunities
-        return [{
-            sentence: sentence.slice(0, 100),
-            targetUrl: '/trade',
-            anchorText: 'trading platform',
-            confidence: 0.85,
-            rationale: 'High semantic similarity to trading content'
-        }];
+    /**
+     * Match a sentence against the crawl's page embeddings. Each target needs a phrase
+     * in the sentence that names it, which becomes the anchor; pages the current page
+     * already links to (and the page itself) are skipped.
+     */
+    async _findLinkOpportunities(sentence, embedding, pageType, linkedUrls = new Set()) {
+        const index = await this._getVectorIndex(embedding);
+        const extractor = await this._getKeywordExtractor();
+        const matches = index.search(embedding, this.config.MAX_SUGGESTIONS_PER_PAGE * 2, this.config.SENTENCE_MATCH_THRESHOLD)
+            .filter(match => !linkedUrls.has(match.id));
+        
+        const opportunities = [];
+        for (const match of matches) {
+            const page = await this.crawlData.getPage(match.id);
+            if (!page || (page.statusCode !== null && page.statusCode !== 200)) continue;
+            
+            const anchor = this._chooseAnchorText(sentence, page, extractor);
+            if (!anchor) continue;
+            
+            opportunities.push({
+                sentence: sentence.trim().slice(0, 100),
+                targetUrl: page.url,
+                targetTitle: page.title || page.h1 || page.url,
+                anchorText: anchor,
+                confidence: Number(match.similarity.toFixed(3)),
+                rationale: `Sentence is ${(match.similarity * 100).toFixed(0)}% similar to "${page.title || page.url}"`
+            });
+        }
+        
+        return opportunities;
+    }
+    
+    /**
+     * The phrase in the sentence that best names the target: its title, H1 or a
+     * title keyword first, then the target's most distinctive body term the sentence uses
+     */
+    _chooseAnchorText(sentence, page, extractor) {
+        const usable = phrase => phrase &&
+            phrase.text.length >= this.config.MIN_ANCHOR_LENGTH &&
+            phrase.text.length <= this.config.MAX_ANCHOR_LENGTH;
+        
+        for (const phrase of extractor.anchorPhrases(page, 8, this.config.MAX_ANCHOR_LENGTH)) {
+            const match = KeywordExtractor.findPhrase(sentence, phrase);
+            if (usable(match)) return match.text;
+        }
+        
+        const sentenceTerms = new Set(KeywordExtractor.terms(sentence));
+        for (const term of extractor.topTerms(page.content || '', 20)) {
+            if (!sentenceTerms.has(term)) continue;
+            const match = KeywordExtractor.findPhrase(sentence, term);
+            if (usable(match)) return match.text;
+        }
+        
+        return null;
     }
     
+    /**
+     * Pages the current page already links to: the DOM's internal links plus, when
+     * link data is loaded, its outlinks in the crawl graph. Includes the page itself.
+     */
+    async _getLinkedUrls(currentUrl) {
+        const linked = new Set([CrawlDataProvider.normalizeUrl(currentUrl)]);
+        
+        if (typeof document !== 'undefined') {
+            document.querySelectorAll('a[href]').forEach(link => {
+                try {
+                    const target = new URL(link.getAttribute('href'), currentUrl);
+                    if (target.hostname === new URL(currentUrl).hostname) {
+                        linked.add(CrawlDataProvider.normalizeUrl(target.href));
+                    }
+                } catch (error) {
+                    // Unparseable hrefs (javascript:, malformed) are not links to pages
+                }
+            });
+        }
+        
+        const linkGraph = await this._getLinkGraph();
+        (linkGraph.outlinks.get(CrawlDataProvider.normalizeUrl(currentUrl)) || []).forEach(url => linked.add(url));
+        
+        return linked;
+    }
+    
+    /**
+     * Best first, one suggestion per target page and per anchor text
+     */
     _rankLinkSuggestions(suggestions, pageType) {
-        return suggestions.sort((a, b) => b.confidence - a.confidence);
+        const targets = new Set();
+        const anchors = new Set();
+        
+        return suggestions
+            .sort((a, b) => b.confidence - a.confidence)
+            .filter(suggestion => {
+                const anchor = suggestion.anchorText.toLowerCase();
+                if (targets.has(suggestion.targetUrl) || anchors.has(anchor)) return false;
+                targets.add(suggestion.targetUrl);
+                anchors.add(anchor);
+                return true;
+            });
     }
     
+    /**
+     * Group suggestions by the vertical pack's suggestionCategories, from each target's page type
+     */
     _categorizeSuggestions(suggestions) {
-        return {
-            navigation: suggestions.filter(s => s.targetUrl.includes('/trade')),
-            educational: suggestions.filter(s => s.targetUrl.includes('/learn')),
-            security: suggestions.filter(s => s.targetUrl.includes('/security'))
-        };
+        const types = suggestions.map(s => this._identifyPageType([s.targetTitle, s.targetUrl].join(' '), s.targetUrl, s.targetTitle));
+        const categories = {};
+        Object.entries(this.verticalPack.suggestionCategories).forEach(([category, pageTypes]) => {
+            categories[category] = suggestions.filter((s, index) => pageTypes.includes(types[index]));
+        });
+        return categories;
     }
     
     _prioritizeSuggestions(suggestions) {
@@ -730,24 +3057,27 @@ class SemanticAIAnalyzer {
     }
     
     async _findSemanticClusters(embedding) {
-        // Mock clustering
-        return [{
-            topic: 'CRYPTO_TRADING',
-            pages: [
-                { url: '/trade', similarity: 0.9 },
-                { url: '/fees', similarity: 0.8 }
-            ]
-        }];
+        if (!this.clusteringEngine) {
+            this.clusteringEngine = new SemanticContentClusteringEngine(this);
+        }
+        return this.clusteringEngine.getClusters(embedding);
     }
     
-    _findPageCluster(url, clusters) {
-        return clusters.find(cluster => 
-            cluster.pages.some(page => page.url === url)
-        ) || null;
+    /**
+     * Graded on the hub's link score (internal PageRank, 0-100)
+     */
+    _calculateClusterAuthority(cluster) {
+        const hub = cluster && cluster.pages.find(page => page.url === cluster.authorityPage);
+        if (!hub || hub.linkScore === null || hub.linkScore === undefined) return 'N/A';
+        
+        if (hub.linkScore >= 60) return 'HIGH';
+        if (hub.linkScore >= 30) return 'MEDIUM';
+        return 'LOW';
     }
     
-    _calculateClusterAuthority(cluster) {
-        return cluster ? 'MEDIUM' : 'N/A';
+    _formatLinkState(hasLink) {
+        if (hasLink === null) return 'UNKNOWN';
+        return hasLink ? 'YES' : 'NO';
     }
     
     _analyzeTopicCoverage(cluster) {
@@ -759,7 +3089,16 @@ class SemanticAIAnalyzer {
     }
     
     _developClusterLinkingStrategy(cluster) {
-        return 'Create hub-spoke linking pattern with main trading page as hub';
+        if (!cluster.authorityPage || cluster.clusterSize < 2) return 'Create related content before building a hub';
+        
+        const plan = this.clusteringEngine._designHubSpokeStrategy(cluster);
+        if (plan.spokesLinkingToHub === null) {
+            return `Link all ${plan.spokePages.length} spokes to hub ${plan.hubPage} (no link data to check existing links)`;
+        }
+        if (plan.missingHubLinks.length === 0) {
+            return `All ${plan.spokePages.length} spokes already link to hub ${plan.hubPage}`;
+        }
+        return `Add links to hub ${plan.hubPage} from ${plan.missingHubLinks.length} of ${plan.spokePages.length} spokes`;
     }
     
     _analyzeContentDifferentiation(topics, competitors) {
@@ -787,35 +3126,11 @@ class SemanticAIAnalyzer {
     }
     
     _getExpectedTopicsForPageType(pageType) {
-        const topicMap = {
-            'homepage': ['trading', 'security', 'fees', 'support', 'education'],
-            'trading': ['charts', 'orders', 'pairs', 'analysis', 'tools'],
-            'security': ['encryption', 'storage', 'authentication', 'compliance', 'insurance'],
-            'educational': ['basics', 'blockchain', 'strategies', 'analysis', 'risks'],
-            'about': ['company', 'team', 'mission', 'history', 'values']
-        };
-        return topicMap[pageType] || ['general', 'information', 'content'];
+        return this.verticalPack.expectedTopics(pageType);
     }
     
     _extractContentTopics(text) {
-        const words = text.toLowerCase().split(/\s+/);
-        const topics = [];
-        
-        const topicKeywords = {
-            'trading': ['trade', 'trading', 'buy', 'sell', 'exchange'],
-            'security': ['security', 'safe', 'protection', 'secure', 'encryption'],
-            'education': ['learn', 'guide', 'tutorial', 'education', 'course'],
-            'fees': ['fee', 'cost', 'price', 'pricing', 'charge'],
-            'crypto': ['bitcoin', 'ethereum', 'cryptocurrency', 'crypto', 'coin']
-        };
-        
-        for (const [topic, keywords] of Object.entries(topicKeywords)) {
-            if (keywords.some(keyword => words.includes(keyword))) {
-                topics.push(topic);
-            }
-        }
-        
-        return topics;
+        return this.verticalPack.topicsIn(text);
     }
     
     _analyzeTopicDepth(topics) {
@@ -895,6 +3210,14 @@ class SemanticAIAnalyzer {
 class IntelligentLinkSuggestionEngine {
     constructor(semanticAnalyzer) {
         this.analyzer = semanticAnalyzer;
+        this.config = semanticAnalyzer.config;
+        this.targetStore = new SemanticHelpers.JsonStore({
+            key: 'sf-semantic:link-targets',
+            filePath: this.config.LINK_TARGET_STORE_PATH,
+            label: 'link target'
+        });
+        this.targetIndex = null;
+        this.entityDictionary = null;
         this.linkDatabase = new Map();
         this.contextualPatterns = new Map();
         this.performanceMetrics = new Map();
@@ -905,11 +3228,12 @@ class IntelligentLinkSuggestionEngine {
      */
     async generateContextualLinkSuggestions(pageContent, embedding) {
         const suggestions = [];
-        const pageType = this.analyzer._identifyPageType(pageContent.cleanText);
+        await this.analyzer._getVerticalPack();
+        const pageType = pageContent.pageType || this.analyzer._identifyPageType(pageContent.cleanText);
         
         // Analyze content for linking opportunities
-        const linkableEntities = this._extractLinkableEntities(pageContent.cleanText);
-        const semanticContext = await this._buildSemanticContext(embedding);
+        const semanticContext = await this._buildSemanticContext(embedding, pageContent.cleanText);
+        const linkableEntities = await this._extractLinkableEntities(pageContent.cleanText, semanticContext.currentUrl);
         
         for (const entity of linkableEntities) {
             const entitySuggestions = await this._generateEntityLinkSuggestions(
@@ -921,28 +3245,43 @@ class IntelligentLinkSuggestionEngine {
         return this._optimizeLinkSuggestions(suggestions, pageType);
     }
     
-    _extractLinkableEntities(text) {
-        const entities = [];
-        const patterns = {
-            cryptocurrencies: /\b(bitcoin|btc|ethereum|eth|litecoin|ltc|ripple|xrp|cardano|ada|solana|sol|polygon|matic|chainlink|link|polkadot|dot|avalanche|avax|near|atom|cosmos|algo|algorand)\b/gi,
-            tradingTerms: /\b(trading|trade|buy|sell|exchange|order|limit order|market order|stop loss|take profit|portfolio|wallet|deposit|withdrawal)\b/gi,
-            securityTerms: /\b(security|2fa|kyc|aml|cold storage|hot wallet|private key|public key|seed phrase|multisig)\b/gi,
-            technicalTerms: /\b(blockchain|smart contract|defi|nft|mining|staking|yield farming|liquidity|market cap|volume)\b/gi
-        };
+    async _extractLinkableEntities(text, currentUrl = null) {
+        const dictionary = await this._getEntityDictionary();
         
-        for (const [category, pattern] of Object.entries(patterns)) {
-            const matches = [...text.matchAll(pattern)];
-            for (const match of matches) {
-                entities.push({
-                    text: match[0],
-                    category: category,
-                    position: match.index,
-                    context: this._extractSurroundingContext(text, match.index)
-                });
-            }
+        return dictionary.match(text)
+            .filter(mention => !mention.url || mention.url !== currentUrl)
+            .slice(0, 20) // Limit to prevent overprocessing
+            .map(mention => ({
+                text: mention.text,
+                name: mention.name,
+                category: mention.category,
+                url: mention.url,
+                source: mention.source,
+                position: mention.position,
+                context: this._extractSurroundingContext(text, mention.position)
+            }));
+    }
+    
+    /**
+     * The configured dictionary, plus crawled titles and H1s with ENTITY_AUTO_DISCOVERY
+     */
+    async _getEntityDictionary() {
+        if (this.entityDictionary) return this.entityDictionary;
+        
+        const dictionary = new EntityDictionary(this.config);
+        try {
+            await dictionary.load();
+        } catch (error) {
+            console.warn(`Entity dictionary unavailable: ${error.message}`);
+        }
+        
+        if (this.config.ENTITY_AUTO_DISCOVERY) {
+            const discovered = dictionary.discover((await this._getTargetIndex()).targets);
+            console.log(`🏷️ Discovered ${discovered} entities from crawled titles and H1s`);
         }
         
-        return entities.slice(0, 20); // Limit to prevent overprocessing
+        this.entityDictionary = dictionary;
+        return dictionary;
     }
     
     _extractSurroundingContext(text, position) {
@@ -952,10 +3291,12 @@ class IntelligentLinkSuggestionEngine {
         return text.slice(start, end);
     }
     
-    async _buildSemanticContext(embedding) {
+    async _buildSemanticContext(embedding, text = '') {
         // Build semantic context for intelligent linking
         return {
-            pageTopics: await this._identifyPageTopics(embedding),
+            currentUrl: typeof window !== 'undefined' ? CrawlDataProvider.normalizeUrl(window.location.href) : null,
+            embedding: embedding || null,
+            pageTopics: this._identifyPageTopics(text),
             semanticNeighbors: await this._findSemanticNeighbors(embedding),
             contentIntent: this._analyzeContentIntent(embedding),
             userJourney: this._mapUserJourney(embedding)
@@ -964,7 +3305,7 @@ class IntelligentLinkSuggestionEngine {
     
     async _generateEntityLinkSuggestions(entity, context, pageType) {
         const suggestions = [];
-        const targetPages = this._findTargetPages(entity, pageType);
+        const targetPages = await this._findTargetPages(entity, context);
         
         for (const target of targetPages) {
             const suggestion = await this._createLinkSuggestion(entity, target, context);
@@ -976,41 +3317,129 @@ class IntelligentLinkSuggestionEngine {
         return suggestions;
     }
     
-    _findTargetPages(entity, pageType) {
-        // Mock target page suggestions based on entity and page type
-        const targetMap = {
-            'bitcoin': [
-                { url: '/trade/btc-inr', title: 'Bitcoin Trading', type: 'trading' },
-                { url: '/learn/bitcoin', title: 'Bitcoin Guide', type: 'educational' },
-                { url: '/price/bitcoin', title: 'Bitcoin Price', type: 'market-data' }
-            ],
-            'ethereum': [
-                { url: '/trade/eth-inr', title: 'Ethereum Trading', type: 'trading' },
-                { url: '/learn/ethereum', title: 'Ethereum Guide', type: 'educational' },
-                { url: '/price/ethereum', title: 'Ethereum Price', type: 'market-data' }
-            ],
-            'trading': [
-                { url: '/trade', title: 'Trading Platform', type: 'trading' },
-                { url: '/learn/trading', title: 'Trading Guide', type: 'educational' },
-                { url: '/fees', title: 'Trading Fees', type: 'pricing' }
-            ],
-            'security': [
-                { url: '/security', title: 'Security Features', type: 'security' },
-                { url: '/learn/security', title: 'Security Guide', type: 'educational' },
-                { url: '/support/security', title: 'Security Support', type: 'support' }
-            ]
-        };
+    /**
+     * Crawled pages the entity names in their title, H1 or slug, ranked by how
+     * closely they match plus how similar they are to this page.
+     */
+    async _findTargetPages(entity, context) {
+        const index = await this._getTargetIndex();
+        if (entity.url) return this._findEntityTarget(entity, index, context);
+        
+        const words = KeywordExtractor.terms(entity.text).filter(term => !term.includes(' '));
+        if (words.length === 0) return [];
+        
+        // Only pages with every word of the entity can contain the whole phrase
+        const candidates = words
+            .map(word => index.terms.get(word) || new Set())
+            .reduce((shared, positions) => new Set(Array.from(shared).filter(position => positions.has(position))));
         
-        const entityKey = entity.text.toLowerCase();
-        return targetMap[entityKey] || this._getGenericTargets(entity);
+        const vectorIndex = context.embedding && candidates.size > 0
+            ? await this.analyzer._getVectorIndex(context.embedding)
+            : null;
+        
+        const targets = [];
+        for (const position of candidates) {
+            const target = index.targets[position];
+            if (target.url === context.currentUrl) continue;
+            
+            const matchScore = this._targetMatchScore(entity.text, target);
+            if (matchScore === 0) continue;
+            
+            targets.push({
+                ...target,
+                title: target.title || target.h1 || target.url,
+                matchScore: matchScore,
+                similarity: vectorIndex ? vectorIndex.similarity(context.embedding, target.url) : null
+            });
+        }
+        
+        return targets
+            .sort((a, b) => (b.matchScore + (b.similarity || 0)) - (a.matchScore + (a.similarity || 0)))
+            .slice(0, 3);
     }
     
-    _getGenericTargets(entity) {
-        // Generic target suggestions for unrecognized entities
-        return [
-            { url: '/search?q=' + encodeURIComponent(entity.text), title: 'Search Results', type: 'search' },
-            { url: '/learn', title: 'Learning Center', type: 'educational' }
-        ];
+    /**
+     * The page an entity names itself, if the crawl has it as a 200 page (or has no pages at all)
+     */
+    async _findEntityTarget(entity, index, context) {
+        const url = typeof window !== 'undefined'
+            ? CrawlDataProvider.normalizeUrl(new URL(entity.url, window.location.href).href)
+            : entity.url;
+        if (url === context.currentUrl) return [];
+        
+        const position = index.targets.findIndex(target => target.url === url);
+        if (position === -1 && index.targets.length > 0) return [];
+        
+        const target = position === -1
+            ? { url: url, title: entity.name, h1: '', slug: KeywordExtractor.slugText(url), type: entity.category }
+            : index.targets[position];
+        const vectorIndex = context.embedding ? await this.analyzer._getVectorIndex(context.embedding) : null;
+        
+        return [{
+            ...target,
+            title: target.title || target.h1 || target.url,
+            matchScore: 1,
+            similarity: vectorIndex ? vectorIndex.similarity(context.embedding, target.url) : null
+        }];
+    }
+    
+    _targetMatchScore(text, target) {
+        const name = text.trim().toLowerCase();
+        if (name === target.title.toLowerCase() || name === target.h1.toLowerCase()) return 1;
+        if (KeywordExtractor.findPhrase(target.title, text) || KeywordExtractor.findPhrase(target.h1, text)) return 0.8;
+        if (KeywordExtractor.findPhrase(target.slug, text)) return 0.6;
+        return 0;
+    }
+    
+    /**
+     * Every crawled page that returns 200, with the words it can be linked by. Built once
+     * per crawl and persisted, so later pages of the crawl read it instead of rebuilding it.
+     */
+    async _getTargetIndex() {
+        const source = this.config.CRAWL_DATA_SOURCE || 'inline';
+        const fingerprint = await this.analyzer.crawlData.getFingerprint();
+        if (this.targetIndex && this.targetIndex.fingerprint === fingerprint) return this.targetIndex;
+        
+        const pages = await this.analyzer.crawlData.getPages();
+        const indexes = this.targetStore.load();
+        let stored = indexes[source];
+        
+        // A re-crawl exported to the same path has a new fingerprint, even with as many pages, so its
+        // URLs and status codes are re-read. Target page types come from the vertical pack, so a pack
+        // change rebuilds the index too
+        const pack = (await this.analyzer._getVerticalPack()).name;
+        if (!stored || stored.fingerprint !== fingerprint || stored.pack !== pack) {
+            stored = { fingerprint: fingerprint, pack: pack, targets: this._buildTargets(pages) };
+            indexes[source] = stored;
+            this.targetStore.save();
+            console.log(`🎯 Indexed ${stored.targets.length} link targets from ${pages.length} crawled pages`);
+        }
+        
+        const terms = new Map();
+        stored.targets.forEach((target, position) => {
+            KeywordExtractor.terms([target.title, target.h1, target.slug].join(' . ')).forEach(term => {
+                if (!terms.has(term)) terms.set(term, new Set());
+                terms.get(term).add(position);
+            });
+        });
+        
+        this.targetIndex = { fingerprint: fingerprint, targets: stored.targets, terms: terms };
+        return this.targetIndex;
+    }
+    
+    _buildTargets(pages) {
+        // Exports without a status column can't tell broken pages apart, so all are kept
+        const hasStatus = pages.some(page => page.statusCode !== null);
+        
+        return pages
+            .filter(page => !hasStatus || page.statusCode === 200)
+            .map(page => ({
+                url: page.url,
+                title: KeywordExtractor.pageName(page.title),
+                h1: String(page.h1 || '').trim(),
+                slug: KeywordExtractor.slugText(page.url),
+                type: this.analyzer._identifyPageType([page.title, page.h1, page.url].join(' '), page.url, page.title)
+            }));
     }
     
     async _createLinkSuggestion(entity, target, context) {
@@ -1034,35 +3463,28 @@ class IntelligentLinkSuggestionEngine {
     }
     
     _generateOptimalAnchorText(entity, target) {
-        // Generate SEO-optimized anchor text
-        const baseText = entity.text;
-        const variations = [
-            baseText,
-            `${baseText} trading`,
-            `${baseText} guide`,
-            `${baseText} platform`,
-            target.title
-        ];
-        
-        // Select optimal variation based on target type
-        if (target.type === 'trading') return `${baseText} trading`;
-        if (target.type === 'educational') return `${baseText} guide`;
-        if (target.type === 'market-data') return `${baseText} price`;
+        // The target's own name where the surrounding text already uses it, otherwise the words as written
+        for (const name of [target.h1, target.title]) {
+            const match = KeywordExtractor.findPhrase(entity.context, name);
+            if (match && KeywordExtractor.findPhrase(match.text, entity.text)) return match.text;
+        }
         
-        return baseText;
+        return entity.text;
     }
     
     _calculateLinkConfidence(entity, target, context) {
-        let confidence = 0.5; // Base confidence
+        let confidence = 0.3 + 0.3 * target.matchScore; // Title/H1 matches beat slug matches
         
         // Boost confidence based on semantic relevance
-        if (this._isSemanticMatch(entity.category, target.type)) {
+        if (target.similarity !== null) {
+            confidence += 0.4 * Math.max(target.similarity, 0);
+        } else if (this._isSemanticMatch(entity.category, target.type)) {
             confidence += 0.3;
         }
         
         // Boost confidence based on context
         if (context.pageTopics.includes(target.type)) {
-            confidence += 0.2;
+            confidence += 0.1;
         }
         
         // Penalize over-linking
@@ -1074,20 +3496,15 @@ class IntelligentLinkSuggestionEngine {
     }
     
     _isSemanticMatch(entityCategory, targetType) {
-        const semanticMatches = {
-            'cryptocurrencies': ['trading', 'market-data', 'educational'],
-            'tradingTerms': ['trading', 'educational', 'pricing'],
-            'securityTerms': ['security', 'educational', 'support'],
-            'technicalTerms': ['educational', 'trading', 'market-data']
-        };
-        
-        return semanticMatches[entityCategory]?.includes(targetType) || false;
+        return this.analyzer.verticalPack.linksEntity(entityCategory, targetType);
     }
     
     _generateLinkReasoning(entity, target, context) {
         const reasons = [];
         
-        if (this._isSemanticMatch(entity.category, target.type)) {
+        if (target.similarity !== null) {
+            reasons.push(`Semantic match: target is ${(target.similarity * 100).toFixed(0)}% similar to this page`);
+        } else if (this._isSemanticMatch(entity.category, target.type)) {
             reasons.push(`Semantic match: ${entity.category} → ${target.type}`);
         }
         
@@ -1095,7 +3512,11 @@ class IntelligentLinkSuggestionEngine {
             reasons.push(`Contextual relevance: Page covers ${target.type}`);
         }
         
-        reasons.push(`Entity "${entity.text}" commonly links to ${target.type} pages`);
+        if (entity.url) {
+            reasons.push(`"${entity.text}" is the ${entity.source === 'dictionary' ? 'dictionary' : 'discovered'} entity "${entity.name}"`);
+        } else {
+            reasons.push(`"${entity.text}" appears in the target's ${target.matchScore === 0.6 ? 'URL' : 'title or H1'}`);
+        }
         
         return reasons.join('; ');
     }
@@ -1127,14 +3548,14 @@ class IntelligentLinkSuggestionEngine {
             relevance: 'HIGH',
             helpfulness: 'MEDIUM',
             userIntent: 'INFORMATIONAL',
-            conversionPotential: target.type === 'trading' ? 'HIGH' : 'MEDIUM'
+            conversionPotential: this.analyzer.verticalPack.conversionTypes.includes(target.type) ? 'HIGH' : 'MEDIUM'
         };
     }
     
     _calculatePriority(entity, target, context) {
         const factors = [
-            entity.category === 'cryptocurrencies' ? 0.3 : 0.1,
-            target.type === 'trading' ? 0.3 : 0.1,
+            entity.source === 'dictionary' ? 0.3 : 0.1,
+            this.analyzer.verticalPack.conversionTypes.includes(target.type) ? 0.3 : 0.1,
             context.userJourney === 'conversion' ? 0.4 : 0.2
         ];
         
@@ -1179,7 +3600,7 @@ class IntelligentLinkSuggestionEngine {
     _generateSuggestionSummary(suggestions, pageType) {
         const categoryCounts = {};
         suggestions.forEach(s => {
-            const category = s.targetUrl.split('/')[1] || 'other';
+            const category = s.targetUrl.replace(/^[a-z][\w+.-]*:\/\/[^/]*/i, '').split('/')[1] || 'other';
             categoryCounts[category] = (categoryCounts[category] || 0) + 1;
         });
         
@@ -1194,15 +3615,7 @@ class IntelligentLinkSuggestionEngine {
     }
     
     _getPageTypeOptimization(pageType) {
-        const optimizations = {
-            'homepage': 'Focus on high-conversion pages like trading and signup',
-            'trading': 'Link to educational content and related trading pairs',
-            'educational': 'Cross-link to related guides and practical trading pages',
-            'security': 'Link to trust signals and compliance information',
-            'about': 'Link to key product features and differentiators'
-        };
-        
-        return optimizations[pageType] || 'Add contextually relevant internal links';
+        return this.analyzer.verticalPack.linkingFocus(pageType);
     }
     
     _estimateImplementationTime(suggestions) {
@@ -1231,13 +3644,20 @@ class IntelligentLinkSuggestionEngine {
         ];
     }
     
-    // Placeholder implementations for missing methods
-    async _identifyPageTopics(embedding) {
-        return ['crypto', 'trading', 'security'];
+    /**
+     * The vertical pack's topics the page text mentions, or its defaultTopics when it mentions none
+     */
+    _identifyPageTopics(text) {
+        const pack = this.analyzer.verticalPack;
+        const topics = pack.topicsIn(text);
+        return topics.length > 0 ? topics : pack.defaultTopics;
     }
     
+    // Placeholder implementations for missing methods
     async _findSemanticNeighbors(embedding) {
-        return ['/trade', '/security', '/learn'];
+        if (!embedding) return [];
+        const index = await this.analyzer._getVectorIndex(embedding);
+        return index.search(embedding, this.config.MAX_SIMILAR_PAGES, this.config.RELEVANCE_THRESHOLD).map(match => match.id);
     }
     
     _analyzeContentIntent(embedding) {
@@ -1565,8 +3985,18 @@ class CompetitiveIntelligenceEngine {
 // SEMANTIC CONTENT CLUSTERING ENGINE
 // ================================
 class SemanticContentClusteringEngine {
-    constructor() {
+    constructor(semanticAnalyzer = null) {
+        this.analyzer = semanticAnalyzer || new SemanticAIAnalyzer(SEMANTIC_CONFIG);
+        this.config = this.analyzer.config;
         this.clusters = new Map();
+        this.outliers = [];
+        this.clusterKey = null;
+        this.clusterStore = new SemanticHelpers.JsonStore({
+            key: 'sf-semantic:clusters',
+            filePath: this.config.CLUSTER_STORE_PATH,
+            label: 'cluster'
+        });
+        this.seed = 0x5eed;
         this.clusterMetrics = new Map();
         this.linkingStrategies = new Map();
     }
@@ -1580,7 +4010,7 @@ class SemanticContentClusteringEngine {
             
             const clusterAnalysis = {
                 currentCluster: await this._identifyCurrentCluster(currentUrl, embedding),
-                clusterMetrics: await this._calculateClusterMetrics(currentUrl),
+                clusterMetrics: await this._calculateClusterMetrics(currentUrl, embedding),
                 topicAuthority: await this._assessTopicAuthority(embedding, pageContent),
                 linkingStrategy: await this._developLinkingStrategy(currentUrl, embedding),
                 expansionOpportunities: await this._identifyClusterExpansion(embedding),
@@ -1598,107 +4028,517 @@ class SemanticContentClusteringEngine {
         }
     }
     
+    /**
+     * Cluster the crawl's pages in the reference embedding's model space with
+     * CLUSTER_ALGORITHM. Persisted per crawl (source and fingerprint), link source, model space,
+     * algorithm and threshold.
+     */
+    async getClusters(reference) {
+        const algorithm = this.config.CLUSTER_ALGORITHM || 'kmeans';
+        const source = `${this.config.CRAWL_DATA_SOURCE || 'inline'}|`;
+        const crawl = `${source}${await this.analyzer.crawlData.getFingerprint()}|`;
+        const storeKey = crawl + [
+            this.config.LINK_DATA_SOURCE || 'no-links',
+            reference.space,
+            algorithm,
+            this.config.CLUSTER_THRESHOLD
+        ].join('|');
+        if (this.clusterKey === storeKey) return Array.from(this.clusters.values());
+        
+        const stored = this.clusterStore.load();
+        let result = stored[storeKey];
+        if (!result) {
+            const points = await this._loadPoints(reference);
+            console.log(`🧩 Clustering ${points.length} pages with ${algorithm}...`);
+            
+            result = await this._clusterPoints(points, algorithm, reference);
+            if (points.length > 0) {
+                // Clusters of this source's earlier crawls will never be read again
+                Object.keys(stored).forEach(key => {
+                    if (key.startsWith(source) && !key.startsWith(crawl)) delete stored[key];
+                });
+                stored[storeKey] = result;
+                this.clusterStore.save();
+            }
+        }
+        
+        this.clusterKey = storeKey;
+        this.clusters = new Map(result.clusters.map(cluster => [cluster.id, cluster]));
+        this.outliers = result.outliers;
+        return result.clusters;
+    }
+    
     async _identifyCurrentCluster(currentUrl, embedding) {
-        // Mock clustering algorithm - in production, use k-means or hierarchical clustering
-        const clusters = await this._getAllClusters();
-        
-        for (const cluster of clusters) {
-            for (const page of cluster.pages) {
-                if (page.url === currentUrl || this._calculateSimilarity(embedding, page.embedding) > 0.8) {
-                    return {
-                        id: cluster.id,
-                        topic: cluster.topic,
-                        pages: cluster.pages,
-                        authorityPage: cluster.authorityPage,
-                        clusterSize: cluster.pages.length,
-                        averageSimilarity: cluster.averageSimilarity,
-                        topicKeywords: cluster.topicKeywords,
-                        contentGaps: cluster.contentGaps,
-                        internalLinkDensity: cluster.internalLinkDensity
-                    };
+        const clusters = await this.getClusters(embedding);
+        const url = CrawlDataProvider.normalizeUrl(currentUrl);
+        const isOutlier = this.outliers.includes(url);
+        
+        let cluster = clusters.find(candidate => candidate.pages.some(page => page.url === url));
+        let centroidSimilarity = null;
+        
+        // Pages outside the crawl export join the nearest cluster if it is similar enough
+        if (!cluster && !isOutlier) {
+            for (const candidate of clusters) {
+                const similarity = this.analyzer._cosineSimilarity(embedding, EmbeddingVector.from(candidate.centroid, embedding));
+                if (similarity !== null && similarity >= this.config.CLUSTER_THRESHOLD && similarity > (centroidSimilarity || -1)) {
+                    cluster = candidate;
+                    centroidSimilarity = similarity;
                 }
             }
         }
         
-        // If no cluster found, suggest creating new one
+        if (cluster) {
+            return {
+                id: cluster.id,
+                topic: cluster.topic,
+                pages: cluster.pages,
+                authorityPage: cluster.authorityPage,
+                clusterSize: cluster.pages.length,
+                averageSimilarity: cluster.averageSimilarity,
+                centroidSimilarity: centroidSimilarity !== null
+                    ? centroidSimilarity
+                    : (cluster.pages.find(page => page.url === url) || {}).similarity,
+                topicKeywords: cluster.topicKeywords,
+                contentGaps: cluster.contentGaps,
+                internalLinkDensity: cluster.internalLinkDensity
+            };
+        }
+        
+        // Outliers (DBSCAN noise) and unmatched pages: suggest creating a new cluster
         return {
-            id: 'NEW_CLUSTER',
+            id: isOutlier ? 'OUTLIER' : 'NEW_CLUSTER',
             topic: 'UNCLUSTERED',
-            pages: [{ url: currentUrl, embedding: embedding }],
+            pages: [{ url: url, similarity: 1 }],
             authorityPage: null,
             clusterSize: 1,
             averageSimilarity: 0,
+            centroidSimilarity: null,
             topicKeywords: [],
             contentGaps: ['Needs related content'],
             internalLinkDensity: 0
         };
     }
     
-    async _getAllClusters() {
-        // Mock cluster data for crypto exchange
-        return [
-            {
-                id: 'TRADING_CLUSTER',
-                topic: 'Cryptocurrency Trading',
-                averageSimilarity: 0.85,
-                authorityPage: '/trade',
-                topicKeywords: ['trading', 'buy', 'sell', 'exchange', 'orders', 'charts'],
-                internalLinkDensity: 0.75,
-                pages: [
-                    { url: '/trade', embedding: this._generateMockEmbedding(), authority: 0.9 },
-                    { url: '/trade/btc-inr', embedding: this._generateMockEmbedding(), authority: 0.8 },
-                    { url: '/trade/eth-inr', embedding: this._generateMockEmbedding(), authority: 0.8 },
-                    { url: '/learn/trading', embedding: this._generateMockEmbedding(), authority: 0.7 },
-                    { url: '/fees', embedding: this._generateMockEmbedding(), authority: 0.6 }
-                ],
-                contentGaps: ['Advanced trading strategies', 'Technical analysis guides']
-            },
-            {
-                id: 'SECURITY_CLUSTER',
-                topic: 'Security & Safety',
-                averageSimilarity: 0.82,
-                authorityPage: '/security',
-                topicKeywords: ['security', 'safety', '2fa', 'encryption', 'cold storage'],
-                internalLinkDensity: 0.65,
-                pages: [
-                    { url: '/security', embedding: this._generateMockEmbedding(), authority: 0.9 },
-                    { url: '/learn/security', embedding: this._generateMockEmbedding(), authority: 0.7 },
-                    { url: '/support/security', embedding: this._generateMockEmbedding(), authority: 0.6 },
-                    { url: '/compliance', embedding: this._generateMockEmbedding(), authority: 0.7 }
-                ],
-                contentGaps: ['Wallet security guides', 'Phishing protection']
-            },
-            {
-                id: 'EDUCATION_CLUSTER',
-                topic: 'Cryptocurrency Education',
-                averageSimilarity: 0.80,
-                authorityPage: '/learn',
-                topicKeywords: ['learn', 'guide', 'tutorial', 'basics', 'blockchain'],
-                internalLinkDensity: 0.70,
-                pages: [
-                    { url: '/learn', embedding: this._generateMockEmbedding(), authority: 0.85 },
-                    { url: '/learn/bitcoin', embedding: this._generateMockEmbedding(), authority: 0.8 },
-                    { url: '/learn/ethereum', embedding: this._generateMockEmbedding(), authority: 0.8 },
-                    { url: '/learn/trading', embedding: this._generateMockEmbedding(), authority: 0.7 },
-                    { url: '/learn/security', embedding: this._generateMockEmbedding(), authority: 0.7 },
-                    { url: '/blog', embedding: this._generateMockEmbedding(), authority: 0.6 }
-                ],
-                contentGaps: ['DeFi education', 'NFT guides', 'Tax implications']
+    // ================================
+    // CLUSTERING ALGORITHMS
+    // ================================
+    
+    /**
+     * Crawl pages with an embedding in the reference space, sorted by URL so
+     * the same crawl always produces the same clusters. Link metrics come from the
+     * link graph, falling back to the crawl export's own columns.
+     */
+    async _loadPoints(reference) {
+        const pages = await this.analyzer.crawlData.getPages();
+        const linkGraph = await this.analyzer._getLinkGraph();
+        const embeddings = await Promise.all(pages.map(page =>
+            this.analyzer._getPageEmbedding(page, reference).catch(error => {
+                console.warn(`Skipping ${page.url}: ${error.message}`);
+                return null;
+            })
+        ));
+        
+        return pages
+            .map((page, position) => ({ page, embedding: embeddings[position] }))
+            .filter(({ embedding }) => embedding && embedding.compatibilityWith(reference) === 'OK')
+            .map(({ page, embedding }) => {
+                const links = linkGraph.getMetrics(page.url);
+                return {
+                    url: page.url,
+                    title: page.title || page.h1 || page.url,
+                    text: page.content || [page.title, page.h1].filter(Boolean).join('. '),
+                    wordCount: page.wordCount,
+                    linkScore: links ? links.linkScore : page.linkScore,
+                    uniqueInlinks: links ? links.uniqueInlinks : page.uniqueInlinks,
+                    depth: links && links.depth !== null ? links.depth : page.crawlDepth,
+                    vector: this._normalize(embedding.vector)
+                };
+            })
+            .sort((a, b) => (a.url < b.url ? -1 : a.url > b.url ? 1 : 0));
+    }
+    
+    async _clusterPoints(points, algorithm, reference) {
+        if (points.length < 2) {
+            return this._summarizeClusters(points, points.map(() => 0), algorithm);
+        }
+        
+        let labels;
+        if (algorithm === 'dbscan') {
+            labels = await this._dbscan(points, reference);
+        } else if (algorithm === 'agglomerative' && points.length <= this.config.CLUSTER_MAX_PAIRWISE) {
+            labels = this._agglomerative(points, this.config.CLUSTER_THRESHOLD);
+        } else {
+            if (algorithm === 'agglomerative') {
+                console.warn(`Agglomerative clustering is limited to ${this.config.CLUSTER_MAX_PAIRWISE} pages - using k-means`);
             }
-        ];
+            labels = this._kMeansAuto(points);
+        }
+        
+        return this._summarizeClusters(points, labels, algorithm);
+    }
+    
+    /**
+     * Spherical k-means, with k chosen by the best silhouette score on a sample
+     */
+    _kMeansAuto(points) {
+        const maxK = Math.min(this.config.CLUSTER_MAX_K, Math.floor(Math.sqrt(points.length)));
+        if (maxK < 2) return points.map(() => 0);
+        
+        const sample = this._sample(points, this.config.CLUSTER_SAMPLE_SIZE);
+        const similarity = this._similarityMatrix(sample);
+        let bestK = 2;
+        let bestScore = -Infinity;
+        
+        for (let k = 2; k <= maxK; k++) {
+            this.seed = 0x5eed;
+            const score = this._silhouette(similarity, sample.length, this._kMeans(sample, k));
+            if (score > bestScore) {
+                bestScore = score;
+                bestK = k;
+            }
+        }
+        
+        console.log(`📐 k-means: k=${bestK} (silhouette ${bestScore.toFixed(3)})`);
+        this.seed = 0x5eed;
+        return this._kMeans(points, bestK);
+    }
+    
+    _kMeans(points, k, maxIterations = 25) {
+        const dimensions = points[0].vector.length;
+        
+        // k-means++ seeding from the engine's seeded PRNG
+        const centroids = [points[Math.floor(this._random() * points.length)].vector];
+        const nearest = new Float64Array(points.length).fill(Infinity);
+        
+        while (centroids.length < k) {
+            const latest = centroids[centroids.length - 1];
+            let total = 0;
+            
+            points.forEach((point, position) => {
+                const distance = Math.max(1 - this._dot(point.vector, latest), 0);
+                nearest[position] = Math.min(nearest[position], distance * distance);
+                total += nearest[position];
+            });
+            if (total === 0) break;
+            
+            let target = this._random() * total;
+            let chosen = points.length - 1;
+            for (let position = 0; position < points.length; position++) {
+                target -= nearest[position];
+                if (target <= 0) {
+                    chosen = position;
+                    break;
+                }
+            }
+            centroids.push(points[chosen].vector);
+        }
+        
+        const labels = new Array(points.length).fill(-1);
+        
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            let changed = 0;
+            
+            points.forEach((point, position) => {
+                let best = 0;
+                let bestSimilarity = -Infinity;
+                centroids.forEach((centroid, cluster) => {
+                    const similarity = this._dot(point.vector, centroid);
+                    if (similarity > bestSimilarity) {
+                        bestSimilarity = similarity;
+                        best = cluster;
+                    }
+                });
+                if (labels[position] !== best) {
+                    labels[position] = best;
+                    changed++;
+                }
+            });
+            if (changed === 0) break;
+            
+            // Normalised member means; an emptied cluster keeps its previous centroid
+            const sums = centroids.map(() => new Float64Array(dimensions));
+            points.forEach((point, position) => {
+                const sum = sums[labels[position]];
+                for (let i = 0; i < dimensions; i++) sum[i] += point.vector[i];
+            });
+            sums.forEach((sum, cluster) => {
+                if (sum.some(value => value !== 0)) centroids[cluster] = this._normalize(sum);
+            });
+        }
+        
+        return labels;
+    }
+    
+    /**
+     * Average-linkage agglomerative clustering (nearest-neighbour chain), cut where
+     * the linkage similarity drops below the threshold
+     */
+    _agglomerative(points, threshold) {
+        const count = points.length;
+        const similarity = this._similarityMatrix(points);
+        const size = new Int32Array(count).fill(1);
+        const active = new Uint8Array(count).fill(1);
+        const parent = Array.from({ length: count }, (_, position) => position);
+        const find = node => (parent[node] === node ? node : (parent[node] = find(parent[node])));
+        const chain = [];
+        let remaining = count;
+        
+        while (remaining > 1) {
+            if (chain.length === 0) chain.push(active.indexOf(1));
+            
+            const current = chain[chain.length - 1];
+            const previous = chain.length > 1 ? chain[chain.length - 2] : -1;
+            let nearest = -1;
+            let nearestSimilarity = -Infinity;
+            
+            for (let other = 0; other < count; other++) {
+                if (!active[other] || other === current) continue;
+                const value = similarity[current * count + other];
+                if (value > nearestSimilarity || (value === nearestSimilarity && other === previous)) {
+                    nearestSimilarity = value;
+                    nearest = other;
+                }
+            }
+            
+            if (nearest !== previous) {
+                chain.push(nearest);
+                continue;
+            }
+            
+            // Reciprocal nearest neighbours: merge `nearest` into `current`
+            chain.pop();
+            chain.pop();
+            if (nearestSimilarity >= threshold) parent[find(nearest)] = find(current);
+            
+            for (let other = 0; other < count; other++) {
+                if (!active[other] || other === current || other === nearest) continue;
+                const merged = (size[current] * similarity[current * count + other] + size[nearest] * similarity[nearest * count + other])
+                    / (size[current] + size[nearest]);
+                similarity[current * count + other] = merged;
+                similarity[other * count + current] = merged;
+            }
+            size[current] += size[nearest];
+            active[nearest] = 0;
+            remaining--;
+        }
+        
+        const labels = new Map();
+        return points.map((point, position) => {
+            const root = find(position);
+            if (!labels.has(root)) labels.set(root, labels.size);
+            return labels.get(root);
+        });
+    }
+    
+    /**
+     * DBSCAN over the analyzer's HNSW index: pages with at least CLUSTER_MIN_POINTS
+     * neighbours above CLUSTER_THRESHOLD are cores; pages reachable from no core are outliers (-1)
+     */
+    async _dbscan(points, reference) {
+        const index = await this.analyzer._getVectorIndex(reference);
+        const positions = new Map(points.map((point, position) => [point.url, position]));
+        const minPoints = this.config.CLUSTER_MIN_POINTS;
+        const limit = Math.max(minPoints * 4, 32);
+        
+        const neighbours = point => index
+            .search(new EmbeddingVector(point.vector, reference), limit, this.config.CLUSTER_THRESHOLD)
+            .map(match => positions.get(match.id))
+            .filter(position => position !== undefined);
+        
+        const labels = new Array(points.length).fill(null);
+        let cluster = 0;
+        
+        points.forEach((point, position) => {
+            if (labels[position] !== null) return;
+            
+            const seeds = neighbours(point);
+            if (seeds.length < minPoints) {
+                labels[position] = -1;
+                return;
+            }
+            
+            labels[position] = cluster;
+            for (let next = 0; next < seeds.length; next++) {
+                const member = seeds[next];
+                if (labels[member] === -1) labels[member] = cluster; // border page
+                if (labels[member] !== null) continue;
+                
+                labels[member] = cluster;
+                const reachable = neighbours(points[member]);
+                if (reachable.length >= minPoints) seeds.push(...reachable);
+            }
+            cluster++;
+        });
+        
+        return labels;
+    }
+    
+    /**
+     * Turn labels into clusters with deterministic IDs (hash of the medoid URL),
+     * centroids, members sorted by centroid similarity and average intra-cluster similarity
+     */
+    _summarizeClusters(points, labels, algorithm) {
+        const groups = new Map();
+        const outliers = [];
+        
+        points.forEach((point, position) => {
+            if (labels[position] === -1) {
+                outliers.push(point.url);
+                return;
+            }
+            if (!groups.has(labels[position])) groups.set(labels[position], []);
+            groups.get(labels[position]).push(point);
+        });
+        
+        // c-TF-IDF over the clusters' page text names each cluster by what sets it apart
+        const keywords = KeywordExtractor.classTerms(
+            new Map(Array.from(groups.entries()).map(([label, members]) => [label, members.map(member => member.text || member.title)])),
+            this.config.THEME_KEYWORD_COUNT
+        );
+        
+        const clusters = Array.from(groups.entries()).map(([label, members]) => {
+            const dimensions = members[0].vector.length;
+            const sum = new Float64Array(dimensions);
+            members.forEach(member => {
+                for (let i = 0; i < dimensions; i++) sum[i] += member.vector[i];
+            });
+            
+            const centroid = this._normalize(sum);
+            const pages = members
+                .map(member => ({
+                    url: member.url,
+                    title: member.title,
+                    similarity: Number(this._dot(member.vector, centroid).toFixed(4)),
+                    wordCount: member.wordCount,
+                    linkScore: member.linkScore,
+                    uniqueInlinks: member.uniqueInlinks,
+                    depth: member.depth
+                }))
+                .sort((a, b) => b.similarity - a.similarity || (a.url < b.url ? -1 : 1));
+            
+            const maxInlinks = Math.max(1, ...pages.map(page => page.uniqueInlinks || 0));
+            pages.forEach(page => {
+                page.authority = this._calculateHubScore(page, maxInlinks);
+            });
+            
+            // Mean pairwise cosine of unit vectors: (|sum|^2 - n) / (n(n-1))
+            const count = members.length;
+            const sumNorm = this._dot(sum, sum);
+            const averageSimilarity = count > 1 ? (sumNorm - count) / (count * (count - 1)) : 1;
+            
+            const medoid = pages[0];
+            const authorityPage = this._selectAuthorityPage({ pages: pages });
+            
+            const topicKeywords = keywords.get(label) || [];
+            
+            return {
+                id: `CL-${this._hash(medoid.url)}`,
+                algorithm: algorithm,
+                topic: KeywordExtractor.label(topicKeywords) || medoid.title,
+                representativeTitle: medoid.title,
+                medoid: medoid.url,
+                authorityPage: authorityPage,
+                centroid: Array.from(centroid, value => Number(value.toFixed(6))),
+                pages: pages,
+                clusterSize: count,
+                averageSimilarity: Number(averageSimilarity.toFixed(4)),
+                topicKeywords: topicKeywords,
+                contentGaps: [],
+                internalLinkDensity: null
+            };
+        });
+        
+        clusters.sort((a, b) => b.clusterSize - a.clusterSize || (a.id < b.id ? -1 : 1));
+        return { clusters, outliers };
+    }
+    
+    _silhouette(similarity, count, labels) {
+        let total = 0;
+        
+        for (let position = 0; position < count; position++) {
+            const distances = new Map();
+            const sizes = new Map();
+            
+            for (let other = 0; other < count; other++) {
+                if (other === position) continue;
+                const label = labels[other];
+                distances.set(label, (distances.get(label) || 0) + 1 - similarity[position * count + other]);
+                sizes.set(label, (sizes.get(label) || 0) + 1);
+            }
+            
+            const own = labels[position];
+            if (!sizes.get(own)) continue; // singleton clusters score 0
+            
+            const cohesion = distances.get(own) / sizes.get(own);
+            let separation = Infinity;
+            distances.forEach((distance, label) => {
+                if (label !== own) separation = Math.min(separation, distance / sizes.get(label));
+            });
+            
+            if (separation !== Infinity) total += (separation - cohesion) / Math.max(separation, cohesion);
+        }
+        
+        return total / count;
+    }
+    
+    _similarityMatrix(points) {
+        const count = points.length;
+        const matrix = new Float32Array(count * count);
+        
+        for (let a = 0; a < count; a++) {
+            matrix[a * count + a] = 1;
+            for (let b = a + 1; b < count; b++) {
+                const value = this._dot(points[a].vector, points[b].vector);
+                matrix[a * count + b] = value;
+                matrix[b * count + a] = value;
+            }
+        }
+        
+        return matrix;
+    }
+    
+    _sample(points, size) {
+        if (points.length <= size) return points;
+        
+        // Seeded partial Fisher-Yates shuffle: reproducible, and free of the aliasing a fixed stride has
+        this.seed = 0x5eed;
+        const pool = points.slice();
+        for (let position = 0; position < size; position++) {
+            const swap = position + Math.floor(this._random() * (pool.length - position));
+            [pool[position], pool[swap]] = [pool[swap], pool[position]];
+        }
+        return pool.slice(0, size);
+    }
+    
+    _dot(vecA, vecB) {
+        let dotProduct = 0;
+        for (let i = 0; i < vecA.length; i++) {
+            dotProduct += vecA[i] * vecB[i];
+        }
+        return dotProduct;
+    }
+    
+    _normalize(values) {
+        const vector = Float32Array.from(values);
+        const norm = Math.sqrt(this._dot(vector, vector)) || 1;
+        for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+        return vector;
     }
     
-    _generateMockEmbedding() {
-        return new Array(768).fill(0).map(() => Math.random() * 0.1);
+    _random() {
+        // mulberry32, reseeded before each run so results are reproducible
+        this.seed = (this.seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(this.seed ^ (this.seed >>> 15), 1 | this.seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
     }
     
-    _calculateSimilarity(embedding1, embedding2) {
-        // Simplified similarity calculation
-        return Math.random() * 0.3 + 0.7; // Mock high similarity
+    _hash(value) {
+        return SemanticHelpers.hashText(value);
     }
     
-    async _calculateClusterMetrics(currentUrl) {
-        const cluster = await this._identifyCurrentCluster(currentUrl, []);
+    async _calculateClusterMetrics(currentUrl, embedding) {
+        const cluster = await this._identifyCurrentCluster(currentUrl, embedding);
         
         return {
             clusterHealth: this._assessClusterHealth(cluster),
@@ -1871,10 +4711,19 @@ class SemanticContentClusteringEngine {
     
     async _developLinkingStrategy(currentUrl, embedding) {
         const cluster = await this._identifyCurrentCluster(currentUrl, embedding);
+        await this.analyzer._getLinkGraph();
+        
+        // Cross-links are judged on the pages' similarity, so they need the crawl's vectors
+        const vectorIndex = embedding
+            ? await this.analyzer._getVectorIndex(embedding).catch(error => {
+                console.warn(`Vector index unavailable, no cross-links suggested: ${error.message}`);
+                return null;
+            })
+            : null;
         
         const strategy = {
             hubAndSpoke: this._designHubSpokeStrategy(cluster),
-            crossLinking: this._designCrossLinkingStrategy(cluster),
+            crossLinking: this._designCrossLinkingStrategy(cluster, vectorIndex),
             authorityBuilding: this._designAuthorityBuildingStrategy(cluster),
             userJourney: this._mapUserJourneyPaths(cluster),
             implementation: this._createImplementationPlan(cluster)
@@ -1883,24 +4732,36 @@ class SemanticContentClusteringEngine {
         return strategy;
     }
     
+    /**
+     * Checks each spoke against the link graph; only spokes that don't link to
+     * the hub yet are in the implementation list
+     */
     _designHubSpokeStrategy(cluster) {
         const hub = cluster.authorityPage || cluster.pages[0]?.url;
         const spokes = cluster.pages.filter(page => page.url !== hub);
+        const linkGraph = this.analyzer.linkGraph;
+        const known = !!linkGraph && linkGraph.linkCount > 0;
+        
+        const missingHubLinks = known ? spokes.filter(spoke => !linkGraph.hasLink(spoke.url, hub)) : spokes;
+        const unlinkedSpokes = known ? spokes.filter(spoke => !linkGraph.hasLink(hub, spoke.url)) : [];
         
         return {
             hubPage: hub,
             spokePages: spokes.map(page => page.url),
+            spokesLinkingToHub: known ? spokes.length - missingHubLinks.length : null,
+            missingHubLinks: missingHubLinks.map(page => page.url),
+            spokesNotLinkedFromHub: unlinkedSpokes.map(page => page.url),
             linkingPattern: 'All spokes link to hub, hub links to most important spokes',
-            implementation: spokes.map(spoke => ({
+            implementation: missingHubLinks.map(spoke => ({
                 from: spoke.url,
                 to: hub,
-                anchorText: `${cluster.topic} hub`,
-                context: 'Footer or sidebar link'
+                anchorText: (cluster.topicKeywords && cluster.topicKeywords[0]) || cluster.topic,
+                context: 'Contextual link in the main content'
             }))
         };
     }
     
-    _designCrossLinkingStrategy(cluster) {
+    _designCrossLinkingStrategy(cluster, vectorIndex = null) {
         const crossLinks = [];
         
         // Generate cross-linking opportunities between related pages
@@ -1908,19 +4769,24 @@ class SemanticContentClusteringEngine {
             for (let j = i + 1; j < cluster.pages.length; j++) {
                 const pageA = cluster.pages[i];
                 const pageB = cluster.pages[j];
+                const similarity = vectorIndex ? vectorIndex.pairSimilarity(pageA.url, pageB.url) : null;
                 
-                if (this._shouldCrossLink(pageA, pageB)) {
+                if (this._shouldCrossLink(pageA, pageB, similarity)) {
                     crossLinks.push({
                         from: pageA.url,
                         to: pageB.url,
                         bidirectional: true,
-                        relevance: 'HIGH',
+                        similarity: Number(similarity.toFixed(4)),
+                        relevance: similarity >= this.config.SIMILARITY_THRESHOLD ? 'HIGH' : 'MEDIUM',
                         anchorText: this._generateCrossLinkAnchor(pageA, pageB)
                     });
                 }
             }
         }
         
+        // Most closely related pairs first
+        crossLinks.sort((a, b) => b.similarity - a.similarity);
+        
         return {
             totalOpportunities: crossLinks.length,
             crossLinks: crossLinks.slice(0, 10), // Limit to prevent over-linking
@@ -1934,8 +4800,20 @@ class SemanticContentClusteringEngine {
         };
     }
     
-    _shouldCrossLink(pageA, pageB) {
-        // Mock logic for determining cross-link suitability
+    /**
+     * Related pages (similarity from RELEVANCE_THRESHOLD up to, not including, the near-duplicate
+     * HIGH_SIMILARITY_THRESHOLD) that don't link to each other yet. Without a similarity there is
+     * nothing to judge the pair on, so no cross-link.
+     */
+    _shouldCrossLink(pageA, pageB, similarity) {
+        if (similarity === null || similarity === undefined) return false;
+        
+        const linkGraph = this.analyzer.linkGraph;
+        if (linkGraph && linkGraph.linkCount > 0 &&
+            (linkGraph.hasLink(pageA.url, pageB.url) || linkGraph.hasLink(pageB.url, pageA.url))) {
+            return false;
+        }
+        
         const urlA = pageA.url.toLowerCase();
         const urlB = pageB.url.toLowerCase();
         
@@ -1944,19 +4822,7 @@ class SemanticContentClusteringEngine {
             return false;
         }
         
-        // Link educational content to practical pages
-        if ((urlA.includes('/learn/') && urlB.includes('/trade')) ||
-            (urlB.includes('/learn/') && urlA.includes('/trade'))) {
-            return true;
-        }
-        
-        // Link security content to practical implementations
-        if ((urlA.includes('/security') && urlB.includes('/learn/security')) ||
-            (urlB.includes('/security') && urlA.includes('/learn/security'))) {
-            return true;
-        }
-        
-        return Math.random() > 0.7; // Mock 30% cross-link probability
+        return similarity >= this.config.RELEVANCE_THRESHOLD && similarity < this.config.HIGH_SIMILARITY_THRESHOLD;
     }
     
     _generateCrossLinkAnchor(pageA, pageB) {
@@ -1988,8 +4854,25 @@ class SemanticContentClusteringEngine {
         };
     }
     
+    /**
+     * Hub potential from the link graph: link score (internal PageRank) weighs most,
+     * then unique inlinks relative to the cluster's best-linked page, then a shallow
+     * click depth. null when the crawl has no link data for the page.
+     */
+    _calculateHubScore(page, maxInlinks) {
+        const hasLinkScore = page.linkScore !== null && page.linkScore !== undefined;
+        const hasInlinks = page.uniqueInlinks !== null && page.uniqueInlinks !== undefined;
+        const hasDepth = page.depth !== null && page.depth !== undefined;
+        if (!hasLinkScore && !hasInlinks && !hasDepth) return null;
+        
+        const score = 0.5 * (hasLinkScore ? page.linkScore / 100 : 0) +
+            0.3 * (hasInlinks ? page.uniqueInlinks / maxInlinks : 0) +
+            0.2 * (hasDepth ? 1 / (1 + page.depth) : 0);
+        return Number(score.toFixed(4));
+    }
+    
     _selectAuthorityPage(cluster) {
-        // Select page with highest authority potential
+        // Select page with highest authority potential; without link data that is the medoid
         return cluster.pages.reduce((best, current) => {
             const currentScore = current.authority || 0;
             const bestScore = best.authority || 0;
@@ -1998,13 +4881,27 @@ class SemanticContentClusteringEngine {
     }
     
     _calculateAuthorityScore(authorityPage, cluster) {
-        // Mock authority score calculation
+        const hub = cluster.pages.find(page => page.url === authorityPage) || {};
+        const spokes = cluster.pages.filter(page => page.url !== authorityPage);
+        const linkGraph = this.analyzer.linkGraph;
+        const maxInlinks = Math.max(1, ...cluster.pages.map(page => page.uniqueInlinks || 0));
+        
+        // Share of spokes linking to the hub; without link data, the hub's share of the best inlink count
+        const linkingSpokes = linkGraph && linkGraph.linkCount > 0
+            ? spokes.filter(spoke => linkGraph.hasLink(spoke.url, authorityPage)).length
+            : null;
+        
         const factors = {
-            internalLinks: 0.8, // Mock high internal linking
-            contentDepth: 0.7,  // Mock good content depth
-            topicCoverage: 0.9, // Mock excellent topic coverage
-            userEngagement: 0.6 // Mock moderate engagement
+            internalLinks: linkingSpokes !== null
+                ? (spokes.length > 0 ? linkingSpokes / spokes.length : 1)
+                : (hub.uniqueInlinks || 0) / maxInlinks,
+            contentDepth: Math.min(1, (hub.wordCount || 0) / 1500),
+            topicCoverage: hub.similarity !== undefined ? Math.max(0, hub.similarity) : 0,
+            linkEquity: hub.linkScore !== null && hub.linkScore !== undefined ? hub.linkScore / 100 : 0
         };
+        Object.keys(factors).forEach(key => {
+            factors[key] = Number(factors[key].toFixed(2));
+        });
         
         const score = Object.values(factors).reduce((sum, val) => sum + val, 0) / 4;
         
@@ -2028,8 +4925,8 @@ class SemanticContentClusteringEngine {
         if (factors.topicCoverage < 0.8) {
             improvements.push('Cover more subtopics within the main theme');
         }
-        if (factors.userEngagement < 0.6) {
-            improvements.push('Improve user engagement metrics');
+        if (factors.linkEquity < 0.5) {
+            improvements.push('Link to this page from higher-PageRank pages, such as the homepage or main navigation');
         }
         
         return improvements;
@@ -2197,12 +5094,12 @@ async function performComprehensiveSemanticAnalysis() {
         const semanticAnalyzer = new SemanticAIAnalyzer(SEMANTIC_CONFIG);
         const linkSuggestionEngine = new IntelligentLinkSuggestionEngine(semanticAnalyzer);
         const competitiveEngine = new CompetitiveIntelligenceEngine();
-        const clusteringEngine = new SemanticContentClusteringEngine();
+        const clusteringEngine = new SemanticContentClusteringEngine(semanticAnalyzer);
         
-        // Check Ollama connection
+        // Check embedding provider connection
         const healthCheck = await semanticAnalyzer.checkOllamaConnection();
         if (!healthCheck) {
-            console.warn(' Ollama not available, proceeding with limited analysis');
+            console.warn(` ${semanticAnalyzer.embeddingProvider.name} embedding provider not available, proceeding with limited analysis`);
         }
         
         // Perform comprehensive analysis
@@ -2226,16 +5123,12 @@ async function performComprehensiveSemanticAnalysis() {
     }
 }
 
-// Add Ollama connection check method
+// Add embedding backend connection check method
 SemanticAIAnalyzer.prototype.checkOllamaConnection = async function() {
     try {
-        const response = await fetch(`${this.config.OLLAMA_ENDPOINT}/api/tags`, {
-            method: 'GET',
-            timeout: 5000
-        });
-        return response.ok;
+        return await this.embeddingProvider.checkConnection();
     } catch (error) {
-        console.warn('Ollama connection failed:', error.message);
+        console.warn(`${this.embeddingProvider.name} connection failed:`, error.message);
         return false;
     }
 };
@@ -2287,11 +5180,28 @@ if (typeof window !== 'undefined' && typeof seoSpider !== 'undefined') {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         SemanticAIAnalyzer,
+        CrawlDataProvider,
+        EmbeddingVector,
+        VectorIndex,
+        LinkGraph,
+        EmbeddingProvider: EmbeddingProviders.EmbeddingProvider,
+        OllamaEmbeddingProvider: EmbeddingProviders.OllamaEmbeddingProvider,
+        OllamaLegacyEmbeddingProvider: EmbeddingProviders.OllamaLegacyEmbeddingProvider,
+        OpenAICompatibleEmbeddingProvider: EmbeddingProviders.OpenAICompatibleEmbeddingProvider,
+        LocalEmbeddingProvider: EmbeddingProviders.LocalEmbeddingProvider,
+        createEmbeddingProvider: EmbeddingProviders.createEmbeddingProvider,
+        EmbeddingCache,
+        EmbeddingRequestQueue,
         IntelligentLinkSuggestionEngine,
         CompetitiveIntelligenceEngine,
         SemanticContentClusteringEngine,
         performComprehensiveSemanticAnalysis,
         executeSemanticAIAnalysis,
+        KeywordExtractor,
+        EntityDictionary,
+        VerticalPack: PageTypes.VerticalPack,
+        PageTypeClassifier: PageTypes.PageTypeClassifier,
+        parseCsv,
         SEMANTIC_CONFIG
     };
 }
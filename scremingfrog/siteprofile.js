@@ -0,0 +1,158 @@
+// Per-site Selector Profiles for Screaming Frog SEO Spider
+// When content.js or the link heuristics pick the wrong region of a site's pages, a
+// profile names the right one instead of a code change: content root selectors,
+// selectors to strip, template link zones, link context overrides and the minimum
+// content length. Inlined by bundle.js wherever a script says "// @requires siteprofile.js".
+
+// Contexts a profile can give links, as getLinkContext() in linkgap.js returns them
+const SITE_PROFILE_LINK_CONTEXTS = ['contextual', 'navigation', 'footer'];
+
+// ================================
+// SITE PROFILES
+// ================================
+
+/**
+ * Profiles from a JSON file ({ "profiles": [...] } or a bare array). A page gets
+ * the first profile whose domains and URL patterns both match it, so list
+ * narrow profiles (one section of a site) before broad ones (the whole site).
+ */
+class SiteProfiles {
+    constructor(data = []) {
+        const profiles = Array.isArray(data) ? data : (data.profiles || []);
+        this.profiles = profiles.map((profile, index) => SiteProfiles.compile(profile, index));
+    }
+    
+    /**
+     * The profiles at source (URL, or a file path in Node), or none when there is no source
+     */
+    static async load(source) {
+        if (!source) return new SiteProfiles();
+        
+        let text;
+        if (typeof require === 'function' && !/^https?:\/\//i.test(source)) {
+            text = await require('fs').promises.readFile(source, 'utf8');
+        } else {
+            const response = await fetch(source);
+            if (!response.ok) throw new Error(`Site profiles request failed: ${response.status}`);
+            text = await response.text();
+        }
+        
+        return new SiteProfiles(JSON.parse(text.replace(/^\uFEFF/, '')));
+    }
+    
+    /**
+     * A profile with its patterns compiled and every selector checked, so a typo fails
+     * here, naming the profile and selector, instead of inside the first page's analysis
+     */
+    static compile(profile, index) {
+        const name = profile.name || `profile ${index + 1}`;
+        const linkContext = Object.entries(profile.linkContext || {});
+        linkContext.forEach(([selector, context]) => {
+            SiteProfiles.checkSelector(name, 'linkContext', selector);
+            if (!SITE_PROFILE_LINK_CONTEXTS.includes(context)) {
+                throw new Error(`Site profile "${name}": linkContext "${selector}" must be one of ${SITE_PROFILE_LINK_CONTEXTS.join(', ')}, not "${context}"`);
+            }
+        });
+        
+        const selectors = field => (profile[field] || []).map(selector => SiteProfiles.checkSelector(name, field, selector));
+        
+        return {
+            name: name,
+            domains: (profile.domains || []).map(domain => String(domain).toLowerCase().replace(/^www\./, '')),
+            urlPatterns: (profile.urlPatterns || []).map(pattern => {
+                try {
+                    return new RegExp(pattern, 'i');
+                } catch (error) {
+                    throw new Error(`Site profile "${name}": urlPatterns "${pattern}" is not a valid regular expression (${error.message})`);
+                }
+            }),
+            contentSelectors: selectors('contentSelectors'),
+            removeSelectors: selectors('removeSelectors'),
+            templateLinkSelectors: selectors('templateLinkSelectors'),
+            linkContext: linkContext,
+            minContentWords: profile.minContentWords || null
+        };
+    }
+    
+    /**
+     * The selector, if it is a non-empty string the DOM accepts. Without a DOM (plain
+     * Node) only the type is checked; the selectors are used against pages anyway.
+     */
+    static checkSelector(name, field, selector) {
+        if (typeof selector !== 'string' || !selector.trim()) {
+            throw new Error(`Site profile "${name}": ${field} entries must be CSS selectors, not ${JSON.stringify(selector)}`);
+        }
+        
+        if (typeof document !== 'undefined' && document.createDocumentFragment) {
+            try {
+                document.createDocumentFragment().querySelector(selector);
+            } catch (error) {
+                throw new Error(`Site profile "${name}": ${field} "${selector}" is not a valid CSS selector`);
+            }
+        }
+        
+        return selector;
+    }
+    
+    /**
+     * First profile matching the URL's host (or a parent domain) and path, or null
+     */
+    match(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return null;
+        }
+        
+        const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+        const path = parsed.pathname + parsed.search;
+        
+        return this.profiles.find(profile =>
+            (profile.domains.length === 0 || profile.domains.some(domain => host === domain || host.endsWith(`.${domain}`))) &&
+            (profile.urlPatterns.length === 0 || profile.urlPatterns.some(pattern => pattern.test(path)))
+        ) || null;
+    }
+    
+    /**
+     * ContentExtractor.extract() options for a profile (none for null)
+     */
+    static extractOptions(profile) {
+        if (!profile) return {};
+        return {
+            contentSelectors: profile.contentSelectors,
+            removeSelectors: profile.removeSelectors,
+            minWords: profile.minContentWords
+        };
+    }
+    
+    /**
+     * { context, selector } when the profile decides a link's context, otherwise null.
+     * linkContext entries come first, in file order; template link zones are navigation,
+     * or footer inside a footer.
+     */
+    static linkOverride(profile, link) {
+        if (!profile) return null;
+        
+        for (const [selector, context] of profile.linkContext) {
+            if (link.closest(selector)) return { context, selector };
+        }
+        
+        const zone = profile.templateLinkSelectors.find(selector => link.closest(selector));
+        if (zone) {
+            return {
+                context: link.closest('footer, [role="contentinfo"]') ? 'footer' : 'navigation',
+                selector: zone
+            };
+        }
+        
+        return null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SITE_PROFILE_LINK_CONTEXTS,
+        SiteProfiles
+    };
+}
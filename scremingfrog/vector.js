@@ -1,166 +1,254 @@
 // Data Cleanup and Fallback Embedding Script
 // This script handles the CORS issues and provides alternative solutions
+// @requires content.js
+// @requires siteprofile.js
+// @requires common.js
+// @requires providers.js
 
-function cleanupMalformedData(rawData) {
-    // Clean up malformed embedding strings like '[{"embedding":"[{"embedding":'
-    if (typeof rawData === 'string') {
-        // Remove malformed JSON prefixes/suffixes
-        let cleaned = rawData
-            .replace(/^\[?\{?"embedding":\s*"\[?\{?"embedding":\s*"/g, '')  // Remove nested embedding prefixes
-            .replace(/",?"method".*$/g, '')  // Remove method and everything after
-            .replace(/^\[|\]$/g, '')  // Remove array brackets
-            .replace(/^"|"$/g, '')  // Remove outer quotes
-            .trim();
-        
-        return cleaned;
-    }
-    return rawData;
-}
+// Embedding provider configuration
+const VECTOR_CONFIG = {
+    EMBEDDING_PROVIDER: 'ollama',      // 'ollama' (/api/embed), 'ollama-legacy' (/api/embeddings), 'openai' or 'local'
+    EMBEDDING_ENDPOINT: 'http://localhost:11434', // e.g. 'http://localhost:8080' for a llama.cpp server
+    EMBEDDING_MODEL: 'nomic-embed-text',
+    EMBEDDING_DIMENSIONS: null,        // Requested output dimensions, where the model supports it
+    EMBEDDING_API_KEY: null,           // Bearer token for OpenAI-compatible servers
+    LOCAL_EMBEDDING_MODULE: '@huggingface/transformers', // Module (or CDN URL) for the 'local' provider
+    MAX_INPUT_CHARS: 4000,
+    TIMEOUT: 30000,
+    TAG_OUTPUT: true,                  // Prefix the vector with "provider=...;model=...;dims=...;method=...|"
+    FALLBACK_MODEL: 'lexical-hash-v2', // Tag for vectors from generateSimpleEmbedding()
+    FALLBACK_DIMENSIONS: 768,          // Size of the fallback space only; tagged, so never compared with model vectors
+    SITE_PROFILES_SOURCE: null         // Site profiles (URL or file path), as in linkgap.js/semantic.js; null = heuristics only
+};
+
+// Shared content extractor, site profiles, hashing and embedding providers: inlined by bundle.js/runner.js, loaded with require() in Node
+const Content = typeof ContentExtractor !== 'undefined'
+    ? { ContentExtractor }
+    : (typeof require === 'function' ? require('./content.js') : null);
+const Profiles = typeof SiteProfiles !== 'undefined'
+    ? { SiteProfiles }
+    : (typeof require === 'function' ? require('./siteprofile.js') : null);
+const VectorHelpers = typeof fnv1a !== 'undefined'
+    ? { fnv1a }
+    : (typeof require === 'function' ? require('./common.js') : null);
+const EmbeddingProviders = typeof createEmbeddingProvider !== 'undefined'
+    ? { createEmbeddingProvider }
+    : (typeof require === 'function' ? require('./providers.js') : null);
+
+// Matches failed-request text that was written into the embedding column instead of a vector
+const FETCH_ERROR_PATTERN = /failed to fetch|networkerror|embedding generation failed|api error|econnrefused|timed? ?out|aborterror|cors|load failed/i;
 
-// Simple hash-based embedding generation as fallback
-function generateSimpleEmbedding(text, dimensions = 768) {
-    // Create a deterministic "embedding" based on text content
-    // This is not a real semantic embedding but provides consistent vectors
+// Longest run of comma-separated numbers (NaN/null included so they can be reported)
+const NUMBER_RUN_PATTERN = /(?:(?:-?\d+(?:\.\d+)?(?:e[-+]?\d+)?|nan|null|-?infinity)\s*,\s*)+(?:-?\d+(?:\.\d+)?(?:e[-+]?\d+)?|nan|null|-?infinity)/gi;
+
+/**
+ * Parse any embedding column variant seen in Screaming Frog exports:
+ * tagged vector.js output, plain or quoted comma lists, JSON arrays,
+ * nested / double-encoded {"embedding": ...} objects and fetch-error text.
+ * Returns { status, vector, meta, issues } where status is one of
+ * ok, repaired, empty, fetch_error, invalid, nan, zero_vector, dimension_mismatch.
+ */
+function parseEmbeddingValue(rawValue, expectedDimensions = null) {
+    const result = { status: 'ok', vector: null, meta: null, issues: [] };
+    
+    if (rawValue === null || rawValue === undefined || String(rawValue).trim() === '') {
+        result.status = 'empty';
+        return result;
+    }
+    
+    let text = String(rawValue).trim();
+    
+    // Tagged output: "provider=...;model=...;dims=...;method=...|v1,v2,..."
+    const tagMatch = text.match(/^([a-z]+=[^|]*)\|([\s\S]*)$/);
+    if (tagMatch) {
+        result.meta = {};
+        tagMatch[1].split(';').forEach(pair => {
+            const [key, value] = pair.split('=');
+            if (key) result.meta[key.trim()] = (value || '').trim();
+        });
+        text = tagMatch[2].trim();
+        if (result.meta.dims && !expectedDimensions) {
+            expectedDimensions = parseInt(result.meta.dims, 10);
+        }
+    }
     
-    const normalized = text.toLowerCase().trim();
-    const embedding = new Array(dimensions);
+    let values = unwrapEmbeddingJson(text, result);
     
-    // Use multiple hash functions to generate diverse values
-    for (let i = 0; i < dimensions; i++) {
-        let hash = 0;
-        const seed = normalized + i.toString();
+    if (!values) {
+        // Salvage: strip wrappers and keep the longest run of numbers
+        const runs = text.replace(/\\?"/g, '').match(NUMBER_RUN_PATTERN) || [];
+        const longest = runs.sort((a, b) => b.length - a.length)[0];
         
-        for (let j = 0; j < seed.length; j++) {
-            const char = seed.charCodeAt(j);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
+        if (!longest) {
+            result.status = FETCH_ERROR_PATTERN.test(text) ? 'fetch_error' : 'invalid';
+            result.issues.push(text.slice(0, 120));
+            return result;
         }
         
-        // Normalize to [-1, 1] range (typical for embeddings)
-        embedding[i] = (Math.sin(hash / 1000000) * 0.5).toFixed(6);
+        values = longest.split(',').map(value => value.trim());
+        if (longest.length < text.length) {
+            result.issues.push('stripped non-numeric wrapper text');
+        }
     }
     
-    return embedding;
-}
-
-// Enhanced content extraction for blog posts
-function extractBlogContent() {
-    const url = window.location.href;
-    
-    console.log(`🔍 Extracting content from: ${url}`);
+    const vector = values.map(value => (typeof value === 'number' ? value : Number(value)));
+    const badValues = vector.filter(value => !Number.isFinite(value)).length;
+    result.vector = vector;
     
-    // Determine page type
-    const isBlogHome = /\/blog\/?$/.test(url);
-    const isBlogPost = /\/blog\/[^\/]+/.test(url) && !url.includes('/page/');
+    if (badValues > 0) {
+        result.status = 'nan';
+        result.issues.push(`${badValues} NaN/null/infinite values`);
+    } else if (expectedDimensions && vector.length !== expectedDimensions) {
+        result.status = 'dimension_mismatch';
+        result.issues.push(`${vector.length} dimensions, expected ${expectedDimensions}`);
+    } else if (vector.every(value => value === 0)) {
+        result.status = 'zero_vector';
+        result.issues.push('all values are zero');
+    } else if (result.issues.length > 0) {
+        result.status = 'repaired';
+    }
     
-    let content = '';
-    let extractionMethod = '';
+    return result;
+}
+
+// Peel JSON layers (strings, single-item arrays, {"embedding": ...} objects) down to a number list
+function unwrapEmbeddingJson(text, result) {
+    let current = text;
     
-    if (isBlogPost) {
-        console.log('📄 Processing individual blog post');
-        
-        // Blog post specific selectors
-        const postSelectors = [
-            '.post-content',
-            '.entry-content',
-            '.article-content',
-            '.blog-content',
-            '[class*="post-body"]',
-            '[class*="article-body"]',
-            'article .content',
-            'main article',
-            '.single-post-content'
-        ];
-        
-        // Try each selector
-        for (const selector of postSelectors) {
-            const element = document.querySelector(selector);
-            if (element && element.innerText.length > 300) {
-                content = element.innerText;
-                extractionMethod = `selector: ${selector}`;
-                console.log(`✅ Found content using ${selector}: ${content.length} chars`);
-                break;
+    for (let depth = 0; depth < 6; depth++) {
+        if (typeof current === 'string') {
+            const trimmed = current.trim();
+            
+            if (!/^[\[{"]/.test(trimmed)) {
+                // Plain comma list
+                const values = trimmed.split(',').map(value => value.trim());
+                return values.length > 1 && !values.some(value => value === '' || /[^\w.+-]/.test(value)) ? values : null;
             }
-        }
-        
-        // Fallback to article tag
-        if (!content) {
-            const article = document.querySelector('article');
-            if (article) {
-                content = article.innerText;
-                extractionMethod = 'article fallback';
-                console.log(`✅ Using article fallback: ${content.length} chars`);
+            
+            try {
+                current = JSON.parse(trimmed);
+            } catch (error) {
+                // CSV-style doubled quotes ("") or backslash-escaped quotes (\")
+                const unescaped = trimmed.replace(/""/g, '"').replace(/\\"/g, '"');
+                if (unescaped === trimmed) return null;
+                current = unescaped;
             }
+            if (depth > 0) result.issues.push('unwrapped nested encoding');
+            continue;
         }
         
-        // Last resort: look for largest text block
-        if (!content || content.length < 200) {
-            const textElements = document.querySelectorAll('p, div');
-            let largestElement = null;
-            let maxLength = 0;
-            
-            textElements.forEach(el => {
-                const text = el.innerText.trim();
-                if (text.length > maxLength && text.length > 200) {
-                    maxLength = text.length;
-                    largestElement = el;
-                }
-            });
-            
-            if (largestElement) {
-                content = largestElement.innerText;
-                extractionMethod = 'largest text block';
-                console.log(`✅ Using largest text block: ${content.length} chars`);
+        if (Array.isArray(current)) {
+            if (current.length > 1 && current.every(value => typeof value === 'number' || value === null)) {
+                return current;
             }
+            if (current.length === 1) {
+                current = current[0];
+                continue;
+            }
+            return null;
         }
         
-    } else if (isBlogHome) {
-        console.log('📄 Processing blog home/listing page');
-        
-        // Extract blog post titles and descriptions
-        const postElements = document.querySelectorAll('article, .post-item, .blog-item, [href*="/blog/"]');
-        const posts = [];
-        
-        postElements.forEach(el => {
-            const titleEl = el.querySelector('h1, h2, h3, .title, .post-title') || el;
-            const descEl = el.querySelector('.excerpt, .description, p');
+        if (current && typeof current === 'object') {
+            const inner = current.embedding !== undefined ? current.embedding
+                : current.embeddings !== undefined ? current.embeddings
+                : current.vector !== undefined ? current.vector
+                : current.data;
+            if (inner === undefined) return null;
             
-            if (titleEl) {
-                const title = titleEl.innerText.trim();
-                const desc = descEl ? descEl.innerText.trim() : '';
-                
-                if (title.length > 10) {
-                    posts.push(`${title}. ${desc.substring(0, 150)}`);
-                }
+            if (!result.meta && (current.method || current.model)) {
+                result.meta = { method: current.method, model: current.model };
             }
-        });
-        
-        if (posts.length > 0) {
-            content = `Blog posts: ${posts.slice(0, 10).join(' ')}`;
-            extractionMethod = `${posts.length} blog post summaries`;
-            console.log(`✅ Extracted ${posts.length} blog post summaries`);
+            result.issues.push('unwrapped {"embedding": ...} object');
+            current = inner;
+            continue;
         }
+        
+        return null;
     }
     
-    // Final fallback to body
-    if (!content || content.length < 100) {
-        content = document.body.innerText;
-        extractionMethod = 'body fallback';
-        console.log(`⚠️ Using body fallback: ${content.length} chars`);
-    }
+    return null;
+}
+
+// Clean up malformed embedding strings like '[{"embedding":"[{"embedding":'
+function cleanupMalformedData(rawData) {
+    if (typeof rawData !== 'string') return rawData;
     
-    // Clean the content
-    content = content
-        .replace(/\s+/g, ' ')
-        .replace(/\n+/g, ' ')
-        .replace(/\t+/g, ' ')
-        .replace(/Cookie|Privacy|Terms|Subscribe|Follow|Share/gi, '')
-        .trim();
+    const parsed = parseEmbeddingValue(rawData);
+    return parsed.vector && (parsed.status === 'ok' || parsed.status === 'repaired')
+        ? parsed.vector.join(',')
+        : rawData;
+}
+
+// Common English function words carry no topical signal
+const FALLBACK_STOPWORDS = new Set([
+    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one',
+    'our', 'out', 'has', 'his', 'how', 'its', 'may', 'who', 'did', 'get', 'him', 'she', 'too', 'use',
+    'that', 'this', 'with', 'from', 'your', 'have', 'more', 'will', 'they', 'them', 'then', 'than',
+    'been', 'were', 'what', 'when', 'which', 'their', 'there', 'these', 'those', 'about', 'into',
+    'also', 'just', 'only', 'some', 'such', 'each', 'other', 'would', 'could', 'should', 'very'
+]);
+
+// 32-bit FNV-1a hash; another seed gives an independent hash of the same feature
+function hashFeature(feature, seed) {
+    return VectorHelpers.fnv1a(feature, seed);
+}
+
+// Lexical fallback embedding: feature hashing over word unigrams and bigrams
+function generateSimpleEmbedding(text, dimensions = VECTOR_CONFIG.FALLBACK_DIMENSIONS) {
+    // Not a semantic model, but texts that share vocabulary and phrases get
+    // similar vectors, so cosine similarity between fallback vectors is meaningful
+    
+    const words = text.toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length > 2 && !FALLBACK_STOPWORDS.has(word));
+    
+    const features = new Map();
+    words.forEach((word, i) => {
+        features.set(word, (features.get(word) || 0) + 1);
+        if (i > 0) {
+            const bigram = `${words[i - 1]} ${word}`;
+            features.set(bigram, (features.get(bigram) || 0) + 0.5);
+        }
+    });
+    
+    const embedding = new Array(dimensions).fill(0);
+    features.forEach((count, feature) => {
+        const hash = hashFeature(feature);
+        // Signed hashing keeps collisions from only ever adding up. The sign comes from the top bit
+        // of a differently seeded hash: FNV-1a's low bit is just the parity of the input bytes,
+        // and the bucket's parity besides
+        const sign = (hashFeature(feature, 0x5bd1e995) >>> 31) ? 1 : -1;
+        embedding[hash % dimensions] += sign * (1 + Math.log(count));
+    });
+    
+    const norm = Math.sqrt(embedding.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return embedding.map(value => +(value / norm).toFixed(6));
+}
+
+// Embedding from the EMBEDDING_PROVIDER backend in providers.js, the ones semantic.js uses
+async function requestEmbedding(text, config = VECTOR_CONFIG, provider = EmbeddingProviders.createEmbeddingProvider(config)) {
+    return provider.embed(text.substring(0, config.MAX_INPUT_CHARS));
+}
+
+// Serialise a vector for the extraction column, tagged with what produced it
+// so consumers can exclude or separately score fallback vectors
+function formatEmbeddingOutput(embedding, provider, model, method = 'model') {
+    const values = embedding.join(',');
+    if (!VECTOR_CONFIG.TAG_OUTPUT) return values;
+    return `provider=${provider};model=${model};dims=${embedding.length};method=${method}|${values}`;
+}
+
+// Main content of the page (content.js), so the vector covers what linkgap.js and semantic.js count
+function extractPageContent(profile = null) {
+    console.log(`🔍 Extracting content from: ${window.location.href}`);
+    
+    const extracted = Content.ContentExtractor.extract(document, Profiles.SiteProfiles.extractOptions(profile));
     
     return {
-        content: content,
-        method: extractionMethod,
-        length: content.length
+        content: extracted.cleanText,
+        method: profile ? `${extracted.method} (profile: ${profile.name})` : extracted.method,
+        length: extracted.cleanText.length,
+        words: extracted.words
     };
 }
 
@@ -173,65 +261,45 @@ async function generateEmbeddingWithFallback() {
     
     try {
         // Extract content
-        const {content, method, length} = extractBlogContent();
+        const profile = await Profiles.SiteProfiles.load(VECTOR_CONFIG.SITE_PROFILES_SOURCE)
+            .then(profiles => profiles.match(url))
+            .catch(error => {
+                console.log(`⚠️ Site profiles unavailable, using the heuristics: ${error.message}`);
+                return null;
+            });
+        const {content, method, length, words} = extractPageContent(profile);
         
         if (length < 50) {
             throw new Error(`Insufficient content: ${length} characters`);
         }
         
-        console.log(`✅ Content extracted: ${length} chars using ${method}`);
+        console.log(`✅ Content extracted: ${words} words, ${length} chars using ${method}`);
         
-        // Try Ollama API first
-        console.log('🔄 Attempting Ollama API...');
+        // Try the configured embedding provider first
+        console.log(`🔄 Attempting ${VECTOR_CONFIG.EMBEDDING_PROVIDER} embedding provider...`);
         
         try {
-            const apiResponse = await fetch('http://localhost:11434/api/embeddings', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: "nomic-embed-text",
-                    prompt: content.substring(0, 4000)
-                }),
-                signal: AbortSignal.timeout(30000) // 30 second timeout
-            });
+            // Tagged with the provider's own name and model: the local provider picks its default model
+            const provider = EmbeddingProviders.createEmbeddingProvider(VECTOR_CONFIG);
+            const vector = await requestEmbedding(content, VECTOR_CONFIG, provider);
+            const embedding = formatEmbeddingOutput(vector, provider.name, provider.model);
             
-            if (apiResponse.ok) {
-                const data = await apiResponse.json();
-                const embedding = data.embedding.join(',');
-                
-                const processingTime = (Date.now() - startTime) / 1000;
-                console.log(`🎉 Ollama API success! Time: ${processingTime}s`);
-                
-                return seoSpider.data(embedding);
-            } else {
-                throw new Error(`API Error: ${apiResponse.status}`);
-            }
+            const processingTime = (Date.now() - startTime) / 1000;
+            console.log(`🎉 ${VECTOR_CONFIG.EMBEDDING_PROVIDER} embedding success! Time: ${processingTime}s`);
+            
+            return seoSpider.data(embedding);
             
         } catch (apiError) {
-            console.log(`❌ Ollama API failed: ${apiError.message}`);
+            console.log(`❌ ${VECTOR_CONFIG.EMBEDDING_PROVIDER} embedding failed: ${apiError.message}`);
             console.log('🔄 Falling back to simple embedding generation...');
             
             // Generate fallback embedding
             const simpleEmbedding = generateSimpleEmbedding(content);
-            const embedding = simpleEmbedding.join(',');
+            const embedding = formatEmbeddingOutput(simpleEmbedding, 'fallback', VECTOR_CONFIG.FALLBACK_MODEL, 'fallback');
             
             const processingTime = (Date.now() - startTime) / 1000;
             console.log(`✅ Fallback embedding generated! Time: ${processingTime}s`);
             
-            // Include metadata about fallback method
-            const metadata = {
-                embedding: embedding,
-                method: "fallback",
-                contentLength: length,
-                url: url,
-                timestamp: new Date().toISOString(),
-                processingTime: processingTime
-            };
-            
-            // Return just the embedding string, not the metadata object
             return seoSpider.data(embedding);
         }
         
@@ -245,51 +313,55 @@ async function generateEmbeddingWithFallback() {
 
 // Data cleanup function for existing malformed data
 function cleanupExistingData(embeddingValue) {
-    // Handle malformed embedding strings
-    if (typeof embeddingValue === 'string') {
-        // Check if it's malformed JSON
-        if (embeddingValue.includes('{"embedding":')) {
-            console.log('🧹 Cleaning malformed embedding data...');
-            
-            try {
-                // Try to extract clean embedding from malformed string
-                const cleanValue = cleanupMalformedData(embeddingValue);
-                
-                // Validate it's a proper comma-separated number string
-                if (cleanValue && /^-?\d+(\.\d+)?(,-?\d+(\.\d+)?)*$/.test(cleanValue)) {
-                    console.log('✅ Successfully cleaned malformed data');
-                    return cleanValue;
-                } else {
-                    console.log('❌ Could not clean malformed data, regenerating...');
-                    return null;
-                }
-            } catch (error) {
-                console.log('❌ Cleanup failed, regenerating...');
-                return null;
-            }
-        }
-        
+    if (typeof embeddingValue !== 'string') return null;
+    
+    const parsed = parseEmbeddingValue(embeddingValue);
+    
+    if (parsed.status === 'ok') {
         // Return as-is if already clean
         return embeddingValue;
     }
+    if (parsed.status === 'repaired') {
+        console.log(`✅ Successfully cleaned malformed data (${parsed.issues.join('; ')})`);
+        return parsed.meta && parsed.meta.provider
+            ? formatEmbeddingOutput(parsed.vector, parsed.meta.provider, parsed.meta.model, parsed.meta.method)
+            : parsed.vector.join(',');
+    }
     
+    console.log(`❌ Could not clean ${parsed.status} data, regenerating...`);
     return null;
 }
 
-// Check if we need to clean existing data or generate new
-const currentEmbedding = window.currentEmbeddingValue; // If available from crawler
-if (currentEmbedding && currentEmbedding.includes('TypeError: Failed to fetch')) {
-    console.log('🔄 Detected failed embedding, regenerating...');
-    return generateEmbeddingWithFallback();
-} else if (currentEmbedding && currentEmbedding.includes('{"embedding":')) {
-    console.log('🧹 Detected malformed embedding, cleaning...');
-    const cleaned = cleanupExistingData(currentEmbedding);
+// Auto-execute if in Screaming Frog environment
+if (typeof window !== 'undefined' && typeof seoSpider !== 'undefined') {
+    if (!Content || !Profiles || !VectorHelpers || !EmbeddingProviders) {
+        return seoSpider.error('content.js, siteprofile.js, common.js or providers.js is missing: paste the bundled dist/vector.js (node bundle.js)');
+    }
+    
+    // Check if we need to clean existing data or generate new
+    const currentEmbedding = window.currentEmbeddingValue; // If available from crawler
+    const cleaned = currentEmbedding ? cleanupExistingData(currentEmbedding) : null;
+    
     if (cleaned) {
+        console.log('🧹 Reusing existing embedding');
         return seoSpider.data(cleaned);
-    } else {
-        return generateEmbeddingWithFallback();
     }
-} else {
+    
     // Generate new embedding
     return generateEmbeddingWithFallback();
-}
\ No newline at end of file
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        VECTOR_CONFIG,
+        parseEmbeddingValue,
+        cleanupMalformedData,
+        cleanupExistingData,
+        generateSimpleEmbedding,
+        formatEmbeddingOutput,
+        requestEmbedding,
+        extractPageContent,
+        generateEmbeddingWithFallback
+    };
+}
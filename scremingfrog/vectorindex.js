@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+// Vector Index Builder
+// Embeds a crawl export and builds semantic.js's HNSW index once, ahead of the
+// crawl analysis, so no page has to build or rewrite it. Point VECTOR_INDEX_PATH
+// at the output (a file in Node, or the file served over HTTP in Screaming Frog).
+//
+// Usage:
+//   node vectorindex.js <crawl.csv | crawl.jsonl> [options]
+//
+// Options:
+//   --out <file>           Index JSON (default: <input>.index.json)
+//   --model <name>         Embedding model (default: SEMANTIC_CONFIG)
+//   --provider <name>      'ollama', 'ollama-legacy', 'openai' or 'local' (default: SEMANTIC_CONFIG)
+//   --endpoint <url>       Embedding server (default: SEMANTIC_CONFIG)
+//   --dimensions <n>       Requested output dimensions, where the model supports it
+//   --cache <file>         Embedding cache JSONL, so unchanged pages are not embedded again
+//   --rebuild              Ignore an existing index at --out
+
+const fs = require('fs');
+const path = require('path');
+
+const { SEMANTIC_CONFIG, SemanticAIAnalyzer } = require('./semantic.js');
+
+// ================================
+// ARGUMENTS
+// ================================
+function parseArgs(argv) {
+    const options = {
+        input: null,
+        out: null,
+        model: null,
+        provider: null,
+        endpoint: null,
+        dimensions: null,
+        cache: null,
+        rebuild: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--out') options.out = argv[++i];
+        else if (arg === '--model') options.model = argv[++i];
+        else if (arg === '--provider') options.provider = argv[++i];
+        else if (arg === '--endpoint') options.endpoint = argv[++i];
+        else if (arg === '--dimensions') options.dimensions = parseInt(argv[++i], 10);
+        else if (arg === '--cache') options.cache = argv[++i];
+        else if (arg === '--rebuild') options.rebuild = true;
+        else if (!arg.startsWith('--') && !options.input) options.input = arg;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+
+    if (!options.input) {
+        throw new Error('Usage: node vectorindex.js <crawl.csv | crawl.jsonl> [--out index.json] [--model name] [--provider ollama] [--cache cache.jsonl] [--rebuild]');
+    }
+
+    options.out = options.out || `${options.input.replace(/\.[^./\\]+$/, '')}.index.json`;
+
+    return options;
+}
+
+// ================================
+// MAIN
+// ================================
+async function buildIndex(options) {
+    const analyzer = new SemanticAIAnalyzer({
+        CRAWL_DATA_SOURCE: options.input,
+        VECTOR_INDEX_PATH: options.out,
+        EMBEDDING_CACHE_PATH: options.cache || SEMANTIC_CONFIG.EMBEDDING_CACHE_PATH,
+        EMBEDDING_MODEL: options.model || SEMANTIC_CONFIG.EMBEDDING_MODEL,
+        EMBEDDING_PROVIDER: options.provider || SEMANTIC_CONFIG.EMBEDDING_PROVIDER,
+        EMBEDDING_ENDPOINT: options.endpoint || SEMANTIC_CONFIG.EMBEDDING_ENDPOINT,
+        EMBEDDING_DIMENSIONS: options.dimensions || SEMANTIC_CONFIG.EMBEDDING_DIMENSIONS
+    });
+
+    if (options.rebuild && fs.existsSync(options.out)) fs.unlinkSync(options.out);
+
+    const pages = await analyzer.crawlData.getPages();
+    if (pages.length === 0) throw new Error(`No HTML pages found in ${options.input}`);
+
+    const reference = await analyzer._getReferenceEmbedding(pages);
+    const index = await analyzer._getVectorIndex(reference);
+
+    return { pages: pages.length, indexed: index.size, skipped: index.skipped.size, failed: index.failed, space: reference.space };
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const result = await buildIndex(options);
+
+    console.error(`📊 ${result.pages} pages: ${result.indexed} indexed, ${result.skipped} skipped (no text or another model), ${result.failed} failed`);
+    if (result.failed > 0) console.error('⚠️  Failed pages are not saved as skipped; run again to retry them');
+    console.error(`✅ ${result.space} index written to ${path.resolve(options.out)}`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`💥 ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    buildIndex
+};